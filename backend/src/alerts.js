@@ -0,0 +1,364 @@
+// backend/alerts.js
+// Real-time alerts to outbound webhooks: someone has been in a break area past the limit while
+// still inside, or a DOOR_APB_* event fired. Configured in DATA_DIR/alerts.json, re-read every check:
+//   { "over_break_minutes": 45,      // group rules' min_minutes still win for their members
+//     "dedupe_minutes": 60,          // same alert to the same target at most once per window
+//     "quiet_hours": { "start": "22:00", "end": "06:00", "tz": "America/Chicago" },
+//     "targets": [{ "target_id": "hr-slack", "type": "slack" | "teams" | "webhook", "url": "...",
+//                   "secret": "...",             // webhook only: signs the body (webhookSignature.js)
+//                   "events": ["over_break", "apb"], "quiet_hours": null }] }  // null = never quiet
+// Checks run every ALERT_CHECK_SECONDS (default 30) while at least one target is configured.
+// Every delivery attempt (sent, failed, suppressed by quiet hours) lands in DATA_DIR/alert_log.json.
+import { randomUUID } from 'node:crypto';
+import { DateTime, IANAZone } from 'luxon';
+import { readJSON, writeJSON } from './store.js';
+import { createHttpClient } from './httpClient.js';
+import { getOccupancy, presentOccupancy } from './occupancy.js';
+import { getAccessEvents } from './eventSync.js';
+import { eventDoorId, eventUserId } from './events.js';
+import { listDoors } from './providers/index.js';
+import { isDoorAllowed } from './sites.js';
+import { signatureHeaders } from './webhookSignature.js';
+import { fmtTime } from './utils.js';
+
+const CHECK_SECONDS = Number(process.env.ALERT_CHECK_SECONDS) || 30;
+const APB_OVERLAP_SECONDS = 120; // late-arriving events; dedupe absorbs the re-reads
+const MAX_FAILURES = 3;          // in a row per alert + target; then wait out a dedupe window
+const MAX_LOG_ENTRIES = 500;
+
+export const ALERT_TYPES = ['over_break', 'apb'];
+const TARGET_TYPES = ['slack', 'teams', 'webhook'];
+
+const http = createHttpClient({ timeoutMs: 10000, maxRetries: 2, maxDelayMs: 5000 });
+
+// -------------------------------
+// Config
+// -------------------------------
+const normalizeQuietHours = (q, fallback) => {
+  if (q === null) return null;
+  if (q === undefined) return fallback;
+  const valid = /^\d{1,2}:\d{2}$/;
+  const tz = q.tz || 'UTC';
+  if (!valid.test(q.start || '') || !valid.test(q.end || '') || !IANAZone.isValidZone(tz)) {
+    console.warn('⚠️ Ignoring invalid alert quiet_hours', q);
+    return fallback;
+  }
+  return { start: q.start, end: q.end, tz };
+};
+
+export const loadAlertConfig = async () => {
+  const raw = (await readJSON('alerts', null)) || {};
+  const quietHours = normalizeQuietHours(raw.quiet_hours, null);
+
+  const targets = [];
+  for (const t of Array.isArray(raw.targets) ? raw.targets : []) {
+    const type = t?.type || 'webhook';
+    if (!t?.target_id || !TARGET_TYPES.includes(type) || !/^https?:\/\//.test(t.url || '')) {
+      console.warn('⚠️ Skipping invalid alert target', t?.target_id || t);
+      continue;
+    }
+    targets.push({
+      target_id: String(t.target_id),
+      type,
+      url: t.url,
+      secret: type === 'webhook' ? t.secret || null : null,
+      events: Array.isArray(t.events) ? t.events.filter((e) => ALERT_TYPES.includes(e)) : ALERT_TYPES,
+      quiet_hours: normalizeQuietHours(t.quiet_hours, quietHours),
+    });
+  }
+
+  return {
+    over_break_minutes: Number(raw.over_break_minutes) > 0 ? Number(raw.over_break_minutes) : 45,
+    dedupe_minutes: Number(raw.dedupe_minutes) > 0 ? Number(raw.dedupe_minutes) : 60,
+    quiet_hours: quietHours,
+    targets,
+  };
+};
+
+// Overnight windows (start > end) wrap past midnight
+export const isQuietTime = (quiet, at = DateTime.utc()) => {
+  if (!quiet) return false;
+  const local = at.setZone(quiet.tz);
+  const minutes = local.hour * 60 + local.minute;
+  const toMin = (hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+  };
+  const start = toMin(quiet.start);
+  const end = toMin(quiet.end);
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+// Safe to show in the UI: chat webhook URLs embed their credentials
+const publicTarget = (t) => ({
+  target_id: t.target_id,
+  type: t.type,
+  host: new URL(t.url).host,
+  signed: Boolean(t.secret),
+  events: t.events,
+  quiet_hours: t.quiet_hours,
+});
+
+// -------------------------------
+// Delivery log & de-duplication index
+// -------------------------------
+let log = null; // newest first
+const deliveries = new Map(); // `${key}|${target_id}` → { lastSentMs, failures, lastFailedMs, suppressed }
+
+const ensureLog = async () => {
+  if (log) return;
+  log = await readJSON('alert_log', []);
+  for (const entry of [...log].reverse()) trackDelivery(entry);
+};
+
+const trackDelivery = (entry) => {
+  const id = `${entry.key}|${entry.target_id}`;
+  const d = deliveries.get(id) || { lastSentMs: 0, failures: 0, lastFailedMs: 0, suppressed: false };
+  if (entry.status === 'sent') Object.assign(d, { lastSentMs: Date.parse(entry.at), failures: 0, suppressed: false });
+  if (entry.status === 'failed') Object.assign(d, { failures: d.failures + 1, lastFailedMs: Date.parse(entry.at) });
+  if (entry.status === 'suppressed') d.suppressed = true;
+  deliveries.set(id, d);
+};
+
+const appendLog = (entry) => {
+  log.unshift(entry);
+  log.length = Math.min(log.length, MAX_LOG_ENTRIES);
+  trackDelivery(entry);
+};
+
+// -------------------------------
+// Collecting alerts
+// -------------------------------
+// Alert: { key, type, title, text, occurred_at, details }
+// Uses the shared live snapshot, so a check while the Live view is open costs no extra fetch
+const overBreakAlerts = async (config) => {
+  const { areas } = presentOccupancy(await getOccupancy(), config.over_break_minutes);
+  return areas.flatMap((a) =>
+    a.occupants
+      .filter((o) => o.overThreshold)
+      .map((o) => ({
+        // One alert per visit; dedupe_minutes spaces out reminders while they stay inside
+        key: `over_break:${a.key}:${o.userId}:${o.sinceUnix}`,
+        type: 'over_break',
+        title: `${o.userName} has been in ${a.name} for ${o.elapsedLabel}`,
+        text: `${o.userName}${o.group ? ` (${o.group.name})` : ''} entered ${a.name} at ${a.site_name} via ${o.doorName} at ${o.sinceTime} and is still inside. Limit: ${o.thresholdMinutes} min.`,
+        occurred_at: o.since,
+        details: {
+          user_id: o.userId,
+          user_name: o.userName,
+          area: { key: a.key, name: a.name, site_name: a.site_name },
+          since: o.since,
+          elapsed_minutes: Math.floor(o.elapsedMs / 60000),
+          threshold_minutes: o.thresholdMinutes,
+        },
+      }))
+  );
+};
+
+let apbCursor = null;
+
+const apbAlerts = async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const since = (apbCursor ?? now) - APB_OVERLAP_SECONDS;
+  const doorsById = new Map((await listDoors()).map((d) => [d.door_id, d]));
+  const { events } = await getAccessEvents(since, now);
+  apbCursor = now;
+
+  return events
+    .filter((e) => (e.event_type || '').startsWith('DOOR_APB_'))
+    .filter((e) => {
+      const door = doorsById.get(eventDoorId(e));
+      return door && isDoorAllowed(door);
+    })
+    .map((e) => {
+      const info = e.event_info || {};
+      const door = doorsById.get(eventDoorId(e));
+      const ts = DateTime.fromISO(e.timestamp, { zone: 'utc' }).setZone(door.timezone || 'UTC');
+      const userName = info.userName || info.userInfo?.name || 'Unknown User';
+      const reason = info.message || e.event_type.replace('DOOR_APB_', '').replace(/_/g, ' ').toLowerCase();
+      return {
+        // Repeated badge attempts at the same door collapse into one alert per dedupe window
+        key: `apb:${door.door_id}:${eventUserId(e) || 'unknown'}`,
+        type: 'apb',
+        title: `Anti-passback violation: ${userName} at ${door.name}`,
+        text: `${userName} triggered ${e.event_type} at ${door.name} (${door.site?.name || 'Unknown Site'}) at ${fmtTime(ts)}: ${reason}.`,
+        occurred_at: e.timestamp,
+        details: {
+          user_id: eventUserId(e),
+          user_name: userName,
+          event_id: e.event_id || null,
+          event_type: e.event_type,
+          door: { door_id: door.door_id, name: door.name, site_name: door.site?.name || null },
+          message: info.message || null,
+        },
+      };
+    });
+};
+
+// -------------------------------
+// Sending
+// -------------------------------
+const payloadFor = (target, alert) => {
+  if (target.type === 'slack') {
+    return { text: `:rotating_light: *${alert.title}*\n${alert.text}` };
+  }
+  if (target.type === 'teams') {
+    return {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary: alert.title,
+      themeColor: alert.type === 'apb' ? 'D97706' : 'B91C1C',
+      title: alert.title,
+      text: alert.text,
+    };
+  }
+  return {
+    alert_id: alert.alert_id,
+    type: alert.type,
+    key: alert.key,
+    occurred_at: alert.occurred_at,
+    title: alert.title,
+    text: alert.text,
+    details: alert.details,
+  };
+};
+
+const send = async (target, alert) => {
+  const body = JSON.stringify(payloadFor(target, alert));
+  await http.requestJSON(target.url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(target.secret ? signatureHeaders(target.secret, body) : {}) },
+    body,
+    responseType: 'text',
+    label: `Alert webhook "${target.target_id}"`,
+  });
+};
+
+const deliver = async (config, alert, now = DateTime.utc()) => {
+  alert.alert_id = alert.alert_id || randomUUID();
+  for (const target of config.targets) {
+    if (!target.events.includes(alert.type)) continue;
+
+    const d = deliveries.get(`${alert.key}|${target.target_id}`);
+    const windowMs = config.dedupe_minutes * 60 * 1000;
+    const recentlySent = d?.lastSentMs && now.toMillis() - d.lastSentMs < windowMs;
+    const gaveUp = d?.failures >= MAX_FAILURES && now.toMillis() - d.lastFailedMs < windowMs;
+    if (recentlySent || gaveUp) continue;
+
+    const entry = {
+      id: randomUUID(),
+      at: now.toISO(),
+      alert_id: alert.alert_id,
+      type: alert.type,
+      key: alert.key,
+      target_id: target.target_id,
+      target_type: target.type,
+      title: alert.title,
+    };
+    if (isQuietTime(target.quiet_hours, now)) {
+      // Logged once; the alert goes out if it still applies when quiet hours end
+      if (!d?.suppressed) appendLog({ ...entry, status: 'suppressed', error: 'Quiet hours' });
+      continue;
+    }
+    try {
+      await send(target, alert);
+      appendLog({ ...entry, status: 'sent' });
+    } catch (err) {
+      console.error(`❌ Alert to "${target.target_id}" failed:`, err.message);
+      appendLog({ ...entry, status: 'failed', error: err.message, http_status: err.status ?? null });
+    }
+  }
+};
+
+// Checks and test sends share one queue so log writes never interleave
+let queue = Promise.resolve();
+const enqueue = (fn) => {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const check = async () => {
+  const config = await loadAlertConfig();
+  if (!config.targets.length) {
+    apbCursor = null; // don't replay the gap once targets are added
+    return;
+  }
+  await ensureLog();
+  const wanted = new Set(config.targets.flatMap((t) => t.events));
+  const alerts = [
+    ...(wanted.has('over_break') ? await overBreakAlerts(config) : []),
+    ...(wanted.has('apb') ? await apbAlerts() : []),
+  ];
+  const before = log[0];
+  for (const alert of alerts) await deliver(config, alert);
+  if (log[0] !== before) await writeJSON('alert_log', log);
+};
+
+let timer = null;
+export const startAlerts = () => {
+  if (timer) return;
+  const loop = () =>
+    enqueue(check)
+      .catch((err) => console.error('❌ Alert check failed', err))
+      .finally(() => {
+        timer = setTimeout(loop, CHECK_SECONDS * 1000);
+      });
+  loop();
+};
+
+// -------------------------------
+// API helpers
+// -------------------------------
+export const getAlertOverview = async ({ limit = 200 } = {}) => {
+  const config = await loadAlertConfig();
+  await ensureLog();
+  return {
+    enabled: config.targets.length > 0,
+    check_seconds: CHECK_SECONDS,
+    over_break_minutes: config.over_break_minutes,
+    dedupe_minutes: config.dedupe_minutes,
+    quiet_hours: config.quiet_hours,
+    quiet_now: isQuietTime(config.quiet_hours),
+    targets: config.targets.map(publicTarget),
+    log: log.slice(0, limit),
+  };
+};
+
+// Sends a sample alert to one target, ignoring quiet hours and de-duplication.
+// Resolves with the log entry; null when the target doesn't exist.
+export const sendTestAlert = (targetId) =>
+  enqueue(async () => {
+    const config = await loadAlertConfig();
+    const target = config.targets.find((t) => t.target_id === targetId);
+    if (!target) return null;
+    await ensureLog();
+
+    const alert = {
+      alert_id: randomUUID(),
+      key: `test:${randomUUID()}`,
+      type: 'test',
+      title: 'Breakroom test alert',
+      text: `If you can read this, alerts for "${target.target_id}" are set up correctly.`,
+      occurred_at: DateTime.utc().toISO(),
+      details: {},
+    };
+    const entry = {
+      id: randomUUID(),
+      at: DateTime.utc().toISO(),
+      alert_id: alert.alert_id,
+      type: 'test',
+      key: alert.key,
+      target_id: target.target_id,
+      target_type: target.type,
+      title: alert.title,
+    };
+    try {
+      await send(target, alert);
+      appendLog({ ...entry, status: 'sent' });
+    } catch (err) {
+      appendLog({ ...entry, status: 'failed', error: err.message, http_status: err.status ?? null });
+    }
+    await writeJSON('alert_log', log);
+    return log[0];
+  });
@@ -0,0 +1,124 @@
+// backend/analytics.js
+// Break-room occupancy analytics: how many people are inside a door/area through the day,
+// by 15-minute bucket and day of week, from the same IN → OUT pairs as the break report.
+// Aggregates only: no user ids or names leave this module, so the output is safe to share widely.
+import { DateTime } from 'luxon';
+import { buildBreakReport } from './report.js';
+import { fmtDate } from './utils.js';
+
+export const BUCKET_MINUTES = 15;
+const BUCKET_MS = BUCKET_MINUTES * 60 * 1000;
+const SLOTS_PER_DAY = (24 * 60) / BUCKET_MINUTES;
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']; // luxon weekday 1..7
+
+const slotLabel = (slot) => {
+  const minutes = slot * BUCKET_MINUTES;
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Per (weekday, slot) accumulator: samples = buckets seen (DST days have 92 or 100),
+// personMs = time spent inside by everyone, peak = most people inside at once
+const emptyGrid = () =>
+  WEEKDAYS.map(() => Array.from({ length: SLOTS_PER_DAY }, () => ({ samples: 0, personMs: 0, peak: 0 })));
+
+// Params: door_id or area_id, start_date / end_date, pairing, merge_gap_seconds (as in buildBreakReport)
+// Returns:
+//   { door, area, generatedRange, pairing, source, bucket_minutes, break_count,
+//     peak: { count, date, time } | null,                   // most people inside at once in the range
+//     weekdays: ['Mon', …], times: ['00:00', …],             // heatmap axes
+//     heatmap: { average: [[…per time] per weekday], peak: [[…]] },
+//     by_time: [{ time, average, peak }] }                   // all days together, for the line chart
+//   average = mean number of people inside during the bucket
+export const buildOccupancyAnalytics = async (query, { canAccessDoor } = {}) => {
+  const { door_id, area_id, date, start_date, end_date, pairing, merge_gap_seconds } = query;
+  const report = await buildBreakReport(
+    { door_id, area_id, date, start_date, end_date, pairing, merge_gap_seconds },
+    { canAccessDoor, includeAllUsers: true }
+  );
+  const { tz, start_unix: startUnix, end_unix: endUnix } = report.generatedRange;
+  const startMs = startUnix * 1000;
+  const endMs = (endUnix + 1) * 1000;
+
+  // Breaks clipped to the window; a break running past the end still counts until then
+  const intervals = report.users
+    .flatMap((u) => u.pairs)
+    .map((p) => [
+      Math.max(DateTime.fromISO(p.in.ts).toMillis(), startMs),
+      Math.min(DateTime.fromISO(p.out.ts).toMillis(), endMs),
+    ])
+    .filter(([a, b]) => b > a);
+
+  // Occupancy changes, exits before entries at the same instant so back-to-back breaks don't overlap
+  const changes = intervals
+    .flatMap(([a, b]) => [
+      [a, 1],
+      [b, -1],
+    ])
+    .sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+
+  const grid = emptyGrid();
+  const overall = { count: 0, atMs: null };
+  let inside = 0;
+  let next = 0;
+  // Buckets step in real time from local midnight; each lands on the local weekday/slot it starts in
+  for (let bucketStart = startMs; bucketStart < endMs; bucketStart += BUCKET_MS) {
+    const bucketEnd = Math.min(bucketStart + BUCKET_MS, endMs);
+    const local = DateTime.fromMillis(bucketStart, { zone: tz });
+    const cell = grid[local.weekday - 1][Math.floor((local.hour * 60 + local.minute) / BUCKET_MINUTES)];
+    cell.samples += 1;
+
+    while (next < changes.length && changes[next][0] <= bucketStart) inside += changes[next++][1];
+    let peak = inside;
+    let peakAt = bucketStart;
+    while (next < changes.length && changes[next][0] < bucketEnd) {
+      inside += changes[next++][1];
+      if (inside > peak) {
+        peak = inside;
+        peakAt = changes[next - 1][0];
+      }
+    }
+    cell.peak = Math.max(cell.peak, peak);
+    if (peak > overall.count) Object.assign(overall, { count: peak, atMs: peakAt });
+  }
+
+  for (const [a, b] of intervals) {
+    for (let i = Math.floor((a - startMs) / BUCKET_MS); startMs + i * BUCKET_MS < b; i++) {
+      const bucketStart = startMs + i * BUCKET_MS;
+      const overlap = Math.min(b, bucketStart + BUCKET_MS) - Math.max(a, bucketStart);
+      const local = DateTime.fromMillis(bucketStart, { zone: tz });
+      grid[local.weekday - 1][Math.floor((local.hour * 60 + local.minute) / BUCKET_MINUTES)].personMs += overlap;
+    }
+  }
+
+  const average = (cells) => {
+    const samples = cells.reduce((sum, c) => sum + c.samples, 0);
+    return samples ? round2(cells.reduce((sum, c) => sum + c.personMs, 0) / (samples * BUCKET_MS)) : 0;
+  };
+  const times = Array.from({ length: SLOTS_PER_DAY }, (_, slot) => slotLabel(slot));
+  const peakAt = overall.atMs !== null ? DateTime.fromMillis(overall.atMs, { zone: tz }) : null;
+
+  return {
+    door: report.door,
+    area: report.area,
+    generatedRange: report.generatedRange,
+    pairing: report.pairing,
+    source: report.source,
+    bucket_minutes: BUCKET_MINUTES,
+    break_count: intervals.length,
+    peak: peakAt && { count: overall.count, date: fmtDate(peakAt), time: peakAt.toFormat('HH:mm') },
+    weekdays: WEEKDAYS,
+    times,
+    heatmap: {
+      average: grid.map((row) => row.map((c) => average([c]))),
+      peak: grid.map((row) => row.map((c) => c.peak)),
+    },
+    by_time: times.map((time, slot) => ({
+      time,
+      average: average(grid.map((row) => row[slot])),
+      peak: Math.max(...grid.map((row) => row[slot].peak)),
+    })),
+  };
+};
@@ -0,0 +1,109 @@
+// backend/annotations.js
+// Manager notes on break pairs and APB violations, e.g. "approved extended lunch", optionally
+// marking them excused. Excused pairs still show in reports but don't count toward thresholds
+// or policies; an excused violation no longer puts the user on the report by itself.
+// Stored in DATA_DIR/annotations.json, keyed by the `key` reports put on each pair/violation:
+//   { key, kind: 'pair' | 'apb', note, excused, door_id | area_id (where it was made),
+//     created_at, created_by, updated_at, updated_by,
+//     history: [{ at, by, by_name, changes: { note?: { from, to }, excused?: { from, to } } }] }
+// Annotations are never deleted: clearing one stores an empty, unexcused version, so the
+// history of who changed what and when survives.
+import { readJSON, writeJSON } from './store.js';
+
+const MAX_NOTE_LENGTH = 1000;
+
+// Keys as built by report.js: pair:<userId>:<IN unix> and apb:<userId>:<unix>:<event type>
+export const pairKey = (userId, unix) => `pair:${userId}:${unix}`;
+export const violationKey = (userId, unix, eventType) => `apb:${userId}:${unix}:${eventType}`;
+const KEY_PATTERN = /^(pair|apb):[^:]+:\d+(:[A-Z0-9_]+)?$/;
+
+// key → { kind, userId, unix, eventType (apb only) }, or null when it isn't one of the above
+export const parseAnnotationKey = (key) => {
+  if (!KEY_PATTERN.test(String(key))) return null;
+  const [kind, userId, unix, eventType = null] = String(key).split(':');
+  return { kind, userId, unix: Number(unix), eventType };
+};
+
+// Bad input (4xx), mirrors ReportError
+export class AnnotationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AnnotationError';
+    this.status = status;
+  }
+}
+
+// -------------------------------
+// Persistence (writes are serialized, as in schedules.js)
+// -------------------------------
+const readAnnotations = async () => {
+  const raw = await readJSON('annotations', []);
+  if (!Array.isArray(raw)) throw new Error('annotations.json must contain an array of annotations');
+  return raw;
+};
+
+let writes = Promise.resolve();
+const mutate = (fn) => {
+  const run = writes.then(async () => {
+    const list = await readAnnotations();
+    const result = await fn(list);
+    await writeJSON('annotations', list);
+    return result;
+  });
+  writes = run.catch(() => {});
+  return run;
+};
+
+// key → annotation, for attaching to a report
+export const loadAnnotations = async () => new Map((await readAnnotations()).map((a) => [a.key, a]));
+
+// input: { note, excused, door_id | area_id }; user: the signed-in account making the change.
+// A field left out keeps its stored value, so editing the note doesn't un-excuse.
+export const saveAnnotation = async (key, input, user) => {
+  if (!parseAnnotationKey(key)) {
+    throw new AnnotationError(400, 'Invalid annotation key');
+  }
+  const note = input.note === undefined ? undefined : String(input.note ?? '').trim();
+  if (note?.length > MAX_NOTE_LENGTH) {
+    throw new AnnotationError(400, `note must be at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  if (input.excused !== undefined && typeof input.excused !== 'boolean') {
+    throw new AnnotationError(400, 'excused must be true or false');
+  }
+
+  return mutate((list) => {
+    const at = new Date().toISOString();
+    let annotation = list.find((a) => a.key === key);
+    if (!annotation) {
+      annotation = {
+        key,
+        kind: key.split(':')[0],
+        note: '',
+        excused: false,
+        ...(input.area_id ? { area_id: String(input.area_id) } : { door_id: String(input.door_id) }),
+        created_at: at,
+        created_by: user.username,
+        updated_at: at,
+        updated_by: user.username,
+        history: [],
+      };
+      list.push(annotation);
+    }
+
+    const changes = {};
+    if (note !== undefined && annotation.note !== note) changes.note = { from: annotation.note, to: note };
+    if (input.excused !== undefined && annotation.excused !== input.excused) {
+      changes.excused = { from: annotation.excused, to: input.excused };
+    }
+    if (Object.keys(changes).length === 0) return annotation;
+
+    Object.assign(annotation, {
+      note: note ?? annotation.note,
+      excused: input.excused ?? annotation.excused,
+      updated_at: at,
+      updated_by: user.username,
+    });
+    annotation.history.push({ at, by: user.username, by_name: user.name, changes });
+    return annotation;
+  });
+};
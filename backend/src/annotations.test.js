@@ -0,0 +1,95 @@
+// backend/annotations.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// Reports run offline against fixtures written here
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'breakroom-annotations-'));
+const mockDir = path.join(root, 'mock');
+const dataDir = path.join(root, 'data');
+await fs.mkdir(mockDir);
+await fs.mkdir(dataDir);
+Object.assign(process.env, { ACCESS_PROVIDER: 'mock', MOCK_DATA_DIR: mockDir, DATA_DIR: dataDir });
+after(() => fs.rm(root, { recursive: true, force: true }));
+
+const { parseAnnotationKey, pairKey, violationKey, saveAnnotation, AnnotationError } = await import('./annotations.js');
+const { buildBreakReport } = await import('./report.js');
+
+const DOOR = 'door-1';
+const event = (id, timestamp, direction, userId, eventType = 'DOOR_ACCESS_GRANTED') => ({
+  event_id: id,
+  event_type: eventType,
+  timestamp,
+  device_id: DOOR,
+  event_info: { doorId: DOOR, direction, userId, userName: userId.toUpperCase() },
+});
+await fs.writeFile(
+  path.join(mockDir, 'doors.json'),
+  JSON.stringify([{ door_id: DOOR, name: 'Break Room', timezone: 'UTC', site: { site_id: 'site-1', name: 'HQ' } }])
+);
+await fs.writeFile(
+  path.join(mockDir, 'events.json'),
+  JSON.stringify([
+    event('1', '2026-10-13T10:00:00Z', 'in', 'u1'),
+    event('2', '2026-10-13T10:40:00Z', 'out', 'u1'),
+    event('3', '2026-10-13T13:00:00Z', 'in', 'u1'),
+    event('4', '2026-10-13T13:20:00Z', 'out', 'u1'),
+    event('5', '2026-10-13T11:00:00Z', null, 'u2', 'DOOR_APB_DOUBLE_ENTRY'),
+  ])
+);
+
+const unix = (iso) => Date.parse(iso) / 1000;
+const LUNCH = pairKey('u1', unix('2026-10-13T10:00:00Z'));
+const APB = violationKey('u2', unix('2026-10-13T11:00:00Z'), 'DOOR_APB_DOUBLE_ENTRY');
+const manager = { username: 'boss', name: 'Boss' };
+const report = (query = {}) => buildBreakReport({ door_id: DOOR, date: '2026-10-13', min_minutes: '45', ...query });
+
+test('keys parse back into their parts', () => {
+  assert.deepEqual(parseAnnotationKey(LUNCH), { kind: 'pair', userId: 'u1', unix: unix('2026-10-13T10:00:00Z'), eventType: null });
+  assert.deepEqual(parseAnnotationKey(APB).eventType, 'DOOR_APB_DOUBLE_ENTRY');
+  assert.equal(parseAnnotationKey('pair:u1'), null);
+  assert.equal(parseAnnotationKey('lunch:u1:123'), null);
+});
+
+test('bad input is rejected with a 400', async () => {
+  await assert.rejects(saveAnnotation('nope', { note: 'x' }, manager), (err) => err instanceof AnnotationError && err.status === 400);
+  await assert.rejects(saveAnnotation(LUNCH, { excused: 'yes' }, manager), /excused must be true or false/);
+  await assert.rejects(saveAnnotation(LUNCH, { note: 'x'.repeat(1001) }, manager), /at most 1000/);
+});
+
+test('without annotations every minute counts toward the threshold', async () => {
+  const [u1] = (await report()).users;
+  assert.equal(u1.userId, 'u1');
+  assert.deepEqual([u1.totalMs, u1.excusedMs, u1.countedMs, u1.daysOver], [60 * 60000, 0, 60 * 60000, 1]);
+});
+
+test('an excused break stays in the total but not in the counted time', async () => {
+  await saveAnnotation(LUNCH, { note: 'approved extended lunch', excused: true, door_id: DOOR }, manager);
+  assert.ok(!(await report()).users.some((u) => u.userId === 'u1'), 'no longer over the threshold');
+  const [u1] = (await report({ user: 'u1' })).users;
+  assert.deepEqual([u1.totalMs, u1.excusedMs, u1.countedMs], [60 * 60000, 40 * 60000, 20 * 60000]);
+  assert.equal(u1.days[0].overThreshold, false);
+  assert.equal(u1.pairs.find((p) => p.key === LUNCH).annotation.note, 'approved extended lunch');
+});
+
+test('editing only the note keeps the break excused, and both changes are in the history', async () => {
+  const annotation = await saveAnnotation(LUNCH, { note: 'approved by HR' }, manager);
+  assert.equal(annotation.excused, true);
+  assert.deepEqual(
+    annotation.history.map((h) => h.changes),
+    [
+      { note: { from: '', to: 'approved extended lunch' }, excused: { from: false, to: true } },
+      { note: { from: 'approved extended lunch', to: 'approved by HR' } },
+    ]
+  );
+  const unchanged = await saveAnnotation(LUNCH, { note: 'approved by HR', excused: true }, manager);
+  assert.equal(unchanged.history.length, 2);
+});
+
+test('an excused APB violation no longer puts the user on the report by itself', async () => {
+  assert.ok((await report()).users.some((u) => u.userId === 'u2'));
+  await saveAnnotation(APB, { excused: true, door_id: DOOR }, manager);
+  assert.ok(!(await report()).users.some((u) => u.userId === 'u2'));
+});
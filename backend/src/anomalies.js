@@ -0,0 +1,188 @@
+// backend/anomalies.js
+// Anomaly mode for the break report: compare each user's days in the report to their own recent
+// history at the same door/area, instead of a fixed threshold, and explain what stands out:
+//   daily_total  — much more break time than usual (z-score of the day's total)
+//   break_count  — many more breaks than usual
+//   time_of_day  — a break far from the user's usual break times
+//   short_visits — a burst of very short visits the user doesn't usually make
+// The baseline is the user's days with breaks in the baseline_days before the report; users with
+// fewer than MIN_BASELINE_DAYS of them aren't judged. Excused breaks are left out throughout.
+import { DateTime } from 'luxon';
+import { ReportError, MAX_RANGE_DAYS, buildBreakReport } from './report.js';
+import { msToHMM, fmtDate } from './utils.js';
+
+export const DEFAULT_Z = 2.5;
+export const DEFAULT_BASELINE_DAYS = 28;
+export const MAX_BASELINE_DAYS = 90;
+export const MIN_BASELINE_DAYS = 5;
+export const SHORT_VISIT_MINUTES = 5;
+const MIN_SHORT_VISITS = 3; // fewer short visits in a day is never a "pattern"
+
+// Floors for the spread, so a very regular user isn't flagged for a few minutes' difference
+const MIN_STD = { daily_total: 5, break_count: 0.5, time_of_day: 30, short_visits: 0.5 };
+
+export const ANOMALY_KINDS = {
+  daily_total: 'Unusual daily total',
+  break_count: 'Unusual number of breaks',
+  time_of_day: 'Unusual break time',
+  short_visits: 'Frequent short visits',
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+const meanStd = (values) => {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+};
+
+const zScore = (value, { mean, std }, kind) => (value - mean) / Math.max(std, MIN_STD[kind]);
+
+const minutesLabel = (minutes) => msToHMM(minutes * 60 * 1000);
+
+// Minutes after a window start → HH:mm on the clock, given the clock time the windows start at
+const clockLabel = (startClock, offset) => {
+  const m = (((startClock + Math.round(offset)) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+};
+
+const parseNumber = (raw, fallback) => (raw === undefined || raw === '' ? fallback : Number(raw));
+
+// Is anomaly mode requested? (?anomalies=1 / true)
+export const wantsAnomalies = (query) => ['1', 'true', 'yes'].includes(String(query.anomalies || '').toLowerCase());
+
+// report: what buildBreakReport returned for `query` (its window is the one judged)
+// Params (besides the report's own): anomaly_z (defaults to DEFAULT_Z), baseline_days (defaults to DEFAULT_BASELINE_DAYS)
+// Returns:
+//   { z_threshold, short_visit_minutes, baseline: { start_date, end_date, days, min_days },
+//     users_evaluated, users_without_baseline,
+//     items: [{ userId, userName, siteName, date, kind, label, value, mean, std, z, explanation }] }  (largest z first)
+export const detectAnomalies = async (report, query, { canAccessDoor } = {}) => {
+  const zThreshold = parseNumber(query.anomaly_z, DEFAULT_Z);
+  if (!Number.isFinite(zThreshold) || zThreshold <= 0) {
+    throw new ReportError(400, 'anomaly_z must be a positive number');
+  }
+  const baselineDays = parseNumber(query.baseline_days, DEFAULT_BASELINE_DAYS);
+  if (!Number.isInteger(baselineDays) || baselineDays < MIN_BASELINE_DAYS || baselineDays > MAX_BASELINE_DAYS) {
+    throw new ReportError(400, `baseline_days must be a whole number from ${MIN_BASELINE_DAYS} to ${MAX_BASELINE_DAYS}`);
+  }
+
+  // One report over baseline + report window, everyone included, same door/area/shift/pairing
+  const { start_date: reportStart, end_date: reportEnd, tz } = report.generatedRange;
+  const baselineEnd = DateTime.fromISO(reportStart, { zone: tz }).minus({ days: 1 });
+  const baselineStart = baselineEnd.minus({ days: baselineDays - 1 });
+  const { door_id, area_id, group, user, shift, pairing, merge_gap_seconds } = query;
+  const combined = await buildBreakReport(
+    {
+      ...(area_id ? { area_id } : { door_id }),
+      start_date: fmtDate(baselineStart),
+      end_date: reportEnd,
+      group,
+      user,
+      shift,
+      pairing,
+      merge_gap_seconds,
+    },
+    { canAccessDoor, includeAllUsers: true, maxRangeDays: baselineDays + MAX_RANGE_DAYS }
+  );
+
+  // Break times are compared as minutes into their day (or shift), so overnight shifts don't wrap
+  const windowStarts = new Map(combined.windows.map((w) => [w.date, DateTime.fromISO(w.start).toMillis()]));
+  const firstStart = DateTime.fromISO(combined.windows[0].start, { setZone: true });
+  const startClock = firstStart.hour * 60 + firstStart.minute;
+
+  const items = [];
+  let evaluated = 0;
+  let withoutBaseline = 0;
+  for (const u of combined.users) {
+    const days = u.days.map((d) => {
+      const pairs = d.pairs.filter((p) => !p.annotation?.excused);
+      return {
+        date: d.date,
+        totalMinutes: pairs.reduce((sum, p) => sum + p.totalMs, 0) / 60000,
+        count: pairs.length,
+        short: pairs.filter((p) => p.totalMs < SHORT_VISIT_MINUTES * 60000).length,
+        breaks: pairs.map((p) => ({
+          time: p.in.time.slice(0, 5),
+          offset: (DateTime.fromISO(p.in.ts).toMillis() - windowStarts.get(d.date)) / 60000,
+        })),
+      };
+    });
+    const baseline = days.filter((d) => d.date < reportStart && d.count > 0);
+    const judged = days.filter((d) => d.date >= reportStart && d.count > 0);
+    if (judged.length === 0) continue;
+    if (baseline.length < MIN_BASELINE_DAYS) {
+      withoutBaseline += 1;
+      continue;
+    }
+    evaluated += 1;
+
+    const stats = {
+      daily_total: meanStd(baseline.map((d) => d.totalMinutes)),
+      break_count: meanStd(baseline.map((d) => d.count)),
+      time_of_day: meanStd(baseline.flatMap((d) => d.breaks.map((b) => b.offset))),
+      short_visits: meanStd(baseline.map((d) => d.short)),
+    };
+    const over = `over ${baseline.length} days`;
+    const flag = (day, kind, value, z, explanation) =>
+      items.push({
+        userId: u.userId,
+        userName: u.userName,
+        siteName: u.siteName,
+        date: day.date,
+        kind,
+        label: ANOMALY_KINDS[kind],
+        value: round1(value),
+        mean: round1(stats[kind].mean),
+        std: round1(stats[kind].std),
+        z: round1(z),
+        explanation,
+      });
+
+    for (const day of judged) {
+      const { daily_total: total, break_count: count, time_of_day: time, short_visits: short } = stats;
+
+      const zTotal = zScore(day.totalMinutes, total, 'daily_total');
+      if (zTotal >= zThreshold) {
+        const usual = `${minutesLabel(total.mean)} ± ${minutesLabel(total.std)}`;
+        flag(day, 'daily_total', day.totalMinutes, zTotal, `${minutesLabel(day.totalMinutes)} of breaks vs. a usual ${usual} ${over}`);
+      }
+
+      const zCount = zScore(day.count, count, 'break_count');
+      if (zCount >= zThreshold) {
+        const usual = `${round1(count.mean)} ± ${round1(count.std)}`;
+        flag(day, 'break_count', day.count, zCount, `${day.count} breaks vs. a usual ${usual} ${over}`);
+      }
+
+      // The day's most unusual break, earlier or later than usual
+      const odd = day.breaks
+        .map((b) => ({ ...b, z: Math.abs(zScore(b.offset, time, 'time_of_day')) }))
+        .sort((a, b) => b.z - a.z)[0];
+      if (odd && odd.z >= zThreshold) {
+        const usual = `${clockLabel(startClock, time.mean)} ± ${minutesLabel(time.std)}`;
+        flag(day, 'time_of_day', odd.offset, odd.z, `Break at ${odd.time}, usually around ${usual}`);
+      }
+
+      const zShort = zScore(day.short, short, 'short_visits');
+      if (day.short >= MIN_SHORT_VISITS && zShort >= zThreshold) {
+        const visits = `${day.short} visits under ${SHORT_VISIT_MINUTES}m`;
+        flag(day, 'short_visits', day.short, zShort, `${visits} vs. a usual ${round1(short.mean)} a day: a new pattern of short visits`);
+      }
+    }
+  }
+
+  items.sort((a, b) => b.z - a.z || a.date.localeCompare(b.date));
+  return {
+    z_threshold: zThreshold,
+    short_visit_minutes: SHORT_VISIT_MINUTES,
+    baseline: {
+      start_date: fmtDate(baselineStart),
+      end_date: fmtDate(baselineEnd),
+      days: baselineDays,
+      min_days: MIN_BASELINE_DAYS,
+    },
+    users_evaluated: evaluated,
+    users_without_baseline: withoutBaseline,
+    items,
+  };
+};
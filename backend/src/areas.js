@@ -0,0 +1,25 @@
+// backend/areas.js
+// Named break areas made up of one or more doors, e.g.
+//   [{ "area_id": "north", "name": "North Break Room", "door_ids": ["<door A>", "<door B>"] }]
+// Defined in DATA_DIR/areas.json; re-read on every call so edits apply without a restart.
+import { readJSON } from './store.js';
+import { slugify } from './utils.js';
+
+export const loadAreas = async () => {
+  const raw = await readJSON('areas', []);
+  if (!Array.isArray(raw)) throw new Error('areas.json must contain an array of areas');
+
+  const areas = [];
+  for (const a of raw) {
+    const doorIds = Array.isArray(a?.door_ids) ? [...new Set(a.door_ids.filter(Boolean).map(String))] : [];
+    const areaId = String(a?.area_id || slugify(a?.name));
+    if (!areaId || doorIds.length === 0) {
+      console.warn('⚠️ Skipping invalid area definition', a);
+      continue;
+    }
+    areas.push({ area_id: areaId, name: a.name || areaId, door_ids: doorIds });
+  }
+  return areas;
+};
+
+export const findArea = async (areaId) => (await loadAreas()).find((a) => a.area_id === areaId) || null;
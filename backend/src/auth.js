@@ -0,0 +1,251 @@
+// backend/auth.js
+// Dashboard sign-in, sessions and role-based access.
+// Accounts live in DATA_DIR/users.json (manage them with `npm run users`, see manageUsers.js):
+//   [{ "username": "jdoe", "name": "Jo Doe", "role": "admin" | "hr" | "supervisor",
+//      "password_hash": "scrypt$…",           // local sign-in; omit for SSO-only accounts
+//      "site_ids": ["<site id>"], "door_ids": ["<door id>"],   // supervisor scope
+//      "sso": [{ "provider": "okta", "subject": "00u…" }],      // optional, see signInWithIdentity
+//      "email": "jdoe@example.com", "disabled": false }]
+// Roles:
+//   admin      — every allowed site, plus schedules, alerts and event-store administration
+//   hr         — every allowed site, read-only
+//   supervisor — only the sites/doors listed on their account
+// Sessions are random tokens in an httpOnly cookie, kept in memory for SESSION_TTL_HOURS (default 12),
+// so a restart signs everyone out. Accounts are re-read on every request: disabling or deleting
+// one takes effect immediately.
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { readJSON, writeJSON } from './store.js';
+import { isDoorAllowed } from './sites.js';
+
+const scryptAsync = promisify(scrypt);
+
+export const ROLES = ['admin', 'hr', 'supervisor'];
+
+const COOKIE_NAME = 'breakroom_session';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 3600 * 1000;
+const COOKIE_SECURE = String(process.env.COOKIE_SECURE || '').toLowerCase() === 'true';
+
+// Lock an account for LOCKOUT_MINUTES after MAX_FAILED_LOGINS wrong passwords in a row
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 5;
+
+// Sign-in failed or not allowed (4xx), mirrors ReportError
+export class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// -------------------------------
+// Passwords
+// -------------------------------
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(String(password), salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return timingSafeEqual(expected, actual);
+};
+
+// Spent on unknown usernames so response time doesn't reveal which accounts exist
+const DUMMY_HASH = await hashPassword(randomBytes(16).toString('hex'));
+
+// -------------------------------
+// Accounts
+// -------------------------------
+const normalizeUser = (u) => ({
+  username: String(u.username),
+  name: u.name || u.username,
+  role: u.role,
+  email: u.email || null,
+  site_ids: Array.isArray(u.site_ids) ? u.site_ids.map(String) : [],
+  door_ids: Array.isArray(u.door_ids) ? u.door_ids.map(String) : [],
+  sso: Array.isArray(u.sso) ? u.sso : [],
+  disabled: Boolean(u.disabled),
+  password_hash: u.password_hash || null,
+});
+
+export const loadUsers = async () => {
+  const raw = await readJSON('users', []);
+  if (!Array.isArray(raw)) throw new Error('users.json must contain an array of users');
+  return raw
+    .filter((u) => {
+      const ok = u?.username && ROLES.includes(u.role);
+      if (!ok) console.warn('⚠️ Skipping invalid user definition', u?.username || u);
+      return ok;
+    })
+    .map(normalizeUser);
+};
+
+export const saveUsers = (users) => writeJSON('users', users);
+
+// First start: with no accounts yet, ADMIN_USERNAME/ADMIN_PASSWORD create the first admin.
+// Returns true when an account was created.
+export const ensureBootstrapAdmin = async () => {
+  if ((await loadUsers()).length > 0) return false;
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return false;
+  await saveUsers([
+    { username: ADMIN_USERNAME, name: ADMIN_USERNAME, role: 'admin', password_hash: await hashPassword(ADMIN_PASSWORD) },
+  ]);
+  return true;
+};
+
+// What the dashboard is told about the signed-in user
+export const publicUser = (u) => ({
+  username: u.username,
+  name: u.name,
+  role: u.role,
+  site_ids: u.role === 'supervisor' ? u.site_ids : null,
+  door_ids: u.role === 'supervisor' ? u.door_ids : null,
+});
+
+// -------------------------------
+// Access scope
+// -------------------------------
+// Door shape: the provider's ({ door_id, site: { site_id } }) or a flat { door_id, site_id }.
+export const canAccessDoor = (user, door) => {
+  const siteId = door?.site?.site_id ?? door?.site_id ?? null;
+  if (!isDoorAllowed({ site: { site_id: siteId } })) return false;
+  if (user.role !== 'supervisor') return true;
+  return user.site_ids.includes(siteId) || user.door_ids.includes(door.door_id);
+};
+
+export const hasRole = (user, ...roles) => roles.includes(user?.role);
+
+// -------------------------------
+// Sessions
+// -------------------------------
+const sessions = new Map(); // token → { username, expiresAt }
+const failures = new Map(); // username → { count, lockedUntil }
+
+// Other apps on the host may set cookies that aren't valid percent-encoding; those keep their raw value.
+const decodeCookie = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const parseCookies = (header = '') =>
+  Object.fromEntries(
+    header
+      .split(';')
+      .map((part) => part.trim().split('='))
+      .filter(([k, v]) => k && v !== undefined)
+      .map(([k, ...v]) => [k, decodeCookie(v.join('='))])
+  );
+
+const setSessionCookie = (res, token, maxAgeMs) => {
+  const parts = [
+    `${COOKIE_NAME}=${token}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+  ];
+  if (COOKIE_SECURE) parts.push('Secure');
+  res.append('Set-Cookie', parts.join('; '));
+};
+
+const startSession = (res, user) => {
+  const token = randomBytes(32).toString('base64url');
+  sessions.set(token, { username: user.username, expiresAt: Date.now() + SESSION_TTL_MS });
+  setSessionCookie(res, token, SESSION_TTL_MS);
+  return publicUser(user);
+};
+
+export const signInWithPassword = async (res, username, password) => {
+  const name = String(username || '').trim();
+  const lock = failures.get(name);
+  if (lock?.lockedUntil > Date.now()) {
+    throw new AuthError(429, `Too many failed sign-ins. Try again in ${LOCKOUT_MINUTES} minutes.`);
+  }
+
+  const user = (await loadUsers()).find((u) => u.username === name);
+  const ok = await verifyPassword(password, user?.password_hash || DUMMY_HASH);
+  if (!user || !ok || user.disabled || !user.password_hash) {
+    const count = (lock?.count || 0) + 1;
+    if (failures.size > 10000) failures.clear(); // don't let username spraying grow this forever
+    failures.set(name, {
+      count: count >= MAX_FAILED_LOGINS ? 0 : count,
+      lockedUntil: count >= MAX_FAILED_LOGINS ? Date.now() + LOCKOUT_MINUTES * 60 * 1000 : 0,
+    });
+    throw new AuthError(401, 'Invalid username or password');
+  }
+  failures.delete(name);
+  return startSession(res, user);
+};
+
+// Hook for SSO strategies (OIDC, SAML): once a strategy has verified the identity provider's
+// response, it calls this with the asserted identity. The identity must match an existing
+// account, by one of its `sso` entries or else by email, so roles and scopes stay in users.json.
+//   identity: { provider, subject, email?, name? }
+export const signInWithIdentity = async (res, identity) => {
+  const users = await loadUsers();
+  const email = identity.email ? String(identity.email).toLowerCase() : null;
+  const user =
+    users.find((u) => u.sso.some((s) => s.provider === identity.provider && s.subject === identity.subject)) ||
+    (email && users.find((u) => u.email && u.email.toLowerCase() === email));
+  if (!user || user.disabled) throw new AuthError(403, 'No dashboard account for this identity');
+  return startSession(res, user);
+};
+
+// Sign-in methods the login screen should offer. SSO strategies add themselves to `sso`
+// as { id, label, url } (url starts the identity provider's flow).
+export const authMethods = { local: true, sso: [] };
+
+export const signOut = (req, res) => {
+  const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  if (token) sessions.delete(token);
+  setSessionCookie(res, '', 0);
+};
+
+// Resolves the request's session to a current account, or null
+const userForRequest = async (req) => {
+  const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  const session = token && sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  const user = (await loadUsers()).find((u) => u.username === session.username);
+  if (!user || user.disabled) {
+    sessions.delete(token);
+    return null;
+  }
+  return user;
+};
+
+// -------------------------------
+// Middleware
+// -------------------------------
+// Sets req.user or answers 401
+export const requireAuth = async (req, res, next) => {
+  try {
+    const user = await userForRequest(req);
+    if (!user) return res.status(401).json({ error: 'Sign in required' });
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!hasRole(req.user, ...roles)) return res.status(403).json({ error: 'You do not have access to this' });
+    next();
+  };
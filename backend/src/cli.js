@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+// backend/cli.js
+// Break reports without the dashboard, for scripts (payroll runs, cron), built by the same report
+// code as /api/break-report:
+//   breakroom report --door <id|name> | --area <id> [--date YYYY-MM-DD | --start YYYY-MM-DD --end YYYY-MM-DD]
+//                    [--min 45] [--policy <id>] [--group <id>] [--shift <id>] [--pairing last_in|first_in]
+//                    [--merge-gap <seconds>] [--format json|csv|xlsx|pdf] [--out <file>]
+//   breakroom payroll --profile <id> --door <id|name> | --area <id> [date, shift, group and pairing options as for report]
+//                     [--out <file>]
+//   breakroom doors [--format text|json]
+// Every command also takes:
+//   --env <file>       configuration (default: BREAKROOM_ENV, else breakroom.env in the current
+//                      directory or the repo root, else .env like the server)
+//   --fixtures [dir]   offline: the mock provider with its bundled demo data, or the fixtures in <dir>
+// The report goes to stdout unless --out is given (xlsx/pdf need --out or a redirect). payroll writes
+// a timekeeping file in an export profile from payroll.js, warning about users without a payroll ID.
+// Runs with the site allow-list (SITE_IDS) rather than a signed-in user's scope, and always reads
+// events from the provider, not the local event store.
+// Exit codes: 0 ok, 1 unexpected failure, 2 bad usage or input (unknown door, bad date, …), 3 upstream error.
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import dotenv from 'dotenv';
+
+const USAGE = `Usage:
+  breakroom report --door <id|name> | --area <id> [--date YYYY-MM-DD | --start YYYY-MM-DD --end YYYY-MM-DD]
+                   [--min <minutes>] [--policy <id>] [--group <id>] [--shift <id>] [--pairing last_in|first_in]
+                   [--merge-gap <seconds>] [--format json|csv|xlsx|pdf] [--out <file>]
+  breakroom payroll --profile <id> --door <id|name> | --area <id> [report options] [--out <file>]
+  breakroom doors [--format text|json]
+Options for every command: --env <file>, --fixtures [dir]`;
+
+const FORMATS = ['json', 'csv', 'xlsx', 'pdf'];
+const EXIT = { ok: 0, failure: 1, usage: 2, upstream: 3 };
+
+// Bad command line or input; exits with EXIT.usage
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Flags that may stand alone; every other --flag takes a value
+const BOOLEAN_FLAGS = new Set(['help']);
+const OPTIONAL_VALUE_FLAGS = new Set(['fixtures']);
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const opts = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) throw new UsageError(`Unexpected argument: ${arg}`);
+    const [flag, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) opts[flag] = inline;
+    else if (BOOLEAN_FLAGS.has(flag)) opts[flag] = true;
+    else if (OPTIONAL_VALUE_FLAGS.has(flag)) opts[flag] = rest[i + 1]?.startsWith('--') || rest[i + 1] === undefined ? true : rest[++i];
+    else if (rest[i + 1] === undefined) throw new UsageError(`--${flag} needs a value`);
+    else opts[flag] = rest[++i];
+  }
+  return { command, opts };
+};
+
+// -------------------------------
+// Configuration (before any backend module reads process.env)
+// -------------------------------
+const REPO_ENV = fileURLToPath(new URL('../../breakroom.env', import.meta.url));
+
+const loadEnv = (opts) => {
+  const explicit = opts.env || process.env.BREAKROOM_ENV;
+  if (explicit && !fs.existsSync(explicit)) throw new UsageError(`Config file not found: ${explicit}`);
+  const file = explicit || [path.resolve('breakroom.env'), REPO_ENV, path.resolve('.env')].find((f) => fs.existsSync(f));
+  // Variables already set (e.g. by docker compose's env_file) win, as with the server
+  if (file) dotenv.config({ path: file, quiet: true });
+
+  if (opts.fixtures) {
+    process.env.ACCESS_PROVIDER = 'mock';
+    if (opts.fixtures !== true) process.env.MOCK_DATA_DIR = path.resolve(opts.fixtures);
+  }
+};
+
+// -------------------------------
+// Commands
+// -------------------------------
+// --door takes an id or a (case-insensitive) name; a name must match exactly one allowed door
+const resolveDoorId = async (query, { listDoors, isDoorAllowed }) => {
+  const doors = (await listDoors()).filter(isDoorAllowed);
+  const byId = doors.find((d) => d.door_id === query);
+  if (byId) return byId.door_id;
+  const needle = query.toLowerCase();
+  const exact = doors.filter((d) => (d.name || '').toLowerCase() === needle);
+  const matches = exact.length ? exact : doors.filter((d) => (d.name || '').toLowerCase().includes(needle));
+  if (matches.length === 1) return matches[0].door_id;
+  if (matches.length === 0) throw new UsageError(`No door matches "${query}" (see: breakroom doors)`);
+  throw new UsageError(`"${query}" matches several doors: ${matches.map((d) => `${d.name} (${d.door_id})`).join(', ')}`);
+};
+
+const writeOutput = (data, out) => {
+  if (out) {
+    fs.writeFileSync(out, data);
+    console.error(`✅ Wrote ${out}`);
+  } else {
+    process.stdout.write(data);
+  }
+};
+
+// Report query from the shared report options
+const reportQuery = async (opts) => {
+  if (!opts.door === !opts.area) throw new UsageError('Give either --door or --area');
+  if (opts.min !== undefined && !Number.isFinite(Number(opts.min))) throw new UsageError('--min must be a number');
+  const { listDoors } = await import('./providers/index.js');
+  const { isDoorAllowed } = await import('./sites.js');
+  return {
+    ...(opts.area ? { area_id: opts.area } : { door_id: await resolveDoorId(opts.door, { listDoors, isDoorAllowed }) }),
+    ...(opts.date && { date: opts.date }),
+    ...(opts.start && { start_date: opts.start }),
+    ...(opts.end && { end_date: opts.end }),
+    ...(opts.min !== undefined && { min_minutes: opts.min }),
+    ...(opts.policy && { policy: opts.policy }),
+    ...(opts.group && { group: opts.group }),
+    ...(opts.shift && { shift: opts.shift }),
+    ...(opts.pairing && { pairing: opts.pairing }),
+    ...(opts['merge-gap'] !== undefined && { merge_gap_seconds: opts['merge-gap'] }),
+  };
+};
+
+const report = async (opts) => {
+  const format = opts.format || 'json';
+  if (!FORMATS.includes(format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  if (['xlsx', 'pdf'].includes(format) && !opts.out && process.stdout.isTTY) {
+    throw new UsageError(`--format ${format} is binary; add --out <file> or redirect stdout`);
+  }
+
+  const { buildBreakReport } = await import('./report.js');
+  const { reportToCsv, reportToXlsx, reportToPdf } = await import('./reportExport.js');
+
+  const result = await buildBreakReport(await reportQuery(opts));
+  const render = {
+    json: () => `${JSON.stringify(result, null, 2)}\n`,
+    csv: () => reportToCsv(result),
+    xlsx: () => reportToXlsx(result),
+    pdf: () => reportToPdf(result),
+  };
+  writeOutput(await render[format](), opts.out);
+};
+
+// Every user's breaks, as the payroll export API does
+const payroll = async (opts) => {
+  if (!opts.profile) throw new UsageError('Give --profile <id>');
+  const { buildBreakReport } = await import('./report.js');
+  const { findPayrollProfile, loadPayrollIdMap, buildPayrollExport } = await import('./payroll.js');
+
+  const profile = await findPayrollProfile(opts.profile);
+  const result = await buildBreakReport(await reportQuery(opts), { includeAllUsers: true });
+  const file = buildPayrollExport(result, profile, await loadPayrollIdMap());
+  const outcome = profile.unmapped === 'skip' ? 'left out' : 'exported without one';
+  for (const u of file.unmapped) console.warn(`⚠️ No payroll ID for ${u.userName} (${u.userId}): ${u.breaks} break(s) ${outcome}`);
+  writeOutput(file.body, opts.out);
+};
+
+const doors = async (opts) => {
+  const format = opts.format || 'text';
+  if (!['text', 'json'].includes(format)) throw new UsageError('--format must be text or json');
+  const { listDoors } = await import('./providers/index.js');
+  const { isDoorAllowed } = await import('./sites.js');
+
+  const list = (await listDoors())
+    .filter(isDoorAllowed)
+    .map((d) => ({
+      door_id: d.door_id,
+      name: d.name,
+      site_id: d.site?.site_id || null,
+      site_name: d.site?.name || 'Unknown Site',
+      timezone: d.timezone || 'UTC',
+    }))
+    .sort((a, b) => a.site_name.localeCompare(b.site_name) || a.name.localeCompare(b.name));
+
+  if (format === 'json') return writeOutput(`${JSON.stringify(list, null, 2)}\n`);
+  const rows = [['DOOR ID', 'NAME', 'SITE', 'TIMEZONE'], ...list.map((d) => [d.door_id, d.name, d.site_name, d.timezone])];
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((r) => String(r[i]).length)));
+  writeOutput(`${rows.map((r) => r.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd()).join('\n')}\n`);
+};
+
+const COMMANDS = { report, payroll, doors };
+
+const main = async () => {
+  const { command, opts } = parseArgs(process.argv.slice(2));
+  if (!command || opts.help || ['help', '--help', '-h'].includes(command)) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"\n${USAGE}`);
+  loadEnv(opts);
+  // stdout carries the report; anything the backend modules log goes to stderr
+  console.log = console.error;
+  await COMMANDS[command](opts);
+};
+
+// Report input errors and upstream failures come from modules loaded on demand
+const exitCodeFor = async (err) => {
+  if (err instanceof UsageError) return EXIT.usage;
+  const [{ ReportError }, { PayrollError }, { UpstreamError }] = await Promise.all([
+    import('./report.js'),
+    import('./payroll.js'),
+    import('./httpClient.js'),
+  ]);
+  if (err instanceof ReportError || err instanceof PayrollError) return err.status >= 500 ? EXIT.failure : EXIT.usage;
+  if (err instanceof UpstreamError) return EXIT.upstream;
+  return EXIT.failure;
+};
+
+main().catch(async (err) => {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = await exitCodeFor(err).catch(() => EXIT.failure);
+});
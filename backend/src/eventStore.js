@@ -0,0 +1,144 @@
+// backend/eventStore.js
+// SQLite copy of the org's access events, kept in their raw API shape so report code
+// can't tell a stored event from a live one. Uses the built-in node:sqlite (Node 22.13+),
+// loaded lazily so the rest of the backend still runs on older Node without the store.
+import fs from 'node:fs';
+import path from 'node:path';
+import { DATA_DIR } from './store.js';
+import { eventDoorId, eventUserId, eventKey } from './events.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS access_events (
+    event_key  TEXT PRIMARY KEY,
+    ts_unix    INTEGER NOT NULL,
+    door_id    TEXT,
+    user_id    TEXT,
+    event_type TEXT,
+    raw        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_access_events_ts ON access_events (ts_unix);
+  CREATE INDEX IF NOT EXISTS idx_access_events_door_ts ON access_events (door_id, ts_unix);
+
+  -- Time ranges whose events have been fully fetched (merged, non-overlapping)
+  CREATE TABLE IF NOT EXISTS synced_ranges (
+    start_unix INTEGER NOT NULL,
+    end_unix   INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_state (
+    key   TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+export const openEventStore = async (file = path.join(DATA_DIR, 'events.sqlite')) => {
+  const { DatabaseSync } = await import('node:sqlite');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec(SCHEMA);
+
+  const transaction = (fn) => {
+    db.exec('BEGIN');
+    try {
+      const out = fn();
+      db.exec('COMMIT');
+      return out;
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  };
+
+  const upsertStmt = db.prepare(`
+    INSERT INTO access_events (event_key, ts_unix, door_id, user_id, event_type, raw)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (event_key) DO UPDATE SET
+      ts_unix = excluded.ts_unix, door_id = excluded.door_id, user_id = excluded.user_id,
+      event_type = excluded.event_type, raw = excluded.raw
+  `);
+
+  // Upsert raw API events; returns how many were written.
+  const insertEvents = (events) =>
+    transaction(() => {
+      let n = 0;
+      for (const e of events) {
+        const ms = Date.parse(e?.timestamp);
+        if (!Number.isFinite(ms)) continue;
+        upsertStmt.run(
+          eventKey(e),
+          Math.floor(ms / 1000),
+          eventDoorId(e),
+          eventUserId(e),
+          e.event_type || '',
+          JSON.stringify(e)
+        );
+        n += 1;
+      }
+      return n;
+    });
+
+  // Raw events in [startUnix, endUnix], optionally limited to some doors, oldest first.
+  const queryEvents = (startUnix, endUnix, doorIds = null) => {
+    const doorFilter = doorIds?.length ? ` AND door_id IN (${doorIds.map(() => '?').join(', ')})` : '';
+    return db
+      .prepare(`SELECT raw FROM access_events WHERE ts_unix BETWEEN ? AND ?${doorFilter} ORDER BY ts_unix`)
+      .all(startUnix, endUnix, ...(doorIds?.length ? doorIds : []))
+      .map((row) => JSON.parse(row.raw));
+  };
+
+  // Record [startUnix, endUnix] as fully fetched, merging with touching/overlapping ranges.
+  const markSynced = (startUnix, endUnix) => {
+    if (endUnix < startUnix) return;
+    const ranges = db
+      .prepare('SELECT start_unix, end_unix FROM synced_ranges')
+      .all()
+      .concat([{ start_unix: startUnix, end_unix: endUnix }])
+      .sort((a, b) => a.start_unix - b.start_unix);
+
+    const merged = [];
+    for (const r of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && r.start_unix <= last.end_unix + 1) last.end_unix = Math.max(last.end_unix, r.end_unix);
+      else merged.push({ ...r });
+    }
+
+    transaction(() => {
+      db.exec('DELETE FROM synced_ranges');
+      const ins = db.prepare('INSERT INTO synced_ranges (start_unix, end_unix) VALUES (?, ?)');
+      for (const r of merged) ins.run(r.start_unix, r.end_unix);
+    });
+  };
+
+  const covers = (startUnix, endUnix) =>
+    Boolean(
+      db
+        .prepare('SELECT 1 FROM synced_ranges WHERE start_unix <= ? AND end_unix >= ? LIMIT 1')
+        .get(startUnix, endUnix)
+    );
+
+  const getState = (key) => {
+    const row = db.prepare('SELECT value FROM sync_state WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  };
+
+  const setState = (key, value) => {
+    db.prepare(
+      'INSERT INTO sync_state (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'
+    ).run(key, JSON.stringify(value));
+  };
+
+  const stats = () => {
+    const row = db
+      .prepare('SELECT COUNT(*) AS event_count, MIN(ts_unix) AS oldest_unix, MAX(ts_unix) AS newest_unix FROM access_events')
+      .get();
+    return {
+      file,
+      event_count: row.event_count,
+      oldest_unix: row.oldest_unix,
+      newest_unix: row.newest_unix,
+      synced_ranges: db.prepare('SELECT start_unix, end_unix FROM synced_ranges ORDER BY start_unix').all(),
+    };
+  };
+
+  return { insertEvents, queryEvents, markSynced, covers, getState, setState, stats, close: () => db.close() };
+};
@@ -0,0 +1,206 @@
+// backend/eventSync.js
+// Background incremental sync of access events into the local event store,
+// manual backfills, and the "store or live?" decision used by reports.
+// Enabled with EVENT_STORE=sqlite; without it every read goes straight to the access provider.
+import { fetchAccessEvents } from './providers/index.js';
+import { openEventStore } from './eventStore.js';
+import { eventDoorId, eventKey } from './events.js';
+
+const envNumber = (name, fallback) =>
+  Number.isFinite(Number(process.env[name])) ? Number(process.env[name]) : fallback;
+
+const DAY_SECONDS = 24 * 60 * 60;
+const MAX_BACKFILL_HISTORY = 20;
+
+let store = null;
+let config = null;
+let jobSeq = 0;
+
+const status = {
+  running: null,          // 'incremental' | 'backfill' | null
+  last_run_at: null,
+  last_success_at: null,
+  last_error: null,
+  last_error_kind: null,  // UpstreamError kind, e.g. 'rate_limited'
+  last_synced_events: 0,
+  backfills: [],          // most recent first
+};
+
+// Sync ticks and backfills share one queue so they never page the API concurrently.
+let queue = Promise.resolve();
+const enqueue = (fn) => {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const nowUnix = () => Math.floor(Date.now() / 1000);
+
+const syncIncremental = async () => {
+  const now = nowUnix();
+  const cursor = store.getState('cursor_unix');
+  // Resume from where the last run got to; re-read a small overlap for late-arriving events.
+  const from = cursor ? cursor - config.overlapSeconds : now - config.lookbackDays * DAY_SECONDS;
+
+  status.running = 'incremental';
+  status.last_run_at = new Date().toISOString();
+  try {
+    let n = 0;
+    await fetchAccessEvents(from, now, {
+      onPage: (events) => {
+        n += store.insertEvents(events);
+      },
+    });
+    store.markSynced(from, now);
+    store.setState('cursor_unix', now);
+    status.last_success_at = new Date().toISOString();
+    status.last_synced_events = n;
+    status.last_error = null;
+    status.last_error_kind = null;
+  } catch (err) {
+    status.last_error = err.message;
+    status.last_error_kind = err.kind || null;
+    console.error('❌ event sync error', err);
+  } finally {
+    status.running = null;
+  }
+};
+
+export const startEventSync = async () => {
+  if ((process.env.EVENT_STORE || '').toLowerCase() !== 'sqlite') return false;
+
+  config = {
+    intervalSeconds: Math.max(10, envNumber('EVENT_SYNC_INTERVAL_SECONDS', 60)),
+    lookbackDays: Math.max(0, envNumber('EVENT_SYNC_LOOKBACK_DAYS', 1)),
+    overlapSeconds: Math.max(0, envNumber('EVENT_SYNC_OVERLAP_SECONDS', 300)),
+  };
+  store = await openEventStore(process.env.EVENT_STORE_PATH || undefined);
+
+  const tick = () => enqueue(syncIncremental);
+  tick();
+  setInterval(tick, config.intervalSeconds * 1000);
+  return true;
+};
+
+export const isEventStoreEnabled = () => store !== null;
+
+// Fetch [startUnix, endUnix] into the store in day-sized chunks. Runs after any queued work;
+// the returned job object is updated in place and reported through getSyncStatus().
+export const queueBackfill = (startUnix, endUnix) => {
+  if (!store) throw new Error('Event store is disabled');
+
+  const end = Math.min(endUnix, nowUnix());
+  const job = {
+    id: ++jobSeq,
+    start_unix: startUnix,
+    end_unix: end,
+    state: 'queued',      // queued | running | done | failed
+    progress: 0,          // 0..1
+    synced_events: 0,
+    error: null,
+    queued_at: new Date().toISOString(),
+    finished_at: null,
+  };
+  status.backfills.unshift(job);
+  status.backfills.length = Math.min(status.backfills.length, MAX_BACKFILL_HISTORY);
+
+  enqueue(async () => {
+    job.state = 'running';
+    status.running = 'backfill';
+    try {
+      for (let chunkStart = startUnix; chunkStart <= end; chunkStart += DAY_SECONDS) {
+        const chunkEnd = Math.min(chunkStart + DAY_SECONDS - 1, end);
+        await fetchAccessEvents(chunkStart, chunkEnd, {
+          onPage: (events) => {
+            job.synced_events += store.insertEvents(events);
+          },
+        });
+        store.markSynced(chunkStart, chunkEnd);
+        job.progress = Math.min(1, (chunkEnd - startUnix + 1) / (end - startUnix + 1));
+      }
+      job.state = 'done';
+    } catch (err) {
+      job.state = 'failed';
+      job.error = err.message;
+      console.error('❌ event backfill error', err);
+    } finally {
+      job.finished_at = new Date().toISOString();
+      status.running = null;
+    }
+  });
+
+  return job;
+};
+
+// Events pushed by the webhook receiver, kept in memory for WEBHOOK_BUFFER_HOURS (default 24)
+// so reports and live views see them before the provider's API (or the next sync) does.
+const pushed = new Map(); // eventKey → raw event
+
+const prunePushed = () => {
+  const cutoffMs = Date.now() - envNumber('WEBHOOK_BUFFER_HOURS', 24) * 3600 * 1000;
+  for (const [key, e] of pushed) {
+    if (Date.parse(e.timestamp) < cutoffMs) pushed.delete(key);
+  }
+};
+
+// Returns how many of `events` were new (not already pushed).
+export const ingestEvents = (events) => {
+  prunePushed();
+  let added = 0;
+  for (const e of events) {
+    const key = eventKey(e);
+    if (pushed.has(key)) continue;
+    pushed.set(key, e);
+    added += 1;
+  }
+  if (store) store.insertEvents(events);
+  return added;
+};
+
+const withPushed = (events, startUnix, endUnix, doorIds) => {
+  if (pushed.size === 0) return events;
+  const seen = new Set(events.map(eventKey));
+  const doors = doorIds ? new Set(doorIds) : null;
+  const extra = [...pushed.values()].filter((e) => {
+    const s = Date.parse(e.timestamp) / 1000;
+    return s >= startUnix && s <= endUnix + 1 && (!doors || doors.has(eventDoorId(e))) && !seen.has(eventKey(e));
+  });
+  return extra.length ? [...events, ...extra] : events;
+};
+
+// Raw access events for a window: from the store when it has synced the whole window
+// (the live edge may lag by up to two sync intervals), otherwise live from the provider.
+// Live results are written back so the next report over the same window is local.
+// Webhook-pushed events in the window are merged in either way.
+export const getAccessEvents = async (startUnix, endUnix, doorIds = null) => {
+  const now = nowUnix();
+  if (store) {
+    const cursor = store.getState('cursor_unix') || 0;
+    const neededEnd = Math.min(endUnix, now);
+    const fresh = neededEnd <= cursor || now - cursor <= config.intervalSeconds * 2;
+    if (fresh && store.covers(startUnix, Math.min(neededEnd, cursor))) {
+      const events = store.queryEvents(startUnix, endUnix, doorIds);
+      return { events: withPushed(events, startUnix, endUnix, doorIds), source: 'store' };
+    }
+  }
+
+  const events = await fetchAccessEvents(startUnix, endUnix);
+  if (store) {
+    store.insertEvents(events);
+    store.markSynced(startUnix, Math.min(endUnix, now));
+  }
+  return { events: withPushed(events, startUnix, endUnix, doorIds), source: 'live' };
+};
+
+export const getSyncStatus = () => {
+  if (!store) return { enabled: false };
+  const cursor = store.getState('cursor_unix');
+  return {
+    enabled: true,
+    interval_seconds: config.intervalSeconds,
+    cursor_unix: cursor,
+    cursor_iso: cursor ? new Date(cursor * 1000).toISOString() : null,
+    ...status,
+    store: store.stats(),
+  };
+};
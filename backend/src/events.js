@@ -0,0 +1,80 @@
+// backend/events.js
+// Access events in the access-control API's raw shape
+//   { event_id, event_type, timestamp, device_id, event_info: { doorId, direction, userId, userName, ... } }
+// and the one mapping from that shape to what report/live code works with. Events polled from the
+// API, read from the local store and pushed to the webhook receiver all go through here.
+import { DateTime } from 'luxon';
+import { normalizeDirection } from './utils.js';
+
+export const eventDoorId = (e) => e?.event_info?.doorId || e?.device_id || null;
+export const eventUserId = (e) => e?.event_info?.userId || e?.event_info?.userInfo?.userId || null;
+
+// Events without an id still need a stable key so re-syncing an overlap doesn't duplicate them.
+export const eventKey = (e) =>
+  e.event_id ||
+  [e.timestamp, eventDoorId(e), eventUserId(e), e.event_info?.direction, e.event_type].join('|');
+
+export const isApbEvent = (e) => (e.event_type || '').startsWith('DOOR_APB_');
+
+// Raw event → report shape. `door` is the event's door (or a stand-in when unknown);
+// `tz` is the zone dates/times are shown in.
+export const normalizeAccessEvent = (e, door, tz = door?.timezone || 'UTC') => {
+  const info = e.event_info || {};
+  const { norm, label } = normalizeDirection(info.direction);
+  return {
+    event_id: e.event_id,
+    event_type: e.event_type || '',                 // <-- include
+    violationMessage: info.message || null,         // <-- include
+    timestampISO: e.timestamp,
+    ts: DateTime.fromISO(e.timestamp, { zone: 'utc' }).setZone(tz),
+    userId: info.userId || info.userInfo?.userId || 'unknown',
+    userName: info.userName || info.userInfo?.name || 'Unknown User',
+    siteName: info.siteName || door?.site?.name || 'Unknown Site',
+    direction: norm, // 'in' | 'out' | other
+    directionLabel: label,
+    doorName: info.doorInfo?.name || door?.name || 'Door',
+  };
+};
+
+// Entries/exits pair into breaks; APB events are reported as violations; the rest is noise.
+export const isBreakEvent = (ev) => ev.direction === 'in' || ev.direction === 'out' || isApbEvent(ev);
+
+// Coerce one pushed event into the raw shape. Accepts the API's shape, or a flat
+// { event_id, event_type, timestamp | created_at (ISO or unix seconds), door_id | device_id,
+//   user_id, user_name, direction, site_name, door_name, message }.
+// Returns { event } or { error } with a reason.
+export const toAccessEvent = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return { error: 'not an object' };
+
+  const info = item.event_info && typeof item.event_info === 'object' ? item.event_info : {};
+  const rawTs = item.timestamp ?? item.created_at ?? item.time;
+  const ts =
+    typeof rawTs === 'number' || /^\d+$/.test(String(rawTs ?? ''))
+      ? DateTime.fromSeconds(Number(rawTs), { zone: 'utc' })
+      : DateTime.fromISO(String(rawTs ?? ''), { zone: 'utc' });
+  if (!ts.isValid) return { error: 'missing or invalid timestamp' };
+
+  const doorId = info.doorId || item.device_id || item.door_id;
+  if (!doorId) return { error: 'missing door id' };
+
+  const userId = info.userId || info.userInfo?.userId || item.user_id;
+  const userName = info.userName || info.userInfo?.name || item.user_name;
+  const event = {
+    event_id: item.event_id ? String(item.event_id) : undefined,
+    event_type: String(item.event_type || ''),
+    timestamp: ts.toUTC().toISO({ suppressMilliseconds: true }),
+    device_id: item.device_id || String(doorId),
+    event_info: {
+      ...info,
+      doorId: String(doorId),
+      direction: info.direction ?? item.direction,
+      ...(userId ? { userId: String(userId) } : {}),
+      ...(userName ? { userName: String(userName) } : {}),
+      ...(info.siteName || item.site_name ? { siteName: info.siteName || item.site_name } : {}),
+      ...(info.doorInfo || item.door_name ? { doorInfo: info.doorInfo || { name: item.door_name } } : {}),
+      ...(info.message || item.message ? { message: info.message || item.message } : {}),
+    },
+  };
+  if (!event.event_id) delete event.event_id;
+  return { event };
+};
@@ -0,0 +1,69 @@
+// backend/groups.js
+// Break allowances per access group. DATA_DIR/group_rules.json lists rules in priority order:
+//   [{ "group_id": "<access group id>", "min_minutes": 30, "policy_id": "supervisors" },
+//    { "group_name": "Warehouse Staff", "min_minutes": 45 }]
+// A rule matches by group_id or by group name; a user in several groups gets the first
+// matching rule. Re-read on every call like areas.json.
+// A rule's site_ids (optional) ties the group to those sites: /api/groups only lists it to users
+// who can see one of them. A rule may carry site_ids alone, without an allowance.
+import { readJSON } from './store.js';
+
+const hasAllowance = (rule) => rule.min_minutes !== null || rule.policy_id !== null;
+
+export const loadGroupRules = async () => {
+  const raw = await readJSON('group_rules', []);
+  if (!Array.isArray(raw)) throw new Error('group_rules.json must contain an array of rules');
+
+  const rules = [];
+  for (const r of raw) {
+    const minMinutes = Number(r?.min_minutes);
+    const rule = {
+      group_id: r?.group_id ? String(r.group_id) : null,
+      group_name: r?.group_name ? String(r.group_name) : null,
+      min_minutes: r?.min_minutes !== undefined && Number.isFinite(minMinutes) ? minMinutes : null,
+      policy_id: r?.policy_id ? String(r.policy_id) : null,
+      site_ids: Array.isArray(r?.site_ids) ? r.site_ids.map(String) : null,
+    };
+    const badSites = r?.site_ids !== undefined && (!rule.site_ids || rule.site_ids.length === 0);
+    if ((!rule.group_id && !rule.group_name) || (!hasAllowance(rule) && !rule.site_ids) || badSites) {
+      console.warn('⚠️ Skipping invalid group rule', r);
+      continue;
+    }
+    rules.push(rule);
+  }
+  return rules;
+};
+
+const ruleMatches = (rule, group) =>
+  (rule.group_id && rule.group_id === group.group_id) || (rule.group_name && rule.group_name === group.name);
+
+// Returns userId => { groups: [{ group_id, name }], group, rule } where `group` is the group whose
+// rule applies (or simply the user's first group when no rule does) and `rule` may be null.
+export const buildGroupResolver = (accessGroups, rules) => {
+  const byUser = new Map();
+  for (const g of accessGroups) {
+    for (const userId of g.user_ids || []) {
+      if (!byUser.has(userId)) byUser.set(userId, []);
+      byUser.get(userId).push({ group_id: g.group_id, name: g.name });
+    }
+  }
+
+  const allowances = rules.filter(hasAllowance);
+  return (userId) => {
+    const groups = byUser.get(userId) || [];
+    for (const rule of allowances) {
+      const group = groups.find((g) => ruleMatches(rule, g));
+      if (group) return { groups, group, rule };
+    }
+    return { groups, group: groups[0] || null, rule: null };
+  };
+};
+
+// The rule (if any) configured for one access group, for listings.
+export const ruleForGroup = (group, rules) => rules.find((r) => hasAllowance(r) && ruleMatches(r, group)) || null;
+
+// Sites one access group is tied to by its rules, or null when none tie it (an org-wide group)
+export const groupSiteIds = (group, rules) => {
+  const siteIds = rules.filter((r) => r.site_ids && ruleMatches(r, group)).flatMap((r) => r.site_ids);
+  return siteIds.length ? [...new Set(siteIds)] : null;
+};
@@ -0,0 +1,98 @@
+// backend/history.js
+// One employee's break history at a door or area over the last 30 or 90 days, for the
+// drill-down page: a total for every day (zero days included), days over threshold, average
+// break length, APB violations and the pairs behind it all. Built from a single-user break report.
+import { DateTime } from 'luxon';
+import { ReportError, buildBreakReport, resolveReportTarget } from './report.js';
+import { msToHMM, fmtDate } from './utils.js';
+
+export const HISTORY_DAYS = [30, 90];
+
+// Params (strings, as they arrive in the query string):
+//   door_id or area_id (required), days (30 or 90, defaults to 30)
+//   min_minutes, policy, pairing, merge_gap_seconds (as in buildBreakReport)
+// Returns:
+//   { user: { userId, userName, siteName, groups, group, minMinutes }, door, area, generatedRange, days,
+//     min_minutes, pairing, source, totalMs, totalLabel, excusedMs, excusedLabel, breakCount, averageBreakMs, averageBreakLabel,
+//     daysWithBreaks, daysOver, daily: [{ date, totalMs, totalLabel, excusedMs, breakCount, overThreshold }],
+//     pairs: [...], violations: [...], policyViolations: [...], unmatched: [...] }
+//   user.userName is null when the user has no events in the window.
+export const buildUserHistory = async (userId, query, { canAccessDoor } = {}) => {
+  const days = query.days === undefined || query.days === '' ? HISTORY_DAYS[0] : Number(query.days);
+  if (!HISTORY_DAYS.includes(days)) {
+    throw new ReportError(400, `days must be one of ${HISTORY_DAYS.join(', ')}`);
+  }
+
+  // Days end today in the door's timezone, like a report without dates
+  const { memberDoors } = await resolveReportTarget(query, canAccessDoor);
+  const today = DateTime.now().setZone(memberDoors[0].timezone || 'UTC').startOf('day');
+  const first = today.minus({ days: days - 1 });
+
+  const { door_id, area_id, min_minutes, policy, pairing, merge_gap_seconds } = query;
+  const report = await buildBreakReport(
+    {
+      ...(area_id ? { area_id } : { door_id }),
+      start_date: fmtDate(first),
+      end_date: fmtDate(today),
+      min_minutes,
+      policy,
+      pairing,
+      merge_gap_seconds,
+      user: String(userId),
+    },
+    { canAccessDoor, maxRangeDays: days }
+  );
+
+  const u = report.users[0];
+  const reportDays = new Map((u?.days || []).map((d) => [d.date, d]));
+  const daily = [];
+  for (let d = first; d <= today; d = d.plus({ days: 1 })) {
+    const date = fmtDate(d);
+    const day = reportDays.get(date);
+    daily.push({
+      date,
+      totalMs: day?.totalMs || 0,
+      totalLabel: msToHMM(day?.totalMs || 0),
+      excusedMs: day?.excusedMs || 0,
+      breakCount: day?.pairs.length || 0,
+      overThreshold: Boolean(day?.overThreshold),
+    });
+  }
+
+  const pairs = u?.pairs || [];
+  const totalMs = u?.totalMs || 0;
+  const averageBreakMs = pairs.length ? Math.round(totalMs / pairs.length) : 0;
+
+  return {
+    user: {
+      userId: String(userId),
+      userName: u?.userName || null,
+      siteName: u?.siteName || null,
+      groups: u?.groups || [],
+      group: u?.group || null,
+      minMinutes: u?.minMinutes ?? report.min_minutes,
+    },
+    door: report.door,
+    area: report.area,
+    generatedRange: report.generatedRange,
+    days,
+    min_minutes: report.min_minutes,
+    pairing: report.pairing,
+    policy: report.policy,
+    source: report.source,
+    totalMs,
+    totalLabel: msToHMM(totalMs),
+    excusedMs: u?.excusedMs || 0,
+    excusedLabel: msToHMM(u?.excusedMs || 0),
+    breakCount: pairs.length,
+    averageBreakMs,
+    averageBreakLabel: msToHMM(averageBreakMs),
+    daysWithBreaks: u?.days.length || 0,
+    daysOver: u?.daysOver || 0,
+    daily,
+    pairs,
+    violations: u?.violations || [],
+    policyViolations: u?.policyViolations || [],
+    unmatched: u?.unmatched || [],
+  };
+};
@@ -0,0 +1,115 @@
+// backend/httpClient.js
+// Shared HTTP client for upstream APIs: per-request timeouts, retries with exponential
+// backoff + jitter on 429/5xx/network errors (honouring Retry-After), and a single
+// token refresh + replay when a request comes back 401.
+import fetch from 'node-fetch';
+
+// kind: 'rate_limited' | 'auth' | 'timeout' | 'network' | 'upstream'
+export class UpstreamError extends Error {
+  constructor(message, { kind, status = null, retryAfterSeconds = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'UpstreamError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After is either delta-seconds or an HTTP date; returns milliseconds or null.
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+};
+
+const kindForStatus = (status) => {
+  if (status === 429) return 'rate_limited';
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 408) return 'timeout';
+  return 'upstream';
+};
+
+export const createHttpClient = ({
+  timeoutMs = 15000,
+  maxRetries = 4,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+} = {}) => {
+  // "Full jitter": anywhere between 0 and the exponential cap for this attempt.
+  const backoff = (attempt) => Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+
+  // Performs the request and parses the JSON body, both inside the timeout.
+  // `auth({ forceRefresh })` (optional) returns headers to add; it is asked again with
+  // forceRefresh=true after a 401 and the request is replayed once.
+  // responseType: 'text' for endpoints that don't answer in JSON (e.g. chat webhooks replying "ok").
+  const requestJSON = async (
+    url,
+    { method = 'GET', headers = {}, body, auth, label = 'Upstream request', responseType = 'json' } = {}
+  ) => {
+    let refreshedAuth = false;
+    let forceRefresh = false;
+
+    for (let attempt = 0; ; attempt += 1) {
+      const authHeaders = auth ? await auth({ forceRefresh }) : {};
+      forceRefresh = false;
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      let res;
+      let data;
+      try {
+        res = await fetch(url, {
+          method,
+          headers: { accept: 'application/json', ...headers, ...authHeaders },
+          body,
+          signal: controller.signal,
+        });
+        data = res.ok && responseType === 'json' ? await res.json() : await res.text().catch(() => '');
+      } catch (err) {
+        const timedOut = err.name === 'AbortError';
+        const error = new UpstreamError(
+          timedOut ? `${label} timed out after ${timeoutMs}ms` : `${label} failed: ${err.message}`,
+          { kind: timedOut ? 'timeout' : 'network', cause: err }
+        );
+        if (attempt >= maxRetries) throw error;
+        await sleep(backoff(attempt));
+        continue;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (res.ok) return data;
+
+      if (res.status === 401 && auth && !refreshedAuth) {
+        refreshedAuth = true;
+        forceRefresh = true;
+        continue;
+      }
+
+      const retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+      const error = new UpstreamError(
+        `${label} failed: ${res.status} ${res.statusText}${data ? ` :: ${data}` : ''}`,
+        {
+          kind: kindForStatus(res.status),
+          status: res.status,
+          retryAfterSeconds: retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000),
+        }
+      );
+      // Don't sit on a request longer than maxDelayMs just because the server asked us to.
+      const canRetry =
+        RETRYABLE_STATUS.has(res.status) &&
+        attempt < maxRetries &&
+        (retryAfterMs === null || retryAfterMs <= maxDelayMs);
+      if (!canRetry) throw error;
+      await sleep(retryAfterMs ?? backoff(attempt));
+    }
+  };
+
+  return { requestJSON };
+};
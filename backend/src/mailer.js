@@ -0,0 +1,34 @@
+// backend/mailer.js
+// Outgoing email over SMTP (nodemailer). Configured from env:
+//   SMTP_HOST, SMTP_PORT (default 587, or 465 with SMTP_SECURE=true), SMTP_SECURE,
+//   SMTP_USER / SMTP_PASS (optional; omit for local catchers like MailHog/Mailpit), MAIL_FROM
+import nodemailer from 'nodemailer';
+
+let transport = null;
+
+export const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+const getTransport = () => {
+  if (transport) return transport;
+  if (!isMailConfigured()) throw new Error('Email is not configured (set SMTP_HOST)');
+
+  const secure = String(process.env.SMTP_SECURE || '').toLowerCase() === 'true';
+  transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return transport;
+};
+
+// message: { to: string[], subject, html, text, attachments?: [{ filename, content, contentType }] }
+export const sendMail = async ({ to, subject, html, text, attachments = [] }) =>
+  getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Breakroom <breakroom@localhost>',
+    to: to.join(', '),
+    subject,
+    html,
+    text,
+    attachments,
+  });
@@ -0,0 +1,116 @@
+// backend/manageUsers.js
+// Manage dashboard accounts in DATA_DIR/users.json (see auth.js for the format and roles).
+//   npm run users -- list
+//   npm run users -- add <username> --role admin|hr|supervisor [--name "Jo Doe"] [--email jo@example.com]
+//                        [--sites <site id>,…] [--doors <door id>,…] [--password <password>]
+//   npm run users -- update <username> [--role …] [--name …] [--email …] [--sites …] [--doors …]
+//   npm run users -- passwd <username> [--password <password>]
+//   npm run users -- disable|enable|remove <username>
+// Without --password the password is asked for on the terminal.
+import 'dotenv/config';
+import readline from 'node:readline';
+import { ROLES, loadUsers, saveUsers, hashPassword } from './auth.js';
+import { readJSON } from './store.js';
+
+const USAGE = 'Usage: npm run users -- list | add <username> --role <role> | update <username> | passwd <username> | disable|enable|remove <username>';
+
+const parseArgs = (argv) => {
+  const [command, username, ...rest] = argv;
+  const opts = {};
+  for (let i = 0; i < rest.length; i++) {
+    if (!rest[i].startsWith('--')) throw new Error(`Unexpected argument: ${rest[i]}`);
+    const flag = rest[i].slice(2);
+    if (rest[i + 1] === undefined || rest[i + 1].startsWith('--')) throw new Error(`--${flag} needs a value`);
+    opts[flag] = rest[++i];
+  }
+  return { command, username, opts };
+};
+
+const list = (v) => (v === undefined ? undefined : v.split(',').map((s) => s.trim()).filter(Boolean));
+
+// Reads a line without echoing it
+const promptPassword = (question) =>
+  new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (s) => {
+      if (s.includes(question)) rl.output.write(s);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+
+const readPassword = async (opts) => {
+  const password = opts.password ?? (await promptPassword('Password: '));
+  if (String(password).length < 8) throw new Error('Password must be at least 8 characters');
+  return password;
+};
+
+const applyOptions = (user, opts) => {
+  if (opts.role !== undefined) {
+    if (!ROLES.includes(opts.role)) throw new Error(`--role must be one of ${ROLES.join(', ')}`);
+    user.role = opts.role;
+  }
+  if (opts.name !== undefined) user.name = opts.name;
+  if (opts.email !== undefined) user.email = opts.email || null;
+  if (opts.sites !== undefined) user.site_ids = list(opts.sites);
+  if (opts.doors !== undefined) user.door_ids = list(opts.doors);
+  if (user.role === 'supervisor' && !user.site_ids?.length && !user.door_ids?.length) {
+    console.warn('⚠️ Supervisors without --sites or --doors can see nothing');
+  }
+};
+
+const main = async () => {
+  const { command, username, opts } = parseArgs(process.argv.slice(2));
+  // Changes go to the file as written: entries loadUsers would skip or fill in are kept as they are
+  const users = await readJSON('users', []);
+  if (!Array.isArray(users)) throw new Error('users.json must contain an array of users');
+  const find = () => {
+    const user = users.find((u) => u?.username === username);
+    if (!user) throw new Error(`No user named "${username}"`);
+    return user;
+  };
+  if (command !== 'list' && !username) throw new Error(USAGE);
+
+  switch (command) {
+    case 'list':
+      for (const u of await loadUsers()) {
+        const scope = u.role === 'supervisor' ? ` sites=[${u.site_ids.join(',')}] doors=[${u.door_ids.join(',')}]` : '';
+        console.log(`${u.username}\t${u.role}${u.disabled ? ' (disabled)' : ''}\t${u.name}${scope}`);
+      }
+      return;
+    case 'add': {
+      if (users.some((u) => u?.username === username)) throw new Error(`User "${username}" already exists`);
+      if (!opts.role) throw new Error('--role is required');
+      const user = { username, name: username, site_ids: [], door_ids: [] };
+      applyOptions(user, opts);
+      user.password_hash = await hashPassword(await readPassword(opts));
+      users.push(user);
+      break;
+    }
+    case 'update':
+      applyOptions(find(), opts);
+      break;
+    case 'passwd':
+      find().password_hash = await hashPassword(await readPassword(opts));
+      break;
+    case 'disable':
+    case 'enable':
+      find().disabled = command === 'disable';
+      break;
+    case 'remove':
+      users.splice(users.indexOf(find()), 1);
+      break;
+    default:
+      throw new Error(USAGE);
+  }
+  await saveUsers(users);
+  console.log(`✅ ${command} ${username}`);
+};
+
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,227 @@
+// backend/occupancy.js
+// Live "who is in the break room now": anyone whose latest IN at a break area has no OUT yet.
+// Break areas are the configured areas (areas.json); without any, every door with "break" in
+// its name counts as its own area. Only the last OCCUPANCY_LOOKBACK_HOURS (default 12) of events
+// are considered, so a forgotten badge-out drops off instead of sitting "inside" forever.
+// Streaming clients share one poller (every OCCUPANCY_REFRESH_SECONDS, default 15) that only
+// runs while someone is subscribed; other callers share its snapshot (see getOccupancy).
+import { DateTime } from 'luxon';
+import { loadAreas } from './areas.js';
+import { loadGroupRules, buildGroupResolver } from './groups.js';
+import { listDoors, listAccessGroups } from './providers/index.js';
+import { getAccessEvents, isEventStoreEnabled } from './eventSync.js';
+import { eventDoorId, eventUserId, eventKey } from './events.js';
+import { isDoorAllowed } from './sites.js';
+import { normalizeDirection, toUnix, msToHMM, fmtTime } from './utils.js';
+
+const envNumber = (name, fallback) =>
+  Number.isFinite(Number(process.env[name])) && Number(process.env[name]) > 0 ? Number(process.env[name]) : fallback;
+
+const LOOKBACK_HOURS = envNumber('OCCUPANCY_LOOKBACK_HOURS', 12);
+const REFRESH_SECONDS = envNumber('OCCUPANCY_REFRESH_SECONDS', 15);
+const FETCH_OVERLAP_SECONDS = 120; // late-arriving events; re-reads are deduped by eventKey
+
+// Break areas as { key, area_id | door_id, name, doors }, limited to allowed sites
+const loadBreakAreas = async (doorsById) => {
+  const configured = (await loadAreas())
+    .map((a) => ({ area: a, doors: a.door_ids.map((id) => doorsById.get(id)).filter(Boolean) }))
+    .filter(({ doors }) => doors.length && doors.every(isDoorAllowed))
+    .map(({ area, doors }) => ({ key: `area:${area.area_id}`, area_id: area.area_id, door_id: null, name: area.name, doors }));
+  if (configured.length) return configured;
+
+  return [...doorsById.values()]
+    .filter((d) => isDoorAllowed(d) && (d.name || '').toLowerCase().includes('break'))
+    .map((d) => ({ key: `door:${d.door_id}`, area_id: null, door_id: d.door_id, name: d.name, doors: [d] }));
+};
+
+// Without the event store, the lookback's events are kept here between snapshots and only the
+// ones since the previous fetch are asked for again, rather than LOOKBACK_HOURS of them each time.
+let recent = null; // { doorKey, untilUnix, events: Map(eventKey → event) }
+
+const lookbackEvents = async (startUnix, endUnix, doorIds) => {
+  if (isEventStoreEnabled()) return getAccessEvents(startUnix, endUnix, doorIds);
+
+  const doorKey = [...doorIds].sort().join(',');
+  const reuse = recent?.doorKey === doorKey && recent.untilUnix > startUnix;
+  const { events, source } = await getAccessEvents(
+    reuse ? recent.untilUnix - FETCH_OVERLAP_SECONDS : startUnix,
+    endUnix,
+    doorIds
+  );
+  const wanted = new Set(doorIds);
+  const kept = reuse ? recent.events : new Map();
+  for (const e of events) {
+    if (wanted.has(eventDoorId(e))) kept.set(eventKey(e), e);
+  }
+  for (const [key, e] of kept) {
+    if (Date.parse(e.timestamp) < startUnix * 1000) kept.delete(key);
+  }
+  recent = { doorKey, untilUnix: endUnix, events: kept };
+  return { events: [...kept.values()], source };
+};
+
+// Snapshot of who is inside, without thresholds applied (see presentOccupancy).
+//   { generated_at, source, lookback_hours, areas: [{ key, area_id, door_id, name, site_id, site_name, doors, timezone,
+//     occupants: [{ userId, userName, since, sinceUnix, sinceTime, doorName, group, ruleMinutes }] }] }
+const loadOccupancy = async () => {
+  const doorsById = new Map((await listDoors()).map((d) => [d.door_id, d]));
+  const breakAreas = await loadBreakAreas(doorsById);
+
+  // Group rules can give members their own threshold; without rules membership is skipped.
+  const groupRules = await loadGroupRules();
+  let accessGroups = [];
+  if (groupRules.length) {
+    try {
+      accessGroups = await listAccessGroups();
+    } catch (err) {
+      console.warn('⚠️ Access groups unavailable; live view uses the default threshold:', err.message);
+    }
+  }
+  const resolveGroups = buildGroupResolver(accessGroups, groupRules);
+
+  const now = DateTime.utc();
+  const doorIds = [...new Set(breakAreas.flatMap((a) => a.doors.map((d) => d.door_id)))];
+  const { events, source } = doorIds.length
+    ? await lookbackEvents(toUnix(now.minus({ hours: LOOKBACK_HOURS })), toUnix(now), doorIds)
+    : { events: [], source: 'live' };
+
+  const sorted = events
+    .map((e) => ({ e, ts: DateTime.fromISO(e.timestamp, { zone: 'utc' }) }))
+    .filter(({ ts }) => ts.isValid && ts <= now)
+    .sort((a, b) => a.ts.toMillis() - b.ts.toMillis());
+
+  const areas = breakAreas.map((a) => {
+    const tz = a.doors[0].timezone || 'UTC';
+    const memberDoorIds = new Set(a.doors.map((d) => d.door_id));
+
+    // Latest unmatched IN per user, across every door of the area (an OUT on any door closes it)
+    const inside = new Map();
+    for (const { e, ts } of sorted) {
+      if (!memberDoorIds.has(eventDoorId(e))) continue;
+      const userId = eventUserId(e);
+      if (!userId) continue;
+      const { norm } = normalizeDirection(e.event_info?.direction);
+      if (norm === 'in') inside.set(userId, { e, ts });
+      else if (norm === 'out') inside.delete(userId);
+    }
+
+    const occupants = [...inside.entries()].map(([userId, { e, ts }]) => {
+      const info = e.event_info || {};
+      const membership = resolveGroups(userId);
+      return {
+        userId,
+        userName: info.userName || info.userInfo?.name || 'Unknown User',
+        since: ts.toISO(),
+        sinceUnix: toUnix(ts),
+        sinceTime: fmtTime(ts.setZone(tz)),
+        doorName: info.doorInfo?.name || a.doors.find((d) => d.door_id === eventDoorId(e))?.name || 'Door',
+        group: membership.group ? { group_id: membership.group.group_id, name: membership.group.name } : null,
+        ruleMinutes: membership.rule?.min_minutes ?? null,
+      };
+    });
+
+    return {
+      key: a.key,
+      area_id: a.area_id,
+      door_id: a.door_id,
+      name: a.name,
+      site_id: a.doors[0].site?.site_id || null,
+      site_name: a.doors[0].site?.name || 'Unknown Site',
+      doors: a.doors.map((d) => ({ door_id: d.door_id, site_id: d.site?.site_id || null })),
+      timezone: tz,
+      occupants,
+    };
+  });
+
+  return { generated_at: now.toISO(), source, lookback_hours: LOOKBACK_HOURS, areas };
+};
+
+// Apply a threshold (minutes) to a snapshot: elapsed time per occupant, longest first.
+// A group rule's min_minutes wins over the caller's threshold, as in reports.
+export const presentOccupancy = (snapshot, minMinutes, nowMs = Date.now()) => ({
+  ...snapshot,
+  threshold_minutes: minMinutes,
+  areas: snapshot.areas.map((a) => {
+    const occupants = a.occupants
+      .map((o) => {
+        const thresholdMinutes = o.ruleMinutes ?? minMinutes;
+        const elapsedMs = Math.max(0, nowMs - o.sinceUnix * 1000);
+        return {
+          ...o,
+          thresholdMinutes,
+          elapsedMs,
+          elapsedLabel: msToHMM(elapsedMs),
+          overThreshold: elapsedMs > thresholdMinutes * 60 * 1000,
+        };
+      })
+      .sort((x, y) => y.elapsedMs - x.elapsedMs);
+    return { ...a, occupants, over_count: occupants.filter((o) => o.overThreshold).length };
+  }),
+});
+
+// -------------------------------
+// Shared snapshot
+// -------------------------------
+// Without the event store every snapshot pages LOOKBACK_HOURS of events from the provider, so one
+// snapshot (or the load in flight) serves every caller for REFRESH_SECONDS. Failures aren't kept.
+let shared = null; // { at, promise }
+
+export const getOccupancy = () => {
+  if (shared && Date.now() - shared.at < REFRESH_SECONDS * 1000) return shared.promise;
+  const entry = { at: Date.now(), promise: loadOccupancy() };
+  shared = entry;
+  entry.promise.catch(() => {
+    if (shared === entry) shared = null;
+  });
+  return entry.promise;
+};
+
+// -------------------------------
+// Shared poller for streaming clients
+// -------------------------------
+const listeners = new Set();
+let latest = null; // { snapshot } | { error }
+let timer = null;
+let generation = 0;
+
+const poll = async (gen) => {
+  try {
+    latest = { snapshot: await getOccupancy() };
+  } catch (err) {
+    console.error('❌ Live occupancy refresh failed', err);
+    latest = { error: err };
+  }
+  if (gen !== generation) return; // stopped (or restarted) while loading
+  for (const listener of listeners) listener(latest);
+  timer = setTimeout(() => poll(gen), REFRESH_SECONDS * 1000);
+};
+
+// listener({ snapshot } | { error }) is called on every refresh; returns an unsubscribe function.
+export const subscribeOccupancy = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    generation += 1;
+    latest = null;
+    poll(generation);
+  } else if (latest) {
+    listener(latest);
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      generation += 1;
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+};
+
+// Push a fresh snapshot to subscribers now rather than at the next refresh (e.g. after a webhook
+// delivered new events). A refresh already in flight is superseded.
+export const refreshOccupancy = () => {
+  shared = null;
+  if (listeners.size === 0) return;
+  clearTimeout(timer);
+  generation += 1;
+  poll(generation);
+};
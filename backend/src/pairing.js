@@ -0,0 +1,98 @@
+// backend/pairing.js
+// Turns one user's time-ordered break events into IN → OUT pairs.
+// Strategies differ in which IN a run of INs pairs with:
+//   last_in  — the most recent IN before the OUT (strict; earlier INs are superseded)
+//   first_in — the first IN of the run (later INs are ignored as repeats)
+// Either can also merge breaks: pairs separated by less than merge_gap_seconds (OUT → next IN)
+// become one break from the first IN to the last OUT, e.g. someone stepping out to a locker.
+import { toUnix } from './utils.js';
+
+export const PAIRING_STRATEGIES = {
+  last_in: 'Last IN → next OUT',
+  first_in: 'First IN → next OUT',
+};
+
+export const DEFAULT_PAIRING = 'last_in';
+
+// Query params → { strategy, label, merge_gap_seconds }, or null when the strategy is unknown
+export const resolvePairing = ({ pairing, merge_gap_seconds } = {}) => {
+  const strategy = pairing || DEFAULT_PAIRING;
+  if (!PAIRING_STRATEGIES[strategy]) return null;
+  const gap = Number(merge_gap_seconds);
+  return {
+    strategy,
+    label: PAIRING_STRATEGIES[strategy],
+    merge_gap_seconds: Number.isFinite(gap) && gap > 0 ? Math.round(gap) : 0,
+  };
+};
+
+// Short description for report headers and exports, e.g. "Last IN → next OUT, merging gaps < 90s"
+export const describePairing = (pairing) =>
+  pairing.merge_gap_seconds > 0 ? `${pairing.label}, merging gaps < ${pairing.merge_gap_seconds}s` : pairing.label;
+
+// Only pairs whose INs share a report window merge, so a break in the look-back buffer can't
+// swallow the first one of the window (a report that starts there wouldn't pair it either).
+const mergeCloseBreaks = (pairs, gapMs, windowOf) => {
+  const merged = [];
+  for (const p of pairs) {
+    const prev = merged[merged.length - 1];
+    if (prev && p.in.ts.toMillis() - prev.out.ts.toMillis() < gapMs && windowOf(prev.in) === windowOf(p.in)) {
+      prev.out = p.out;
+      prev.mergedCount += p.mergedCount;
+    } else {
+      merged.push({ ...p });
+    }
+  }
+  return merged;
+};
+
+// evs: one user's normalized events (see events.js), oldest first.
+//   endUnix:   end of the report window; INs after it (in the look-ahead buffer) start breaks
+//              for a later report, so they are never opened here
+//   dataEndMs: when the fetched events stop; bounds a break that is still open
+//   closesBy:  IN → last unix an OUT may close it (optional). An IN still open after that is
+//              still_inside, so a multi-day range pairs the same way as each day on its own
+//   windowOf:  IN → the report window (e.g. its date) it belongs to, or null outside them (optional)
+// Returns:
+//   pairs:     [{ in: ev, out: ev, mergedCount }]
+//   unmatched: [{ ev, reason, untilMs }] — reasons as in report.js UNMATCHED_REASONS; untilMs
+//              (or null) bounds how long the break could have lasted
+export const pairEvents = (evs, pairing, { endUnix, dataEndMs, closesBy = () => Infinity, windowOf = () => null }) => {
+  const pairs = [];
+  const unmatched = [];
+  let openIn = null; // IN waiting for its OUT
+  const openUntilMs = () => Math.min(dataEndMs, closesBy(openIn) * 1000);
+
+  for (const ev of evs) {
+    if (openIn && toUnix(ev.ts) > closesBy(openIn)) {
+      unmatched.push({ ev: openIn, reason: 'still_inside', untilMs: openUntilMs() });
+      openIn = null;
+    }
+    if (ev.direction === 'in') {
+      const candidate = toUnix(ev.ts) <= endUnix ? ev : null;
+      if (!openIn) {
+        openIn = candidate;
+      } else if (pairing.strategy === 'first_in') {
+        // Repeated IN while one is open: keep the first and report the repeat
+        unmatched.push({ ev, reason: 'repeated_in', untilMs: null });
+      } else {
+        // Keep the most recent IN; the earlier one probably tailgated out
+        unmatched.push({ ev: openIn, reason: 'superseded_in', untilMs: ev.ts.toMillis() });
+        openIn = candidate;
+      }
+    } else if (ev.direction === 'out') {
+      if (openIn) {
+        pairs.push({ in: openIn, out: ev, mergedCount: 1 });
+        openIn = null;
+      } else {
+        unmatched.push({ ev, reason: 'orphan_out', untilMs: null });
+      }
+    }
+  }
+  if (openIn) unmatched.push({ ev: openIn, reason: 'still_inside', untilMs: openUntilMs() });
+
+  return {
+    pairs: pairing.merge_gap_seconds > 0 ? mergeCloseBreaks(pairs, pairing.merge_gap_seconds * 1000, windowOf) : pairs,
+    unmatched,
+  };
+};
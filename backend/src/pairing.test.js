@@ -0,0 +1,99 @@
+// backend/pairing.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { resolvePairing, describePairing, pairEvents } from './pairing.js';
+import { toUnix } from './utils.js';
+
+const DAY = '2026-10-13';
+const at = (hhmm, date = DAY) => DateTime.fromISO(`${date}T${hhmm}`, { zone: 'utc' });
+// Normalized events (see events.js) need little more than a time and a direction here
+const ev = (direction, hhmm, date) => ({ direction, ts: at(hhmm, date), label: `${direction} ${hhmm}` });
+const END = toUnix(at('23:59:59'));
+const OPTIONS = { endUnix: END, dataEndMs: at('23:59:59').toMillis() + 1000 };
+
+const pair = (evs, query, options = {}) => pairEvents(evs, resolvePairing(query), { ...OPTIONS, ...options });
+const spans = ({ pairs }) => pairs.map((p) => `${p.in.label} → ${p.out.label} x${p.mergedCount}`);
+const reasons = ({ unmatched }) => unmatched.map((m) => `${m.reason} ${m.ev.label}`);
+
+test('pairing settings come from the query, with last_in and no merging by default', () => {
+  assert.deepEqual(resolvePairing({}), { strategy: 'last_in', label: 'Last IN → next OUT', merge_gap_seconds: 0 });
+  assert.equal(resolvePairing({ pairing: 'first_in', merge_gap_seconds: '89.6' }).merge_gap_seconds, 90);
+  assert.equal(resolvePairing({ merge_gap_seconds: '-5' }).merge_gap_seconds, 0);
+  assert.equal(resolvePairing({ pairing: 'nearest' }), null);
+  assert.equal(describePairing(resolvePairing({ merge_gap_seconds: 90 })), 'Last IN → next OUT, merging gaps < 90s');
+});
+
+test('last_in pairs the most recent IN; earlier ones are superseded until the next IN', () => {
+  const evs = [ev('in', '10:00'), ev('in', '10:05'), ev('out', '10:20')];
+  const result = pair(evs, { pairing: 'last_in' });
+  assert.deepEqual(spans(result), ['in 10:05 → out 10:20 x1']);
+  assert.deepEqual(reasons(result), ['superseded_in in 10:00']);
+  assert.equal(result.unmatched[0].untilMs, at('10:05').toMillis());
+});
+
+test('first_in pairs the first IN; later ones are repeats', () => {
+  const evs = [ev('in', '10:00'), ev('in', '10:05'), ev('out', '10:20')];
+  const result = pair(evs, { pairing: 'first_in' });
+  assert.deepEqual(spans(result), ['in 10:00 → out 10:20 x1']);
+  assert.deepEqual(reasons(result), ['repeated_in in 10:05']);
+});
+
+test('an OUT without an open IN is an orphan; an IN never closed is still inside', () => {
+  const result = pair([ev('out', '09:00'), ev('in', '10:00'), ev('out', '10:30'), ev('in', '22:00')], {});
+  assert.deepEqual(spans(result), ['in 10:00 → out 10:30 x1']);
+  assert.deepEqual(reasons(result), ['orphan_out out 09:00', 'still_inside in 22:00']);
+  assert.equal(result.unmatched[1].untilMs, OPTIONS.dataEndMs);
+});
+
+test('INs after the window end never open a break', () => {
+  const result = pair([ev('in', '00:30', '2026-10-14'), ev('out', '00:40', '2026-10-14')], {});
+  assert.deepEqual(spans(result), []);
+  assert.deepEqual(reasons(result), ['orphan_out out 00:40']);
+});
+
+test('breaks closer than merge_gap_seconds merge from the first IN to the last OUT', () => {
+  const evs = [ev('in', '10:00'), ev('out', '10:10'), ev('in', '10:11'), ev('out', '10:20'), ev('in', '10:21:20'), ev('out', '10:30'), ev('in', '12:00'), ev('out', '12:10')];
+  assert.deepEqual(spans(pair(evs, { merge_gap_seconds: 90 })), ['in 10:00 → out 10:30 x3', 'in 12:00 → out 12:10 x1']);
+  // The gap has to be shorter than merge_gap_seconds, not equal to it
+  assert.deepEqual(spans(pair(evs, { merge_gap_seconds: 80 })), ['in 10:00 → out 10:20 x2', 'in 10:21:20 → out 10:30 x1', 'in 12:00 → out 12:10 x1']);
+  assert.deepEqual(spans(pair(evs, { merge_gap_seconds: 60 })), [
+    'in 10:00 → out 10:10 x1',
+    'in 10:11 → out 10:20 x1',
+    'in 10:21:20 → out 10:30 x1',
+    'in 12:00 → out 12:10 x1',
+  ]);
+});
+
+test('merging works the same with first_in', () => {
+  const evs = [ev('in', '10:00'), ev('in', '10:02'), ev('out', '10:10'), ev('in', '10:12'), ev('out', '10:20')];
+  const result = pair(evs, { pairing: 'first_in', merge_gap_seconds: 300 });
+  assert.deepEqual(spans(result), ['in 10:00 → out 10:20 x2']);
+  assert.deepEqual(reasons(result), ['repeated_in in 10:02']);
+});
+
+test("breaks in different report windows don't merge, so a look-back break can't swallow the first one", () => {
+  const evs = [ev('in', '23:50', '2026-10-12'), ev('out', '23:55', '2026-10-12'), ev('in', '00:01'), ev('out', '00:50')];
+  const windowOf = (e) => e.ts.toISODate();
+  assert.deepEqual(spans(pair(evs, { merge_gap_seconds: 600 }, { windowOf })), ['in 23:50 → out 23:55 x1', 'in 00:01 → out 00:50 x1']);
+  assert.deepEqual(spans(pair(evs, { merge_gap_seconds: 600 })), ['in 23:50 → out 00:50 x2']);
+});
+
+test('an IN still open at its closesBy is still inside, and a later OUT is an orphan', () => {
+  const evs = [ev('in', '15:00'), ev('out', '09:55', '2026-10-15')];
+  const closesBy = () => toUnix(at('02:00', '2026-10-14'));
+  const result = pair(evs, {}, { endUnix: toUnix(at('23:59:59', '2026-10-15')), dataEndMs: Infinity, closesBy });
+  assert.deepEqual(spans(result), []);
+  assert.deepEqual(reasons(result), ['still_inside in 15:00', 'orphan_out out 09:55']);
+  assert.equal(result.unmatched[0].untilMs, at('02:00', '2026-10-14').toMillis());
+});
+
+test('an expired IN is not superseded or repeated by the next one', () => {
+  const evs = [ev('in', '08:00'), ev('in', '14:00'), ev('out', '14:30')];
+  const closesBy = (e) => toUnix(e.ts) + 3600;
+  for (const pairing of ['last_in', 'first_in']) {
+    const result = pair(evs, { pairing }, { closesBy });
+    assert.deepEqual(spans(result), ['in 14:00 → out 14:30 x1']);
+    assert.deepEqual(reasons(result), ['still_inside in 08:00']);
+  }
+});
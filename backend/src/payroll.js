@@ -0,0 +1,395 @@
+// backend/payroll.js
+// Timekeeping/payroll exports: paired breaks as punch files a timekeeping system can import, so
+// unpaid break minutes are deducted automatically.
+//   Payroll IDs — DATA_DIR/payroll_ids.json maps access-control userIds to payroll employee IDs,
+//     managed through /api/payroll/ids: [{ user_id, employee_id, user_name, updated_at, updated_by }]
+//   Export profiles — the built-in ones below, plus DATA_DIR/payroll_profiles.json (same shape; a
+//     profile_id that is already built in replaces it). Re-read on every call like areas.json:
+//     { profile_id, name, format: 'csv' | 'fixed' | 'ics', rows: 'break' | 'punch',
+//       fields: [{ header?, value: <FIELDS key> | text: '<constant>', width?, align?: 'left' | 'right', pad? }],
+//       delimiter? (csv, default ','), header_row? (csv, default true), date_format?, time_format? (luxon tokens),
+//       punch_codes?: { start, end }, line_ending?: 'crlf' | 'lf', include_excused? (default true),
+//       unmapped?: 'skip' | 'include' (users without a payroll ID; default skip) }
+//   rows: 'break' is one row per break, 'punch' two (the break's start and end punch). Fixed-width
+//   fields need a width; longer values are cut, except employee_id, which fails the export instead.
+//   ics ignores fields and writes one calendar event per break.
+// Every user with breaks is exported, over the threshold or not.
+import { DateTime } from 'luxon';
+import { readJSON, writeJSON } from './store.js';
+import { csvCell, exportFilename } from './reportExport.js';
+
+const MAX_EMPLOYEE_ID_LENGTH = 64;
+const FORMATS = { csv: 'csv', fixed: 'txt', ics: 'ics' }; // format → file extension
+const CONTENT_TYPES = { csv: 'text/csv', fixed: 'text/plain', ics: 'text/calendar' };
+
+// Bad input (4xx), mirrors ReportError
+export class PayrollError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'PayrollError';
+    this.status = status;
+  }
+}
+
+// -------------------------------
+// Payroll IDs (writes are serialized, as in schedules.js)
+// -------------------------------
+const readPayrollIds = async () => {
+  const raw = await readJSON('payroll_ids', []);
+  if (!Array.isArray(raw)) throw new Error('payroll_ids.json must contain an array of mappings');
+  return raw;
+};
+
+let writes = Promise.resolve();
+const mutate = (fn) => {
+  const run = writes.then(async () => {
+    const list = await readPayrollIds();
+    const result = await fn(list);
+    await writeJSON('payroll_ids', list);
+    return result;
+  });
+  writes = run.catch(() => {});
+  return run;
+};
+
+export const listPayrollIds = async () =>
+  (await readPayrollIds()).sort((a, b) => (a.user_name || a.user_id).localeCompare(b.user_name || b.user_id));
+
+// userId → employee ID, for exports
+export const loadPayrollIdMap = async () => new Map((await readPayrollIds()).map((m) => [m.user_id, m.employee_id]));
+
+const normalizeMapping = (input) => {
+  const userId = String(input.user_id ?? '').trim();
+  const employeeId = String(input.employee_id ?? '').trim();
+  if (!userId) throw new PayrollError(400, 'user_id is required');
+  if (!employeeId) throw new PayrollError(400, `employee_id is required (user ${userId})`);
+  if (employeeId.length > MAX_EMPLOYEE_ID_LENGTH || /[\p{Cc}]/u.test(employeeId)) {
+    throw new PayrollError(400, `employee_id must be at most ${MAX_EMPLOYEE_ID_LENGTH} printable characters (user ${userId})`);
+  }
+  return { user_id: userId, employee_id: employeeId, user_name: String(input.user_name ?? '').trim() };
+};
+
+// Adds or replaces mappings in one write; an employee ID may belong to only one user.
+// inputs: [{ user_id, employee_id, user_name? }]; user: the signed-in account making the change
+export const savePayrollIds = async (inputs, user) => {
+  if (!Array.isArray(inputs) || inputs.length === 0) throw new PayrollError(400, 'No payroll IDs given');
+  const mappings = inputs.map(normalizeMapping);
+  const seen = new Map();
+  for (const m of mappings) {
+    if (seen.has(m.employee_id) && seen.get(m.employee_id) !== m.user_id) {
+      throw new PayrollError(409, `Employee ID ${m.employee_id} is given to more than one user`);
+    }
+    seen.set(m.employee_id, m.user_id);
+  }
+
+  return mutate((list) => {
+    const incoming = new Set(mappings.map((m) => m.user_id));
+    for (const m of mappings) {
+      const owner = list.find((e) => e.employee_id === m.employee_id && !incoming.has(e.user_id));
+      if (owner) {
+        throw new PayrollError(409, `Employee ID ${m.employee_id} already belongs to ${owner.user_name || owner.user_id}`);
+      }
+    }
+
+    const at = new Date().toISOString();
+    const saved = mappings.map((m) => {
+      let entry = list.find((e) => e.user_id === m.user_id);
+      if (!entry) {
+        entry = { user_id: m.user_id };
+        list.push(entry);
+      }
+      Object.assign(entry, {
+        employee_id: m.employee_id,
+        user_name: m.user_name || entry.user_name || '',
+        updated_at: at,
+        updated_by: user.username,
+      });
+      return entry;
+    });
+    return saved;
+  });
+};
+
+export const deletePayrollId = (userId) =>
+  mutate((list) => {
+    const i = list.findIndex((e) => e.user_id === userId);
+    if (i === -1) throw new PayrollError(404, 'No payroll ID for this user');
+    list.splice(i, 1);
+  });
+
+// -------------------------------
+// Export profiles
+// -------------------------------
+const PUNCH_CODES = { start: 'BREAK_START', end: 'BREAK_END' };
+
+const BUILT_IN_PROFILES = [
+  {
+    profile_id: 'csv',
+    name: 'CSV, one row per break',
+    format: 'csv',
+    rows: 'break',
+    fields: [
+      { header: 'employee_id', value: 'employee_id' },
+      { header: 'employee_name', value: 'user_name' },
+      { header: 'date', value: 'date' },
+      { header: 'break_start', value: 'start_time' },
+      { header: 'break_end', value: 'end_time' },
+      { header: 'minutes', value: 'minutes' },
+      { header: 'excused', value: 'excused' },
+    ],
+  },
+  {
+    profile_id: 'punch-csv',
+    name: 'CSV punches (break start/end)',
+    format: 'csv',
+    rows: 'punch',
+    fields: [
+      { header: 'employee_id', value: 'employee_id' },
+      { header: 'punch_date', value: 'punch_date' },
+      { header: 'punch_time', value: 'punch_time' },
+      { header: 'punch_type', value: 'punch_type' },
+    ],
+  },
+  {
+    profile_id: 'fixed',
+    name: 'Fixed-width punches',
+    format: 'fixed',
+    rows: 'punch',
+    date_format: 'yyyyMMdd',
+    time_format: 'HHmm',
+    punch_codes: { start: 'BS', end: 'BE' },
+    fields: [
+      { value: 'employee_id', width: 12 },
+      { value: 'punch_date', width: 8 },
+      { value: 'punch_time', width: 4 },
+      { value: 'punch_type', width: 2 },
+      { value: 'minutes', width: 4, align: 'right', pad: '0' },
+    ],
+  },
+  { profile_id: 'ics', name: 'Calendar (.ics), one event per break', format: 'ics', rows: 'break' },
+];
+
+const fmtIso = (dt) => dt.toISO({ suppressMilliseconds: true });
+
+// Values a profile field can use; r is one exported row (see exportRows), o the profile's formats.
+// punch_* fields are empty on break rows.
+export const FIELDS = {
+  employee_id: (r) => r.employeeId,
+  user_id: (r) => r.user.userId,
+  user_name: (r) => r.user.userName,
+  site: (r) => r.user.siteName,
+  group: (r) => r.user.group?.name || '',
+  area: (r) => r.pair.area,
+  break_id: (r) => r.pair.key,
+  date: (r, o) => DateTime.fromISO(r.pair.day).toFormat(o.date_format),
+  start_date: (r, o) => r.start.toFormat(o.date_format),
+  start_time: (r, o) => r.start.toFormat(o.time_format),
+  start_iso: (r) => fmtIso(r.start),
+  end_date: (r, o) => r.end.toFormat(o.date_format),
+  end_time: (r, o) => r.end.toFormat(o.time_format),
+  end_iso: (r) => fmtIso(r.end),
+  minutes: (r) => Math.round(r.pair.totalMs / 60000),
+  hours: (r) => (r.pair.totalMs / 3600000).toFixed(2),
+  excused: (r) => (r.pair.annotation?.excused ? 'yes' : 'no'),
+  note: (r) => r.pair.annotation?.note || '',
+  punch_type: (r, o) => (r.punch ? o.punch_codes[r.punch] : ''),
+  punch_date: (r, o) => (r.punch ? r.at.toFormat(o.date_format) : ''),
+  punch_time: (r, o) => (r.punch ? r.at.toFormat(o.time_format) : ''),
+  punch_iso: (r) => (r.punch ? fmtIso(r.at) : ''),
+};
+
+// Profile with defaults filled in, or null (logged) when it can't be used
+const normalizeProfile = (p) => {
+  const profile = {
+    ...p,
+    profile_id: String(p?.profile_id || ''),
+    name: p?.name || p?.profile_id,
+    rows: p?.rows || 'break',
+    fields: p?.fields || [],
+    delimiter: p?.delimiter ?? ',',
+    header_row: p?.header_row !== false,
+    date_format: p?.date_format || 'yyyy-MM-dd',
+    time_format: p?.time_format || 'HH:mm',
+    punch_codes: { ...PUNCH_CODES, ...p?.punch_codes },
+    line_ending: p?.line_ending === 'lf' ? '\n' : '\r\n',
+    include_excused: p?.include_excused !== false,
+    unmapped: p?.unmapped || 'skip',
+  };
+  const fieldOk = (f) =>
+    (FIELDS[f?.value] || typeof f?.text === 'string') &&
+    (profile.format !== 'fixed' || (Number.isInteger(f.width) && f.width > 0)) &&
+    (!f.align || ['left', 'right'].includes(f.align)) &&
+    (f.pad === undefined || String(f.pad).length === 1);
+  const valid =
+    /^[\w-]+$/.test(profile.profile_id) &&
+    FORMATS[profile.format] &&
+    ['break', 'punch'].includes(profile.rows) &&
+    ['skip', 'include'].includes(profile.unmapped) &&
+    String(profile.delimiter).length === 1 &&
+    (profile.format === 'ics' || (Array.isArray(profile.fields) && profile.fields.length > 0 && profile.fields.every(fieldOk)));
+  if (!valid) {
+    console.warn('⚠️ Skipping invalid payroll export profile', p);
+    return null;
+  }
+  return profile;
+};
+
+export const loadPayrollProfiles = async () => {
+  const raw = await readJSON('payroll_profiles', []);
+  if (!Array.isArray(raw)) throw new Error('payroll_profiles.json must contain an array of profiles');
+  const byId = new Map(BUILT_IN_PROFILES.map((p) => [p.profile_id, p]));
+  for (const p of raw) byId.set(String(p?.profile_id || ''), p);
+  return [...byId.values()].map(normalizeProfile).filter(Boolean);
+};
+
+export const findPayrollProfile = async (profileId) => {
+  const profiles = await loadPayrollProfiles();
+  const profile = profiles.find((p) => p.profile_id === profileId);
+  if (!profile) {
+    throw new PayrollError(404, `Unknown payroll profile. Use one of: ${profiles.map((p) => p.profile_id).join(', ')}.`);
+  }
+  return profile;
+};
+
+// Profile for API listings
+export const describeProfile = (p) => ({
+  profile_id: p.profile_id,
+  name: p.name,
+  format: p.format,
+  rows: p.format === 'ics' ? 'break' : p.rows,
+  extension: FORMATS[p.format],
+  unmapped: p.unmapped,
+  columns: p.format === 'ics' ? [] : p.fields.map((f) => f.header || f.value || f.text),
+});
+
+// -------------------------------
+// Rendering
+// -------------------------------
+// Breaks in the report as rows (by user name, then time); users without a payroll ID are skipped
+// unless the profile includes them
+const exportRows = (report, profile, payrollIds) => {
+  const rows = [];
+  const unmapped = [];
+  const users = [...report.users].sort((a, b) => a.userName.localeCompare(b.userName));
+  for (const user of users) {
+    const pairs = user.pairs.filter((p) => profile.include_excused || !p.annotation?.excused);
+    if (pairs.length === 0) continue;
+    const employeeId = payrollIds.get(user.userId) || '';
+    if (!employeeId) {
+      unmapped.push({ userId: user.userId, userName: user.userName, breaks: pairs.length });
+      if (profile.unmapped === 'skip') continue;
+    }
+    for (const pair of pairs) {
+      const start = DateTime.fromISO(pair.in.ts, { setZone: true });
+      const end = DateTime.fromISO(pair.out.ts, { setZone: true });
+      const base = { user, pair, employeeId, start, end, punch: null, at: null };
+      if (profile.rows === 'punch' && profile.format !== 'ics') {
+        rows.push({ ...base, punch: 'start', at: start }, { ...base, punch: 'end', at: end });
+      } else {
+        rows.push(base);
+      }
+    }
+  }
+  return { rows, unmapped };
+};
+
+const fieldValue = (field, row, profile) => (field.text !== undefined ? field.text : String(FIELDS[field.value](row, profile) ?? ''));
+
+const renderCsv = (rows, profile) => {
+  const line = (cells) => cells.map((c) => csvCell(c, profile.delimiter)).join(profile.delimiter);
+  const lines = rows.map((r) => line(profile.fields.map((f) => fieldValue(f, r, profile))));
+  if (profile.header_row) lines.unshift(line(profile.fields.map((f) => f.header || f.value || '')));
+  return lines;
+};
+
+const renderFixed = (rows, profile) =>
+  rows.map((r) =>
+    profile.fields
+      .map((f) => {
+        const value = fieldValue(f, r, profile).replace(/[\r\n]+/g, ' ');
+        if (value.length > f.width) {
+          // Cutting an employee ID would book the break to somebody else
+          if (f.value === 'employee_id') {
+            throw new PayrollError(422, `Employee ID ${value} is wider than its ${f.width}-character field in ${profile.profile_id}`);
+          }
+          return value.slice(0, f.width);
+        }
+        const pad = f.pad ?? ' ';
+        return f.align === 'right' ? value.padStart(f.width, pad) : value.padEnd(f.width, pad);
+      })
+      .join('')
+  );
+
+// iCalendar text value (RFC 5545 §3.3.11) and line folding at 75 octets (§3.1)
+const icsText = (s) => String(s).replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, '\\n');
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+const icsUtc = (dt) => dt.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+const renderIcs = (rows, report) => {
+  const stamp = icsUtc(DateTime.utc());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//breakroom//Break export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(`Breaks — ${(report.area || report.door)?.name || 'door'}`)}`,
+  ];
+  for (const r of rows) {
+    const minutes = FIELDS.minutes(r);
+    const description = [
+      r.employeeId && `Employee ID: ${r.employeeId}`,
+      `User ID: ${r.user.userId}`,
+      `${minutes} min (${r.pair.in.atLocation} → ${r.pair.out.atLocation})`,
+      r.pair.annotation?.excused && 'Excused',
+      r.pair.annotation?.note && `Note: ${r.pair.annotation.note}`,
+    ].filter(Boolean);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${icsText(`${r.pair.key}@breakroom`)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsUtc(r.start)}`,
+      `DTEND:${icsUtc(r.end)}`,
+      `SUMMARY:${icsText(`Break: ${r.user.userName} (${minutes} min)`)}`,
+      `DESCRIPTION:${icsText(description.join('\n'))}`,
+      `LOCATION:${icsText(r.pair.area || r.user.siteName)}`,
+      `CATEGORIES:${r.pair.annotation?.excused ? 'BREAK,EXCUSED' : 'BREAK'}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine);
+};
+
+// report: what buildBreakReport returned (with includeAllUsers); payrollIds: loadPayrollIdMap()
+// Returns { body, filename, contentType, rows, unmapped: [{ userId, userName, breaks }] }
+export const buildPayrollExport = (report, profile, payrollIds) => {
+  const { rows, unmapped } = exportRows(report, profile, payrollIds);
+  const lines =
+    profile.format === 'ics'
+      ? renderIcs(rows, report)
+      : profile.format === 'fixed'
+        ? renderFixed(rows, profile)
+        : renderCsv(rows, profile);
+  const lineEnding = profile.format === 'ics' ? '\r\n' : profile.line_ending;
+  return {
+    body: lines.length ? `${lines.join(lineEnding)}${lineEnding}` : '',
+    filename: exportFilename(report, FORMATS[profile.format], `payroll-${profile.profile_id}`),
+    contentType: `${CONTENT_TYPES[profile.format]}; charset=utf-8`,
+    rows: rows.length,
+    unmapped,
+  };
+};
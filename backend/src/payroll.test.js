@@ -0,0 +1,122 @@
+// backend/payroll.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'breakroom-payroll-'));
+process.env.DATA_DIR = dataDir;
+const { buildPayrollExport, findPayrollProfile, loadPayrollProfiles, PayrollError } = await import('./payroll.js');
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+// The parts of a buildBreakReport result the exports read
+const pair = (userId, from, to, annotation = null) => ({
+  key: `pair:${userId}:${Date.parse(from) / 1000}`,
+  day: from.slice(0, 10),
+  area: 'Break Room',
+  in: { ts: from, atLocation: 'Break Room' },
+  out: { ts: to, atLocation: 'Break Room' },
+  totalMs: Date.parse(to) - Date.parse(from),
+  annotation,
+});
+const REPORT = {
+  door: { name: 'Break Room' },
+  generatedRange: { start_date: '2026-10-13', end_date: '2026-10-13' },
+  users: [
+    {
+      userId: 'u2',
+      userName: 'Zoe Zimmer',
+      siteName: 'HQ',
+      pairs: [pair('u2', '2026-10-13T10:00:00-05:00', '2026-10-13T10:15:00-05:00')],
+    },
+    {
+      userId: 'u1',
+      userName: 'Al Adams',
+      siteName: 'HQ',
+      pairs: [
+        pair('u1', '2026-10-13T09:05:00-05:00', '2026-10-13T09:35:00-05:00'),
+        pair('u1', '2026-10-13T13:00:00-05:00', '2026-10-13T13:45:00-05:00', { note: 'doctor, called ahead', excused: true }),
+      ],
+    },
+    { userId: 'u3', userName: 'No Breaks', siteName: 'HQ', pairs: [] },
+  ],
+};
+const IDS = new Map([
+  ['u1', 'E100'],
+  ['u2', 'E200'],
+]);
+
+const lines = ({ body }, ending = '\r\n') => body.split(ending).slice(0, -1);
+
+test('the fixed-width profile writes a start and end punch per break, padded to each width', async () => {
+  const result = buildPayrollExport(REPORT, await findPayrollProfile('fixed'), IDS);
+  assert.deepEqual(lines(result), [
+    'E100        202610130905BS0030',
+    'E100        202610130935BE0030',
+    'E100        202610131300BS0045',
+    'E100        202610131345BE0045',
+    'E200        202610131000BS0015',
+    'E200        202610131015BE0015',
+  ]);
+  assert.equal(result.rows, 6);
+  assert.equal(result.filename, 'payroll-fixed_Break-Room_2026-10-13.txt');
+  assert.equal(result.contentType, 'text/plain; charset=utf-8');
+});
+
+test('an employee ID wider than its fixed-width field fails the export instead of being cut', async () => {
+  const profile = await findPayrollProfile('fixed');
+  assert.throws(
+    () => buildPayrollExport(REPORT, profile, new Map([['u1', 'E1234567890123']])),
+    (err) => err instanceof PayrollError && err.status === 422 && /wider than its 12-character field/.test(err.message)
+  );
+});
+
+test('users without a payroll ID are skipped and listed, unless the profile includes them', async () => {
+  const csv = await findPayrollProfile('csv');
+  const skipped = buildPayrollExport(REPORT, csv, new Map([['u1', 'E100']]));
+  assert.deepEqual(lines(skipped), [
+    'employee_id,employee_name,date,break_start,break_end,minutes,excused',
+    'E100,Al Adams,2026-10-13,09:05,09:35,30,no',
+    'E100,Al Adams,2026-10-13,13:00,13:45,45,yes',
+  ]);
+  assert.deepEqual(skipped.unmapped, [{ userId: 'u2', userName: 'Zoe Zimmer', breaks: 1 }]);
+
+  const included = buildPayrollExport(REPORT, { ...csv, unmapped: 'include', include_excused: false }, new Map());
+  assert.deepEqual(lines(included).slice(1), [',Al Adams,2026-10-13,09:05,09:35,30,no', ',Zoe Zimmer,2026-10-13,10:00,10:15,15,no']);
+  assert.equal(included.unmapped.length, 2);
+});
+
+test('the calendar export has one UTC event per break, escaped and folded at 75 octets', async () => {
+  const result = buildPayrollExport(REPORT, await findPayrollProfile('ics'), IDS);
+  const ics = lines(result);
+  assert.equal(ics[0], 'BEGIN:VCALENDAR');
+  assert.equal(ics.at(-1), 'END:VCALENDAR');
+  assert.equal(ics.filter((l) => l === 'BEGIN:VEVENT').length, 3);
+  assert.ok(ics.includes('DTSTART:20261013T140500Z'));
+  assert.ok(ics.includes('DTEND:20261013T143500Z'));
+  assert.ok(ics.includes('CATEGORIES:BREAK,EXCUSED'));
+  assert.ok(ics.every((l) => Buffer.byteLength(l) <= 75), 'no line longer than 75 octets');
+
+  // Unfold (CRLF + space) before reading a long value back
+  const unfolded = result.body.replace(/\r\n /g, '');
+  assert.match(unfolded, /DESCRIPTION:Employee ID: E100\\nUser ID: u1\\n45 min \(Break Room → Break Room\)\\nExcused\\nNote: doctor\\, called ahead\r\n/);
+  assert.ok(ics.some((l) => l.startsWith(' ')), 'the long description is folded');
+  assert.equal(result.contentType, 'text/calendar; charset=utf-8');
+});
+
+test('payroll_profiles.json adds profiles, can replace built-in ones, and invalid ones are skipped', async () => {
+  await fs.writeFile(
+    path.join(dataDir, 'payroll_profiles.json'),
+    JSON.stringify([
+      { profile_id: 'csv', name: 'Semicolons', format: 'csv', delimiter: ';', fields: [{ value: 'employee_id' }, { text: 'BRK' }] },
+      { profile_id: 'no-width', format: 'fixed', fields: [{ value: 'employee_id' }] },
+      { profile_id: 'bad-field', format: 'csv', fields: [{ value: 'salary' }] },
+    ])
+  );
+  const profiles = await loadPayrollProfiles();
+  assert.deepEqual(profiles.map((p) => p.profile_id), ['csv', 'punch-csv', 'fixed', 'ics']);
+  const csv = profiles[0];
+  assert.deepEqual(lines(buildPayrollExport(REPORT, csv, IDS)), ['employee_id;', 'E100;BRK', 'E100;BRK', 'E200;BRK']);
+  await assert.rejects(findPayrollProfile('no-width'), (err) => err instanceof PayrollError && err.status === 404);
+});
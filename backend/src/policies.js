@@ -0,0 +1,150 @@
+// backend/policies.js
+// Named break policies: rule sets judged per user per day, e.g.
+//   [{ "policy_id": "warehouse", "name": "Warehouse agreement",
+//      "rules": { "max_daily_total_minutes": 60, "max_single_break_minutes": 35,
+//                 "max_breaks_per_day": 3, "min_gap_minutes": 60,
+//                 "require_break_within_hours": 5, "day_start": "08:00" } }]
+// Every rule is optional. Defined in DATA_DIR/policies.json; re-read on every call like areas.json.
+import { DateTime } from 'luxon';
+import { readJSON } from './store.js';
+import { msToHMM, slugify } from './utils.js';
+
+// Short labels used for badges in the UI
+export const RULE_LABELS = {
+  max_daily_total_minutes: 'Daily total',
+  max_single_break_minutes: 'Long break',
+  max_breaks_per_day: 'Too many breaks',
+  min_gap_minutes: 'Breaks too close',
+  require_break_within_hours: 'Break too late',
+};
+
+const DEFAULT_DAY_START = '08:00';
+const MINUTE_MS = 60 * 1000;
+
+export const loadPolicies = async () => {
+  const raw = await readJSON('policies', []);
+  if (!Array.isArray(raw)) throw new Error('policies.json must contain an array of policies');
+
+  const policies = [];
+  for (const p of raw) {
+    const policyId = String(p?.policy_id || slugify(p?.name));
+    const rules = {};
+    for (const key of Object.keys(RULE_LABELS)) {
+      const v = Number(p?.rules?.[key]);
+      if (p?.rules?.[key] !== undefined && Number.isFinite(v) && v >= 0) rules[key] = v;
+    }
+    if (!policyId || Object.keys(rules).length === 0) {
+      console.warn('⚠️ Skipping invalid policy definition', p);
+      continue;
+    }
+    if (rules.require_break_within_hours !== undefined) {
+      const dayStart = String(p.rules.day_start || DEFAULT_DAY_START);
+      rules.day_start = /^\d{1,2}:\d{2}$/.test(dayStart) ? dayStart : DEFAULT_DAY_START;
+    }
+    policies.push({ policy_id: policyId, name: p.name || policyId, rules });
+  }
+  return policies;
+};
+
+// Judge one user's days against a policy.
+//   days: [{ date, totalMs, pairs: [{ in: { ts, time }, out: { ts, time }, totalMs }] }] (pairs in time order)
+//   tz:   zone the dates are in (for day_start)
+// Returns [{ rule, label, date, time, limit, actual, over, unit, message }] where `over` is how far
+// past the limit (or short of a minimum) the day was, in `unit`.
+export const evaluatePolicy = (policy, days, tz) => {
+  const { rules } = policy;
+  const violations = [];
+  const push = (rule, v) => violations.push({ rule, label: RULE_LABELS[rule], ...v });
+  const at = (p, side) => DateTime.fromISO(p[side].ts, { zone: tz });
+
+  for (const day of days) {
+    const pairs = day.pairs;
+
+    if (rules.max_daily_total_minutes !== undefined) {
+      const limitMs = rules.max_daily_total_minutes * MINUTE_MS;
+      if (day.totalMs > limitMs) {
+        push('max_daily_total_minutes', {
+          date: day.date,
+          time: null,
+          limit: rules.max_daily_total_minutes,
+          actual: Math.round(day.totalMs / MINUTE_MS),
+          over: Math.round((day.totalMs - limitMs) / MINUTE_MS),
+          unit: 'minutes',
+          message: `Daily total ${msToHMM(day.totalMs)} (limit ${msToHMM(limitMs)}, over by ${msToHMM(day.totalMs - limitMs)})`,
+        });
+      }
+    }
+
+    if (rules.max_single_break_minutes !== undefined) {
+      const limitMs = rules.max_single_break_minutes * MINUTE_MS;
+      for (const p of pairs) {
+        if (p.totalMs <= limitMs) continue;
+        push('max_single_break_minutes', {
+          date: day.date,
+          time: p.in.time,
+          limit: rules.max_single_break_minutes,
+          actual: Math.round(p.totalMs / MINUTE_MS),
+          over: Math.round((p.totalMs - limitMs) / MINUTE_MS),
+          unit: 'minutes',
+          message: `Break at ${p.in.time} lasted ${msToHMM(p.totalMs)} (limit ${msToHMM(limitMs)}, over by ${msToHMM(p.totalMs - limitMs)})`,
+        });
+      }
+    }
+
+    if (rules.max_breaks_per_day !== undefined && pairs.length > rules.max_breaks_per_day) {
+      const over = pairs.length - rules.max_breaks_per_day;
+      push('max_breaks_per_day', {
+        date: day.date,
+        time: null,
+        limit: rules.max_breaks_per_day,
+        actual: pairs.length,
+        over,
+        unit: 'breaks',
+        message: `${pairs.length} breaks (limit ${rules.max_breaks_per_day}, ${over} over)`,
+      });
+    }
+
+    if (rules.min_gap_minutes !== undefined) {
+      const minMs = rules.min_gap_minutes * MINUTE_MS;
+      for (let i = 1; i < pairs.length; i += 1) {
+        const gapMs = Math.max(0, at(pairs[i], 'in').toMillis() - at(pairs[i - 1], 'out').toMillis());
+        if (gapMs >= minMs) continue;
+        push('min_gap_minutes', {
+          date: day.date,
+          time: pairs[i].in.time,
+          limit: rules.min_gap_minutes,
+          actual: Math.round(gapMs / MINUTE_MS),
+          over: Math.round((minMs - gapMs) / MINUTE_MS),
+          unit: 'minutes',
+          message: `Only ${msToHMM(gapMs)} between breaks ending ${pairs[i - 1].out.time} and starting ${pairs[i].in.time} (minimum ${msToHMM(minMs)}, short by ${msToHMM(minMs - gapMs)})`,
+        });
+      }
+    }
+
+    if (rules.require_break_within_hours !== undefined && pairs.length > 0) {
+      // No stretch longer than N hours without a break, counting from day_start.
+      const limitMs = rules.require_break_within_hours * 60 * MINUTE_MS;
+      const [h, m] = rules.day_start.split(':').map(Number);
+      let since = DateTime.fromISO(day.date, { zone: tz }).set({ hour: h, minute: m });
+      let sinceLabel = `day start ${rules.day_start}`;
+      for (const p of pairs) {
+        const waitedMs = at(p, 'in').toMillis() - since.toMillis();
+        if (waitedMs > limitMs) {
+          push('require_break_within_hours', {
+            date: day.date,
+            time: p.in.time,
+            limit: rules.require_break_within_hours * 60,
+            actual: Math.round(waitedMs / MINUTE_MS),
+            over: Math.round((waitedMs - limitMs) / MINUTE_MS),
+            unit: 'minutes',
+            message: `Break at ${p.in.time} came ${msToHMM(waitedMs)} after ${sinceLabel} (limit ${msToHMM(limitMs)}, late by ${msToHMM(waitedMs - limitMs)})`,
+          });
+        }
+        since = DateTime.max(since, at(p, 'out'));
+        sinceLabel = `the break ending ${p.out.time}`;
+      }
+    }
+  }
+
+  return violations;
+};
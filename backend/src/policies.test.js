@@ -0,0 +1,102 @@
+// backend/policies.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { DateTime } from 'luxon';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'breakroom-policies-'));
+process.env.DATA_DIR = dataDir;
+const { loadPolicies, evaluatePolicy } = await import('./policies.js');
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+const TZ = 'America/Chicago';
+const DATE = '2026-10-13';
+
+// Pairs as report.js builds them, from local HH:mm times on DATE
+const pair = (from, to) => {
+  const at = (hhmm) => DateTime.fromISO(`${DATE}T${hhmm}`, { zone: TZ });
+  return {
+    in: { ts: at(from).toISO(), time: `${from}:00` },
+    out: { ts: at(to).toISO(), time: `${to}:00` },
+    totalMs: at(to).diff(at(from)).toMillis(),
+  };
+};
+const day = (...pairs) => ({ date: DATE, totalMs: pairs.reduce((sum, p) => sum + p.totalMs, 0), pairs });
+const policy = (rules) => ({ policy_id: 'p', name: 'P', rules });
+const rulesBroken = (violations) => violations.map((v) => v.rule);
+
+test('daily total over the limit is flagged with the overage in minutes', () => {
+  const [v] = evaluatePolicy(policy({ max_daily_total_minutes: 60 }), [day(pair('10:00', '10:45'), pair('13:00', '13:30'))], TZ);
+  assert.equal(v.rule, 'max_daily_total_minutes');
+  assert.equal(v.label, 'Daily total');
+  assert.deepEqual([v.limit, v.actual, v.over, v.unit], [60, 75, 15, 'minutes']);
+});
+
+test('a total exactly at the limit is fine', () => {
+  assert.deepEqual(evaluatePolicy(policy({ max_daily_total_minutes: 60 }), [day(pair('10:00', '11:00'))], TZ), []);
+});
+
+test('each break longer than the single-break limit is flagged at its start time', () => {
+  const violations = evaluatePolicy(
+    policy({ max_single_break_minutes: 30 }),
+    [day(pair('09:00', '09:40'), pair('12:00', '12:20'), pair('15:00', '15:31'))],
+    TZ
+  );
+  assert.deepEqual(violations.map((v) => [v.time, v.over]), [['09:00:00', 10], ['15:00:00', 1]]);
+});
+
+test('too many breaks in a day', () => {
+  const [v] = evaluatePolicy(policy({ max_breaks_per_day: 2 }), [day(pair('09:00', '09:05'), pair('11:00', '11:05'), pair('14:00', '14:05'))], TZ);
+  assert.deepEqual([v.rule, v.actual, v.over, v.unit], ['max_breaks_per_day', 3, 1, 'breaks']);
+});
+
+test('breaks closer together than the minimum gap are flagged at the later break', () => {
+  const [v, ...rest] = evaluatePolicy(policy({ min_gap_minutes: 60 }), [day(pair('09:00', '09:10'), pair('09:50', '10:00'), pair('11:00', '11:10'))], TZ);
+  assert.equal(rest.length, 0);
+  assert.deepEqual([v.rule, v.time, v.actual, v.over], ['min_gap_minutes', '09:50:00', 40, 20]);
+});
+
+test('a break too long after day_start, then too long after the previous break', () => {
+  const violations = evaluatePolicy(
+    policy({ require_break_within_hours: 4, day_start: '08:00' }),
+    [day(pair('12:30', '13:00'), pair('17:30', '17:45'), pair('18:00', '18:10'))],
+    TZ
+  );
+  assert.deepEqual(rulesBroken(violations), ['require_break_within_hours', 'require_break_within_hours']);
+  assert.deepEqual(violations.map((v) => [v.time, v.over]), [['12:30:00', 30], ['17:30:00', 30]]);
+  assert.match(violations[1].message, /after the break ending 13:00:00/);
+});
+
+test('a day without breaks is not judged on break timing', () => {
+  assert.deepEqual(evaluatePolicy(policy({ require_break_within_hours: 1, day_start: '08:00' }), [day()], TZ), []);
+});
+
+test('rules combine, and a day can break several at once', () => {
+  const violations = evaluatePolicy(
+    policy({ max_daily_total_minutes: 30, max_single_break_minutes: 20, max_breaks_per_day: 1 }),
+    [day(pair('09:00', '09:25'), pair('10:00', '10:10'))],
+    TZ
+  );
+  assert.deepEqual(rulesBroken(violations).sort(), ['max_breaks_per_day', 'max_daily_total_minutes', 'max_single_break_minutes']);
+});
+
+test('policies.json entries without a usable rule are skipped, ids default to the slugged name', async () => {
+  await fs.writeFile(
+    path.join(dataDir, 'policies.json'),
+    JSON.stringify([
+      { name: 'Warehouse Agreement', rules: { max_breaks_per_day: 3, require_break_within_hours: 5, day_start: 'soon' } },
+      { policy_id: 'empty', rules: {} },
+      { policy_id: 'negative', rules: { max_daily_total_minutes: -5 } },
+    ])
+  );
+  const policies = await loadPolicies();
+  assert.deepEqual(policies, [
+    {
+      policy_id: 'warehouse-agreement',
+      name: 'Warehouse Agreement',
+      rules: { max_breaks_per_day: 3, require_break_within_hours: 5, day_start: '08:00' },
+    },
+  ]);
+});
@@ -0,0 +1,46 @@
+// backend/providers/index.js
+// Access-control provider selection. Every provider exposes:
+//   name                                    short id for logs / health
+//   listDoors()                             Promise of raw doors in Verkada's shape
+//                                           ({ door_id, name, timezone, site: { site_id, name } })
+//   listAccessGroups()                      Promise of [{ group_id, name, user_ids }]
+//   streamAccessEvents(startUnix, endUnix)  async iterable of event pages (arrays in Verkada's
+//                                           event shape) for the whole org
+// ACCESS_PROVIDER picks one: verkada (default) | mock.
+import { createVerkadaProvider } from './verkada.js';
+import { createMockProvider } from './mock.js';
+
+const factories = {
+  verkada: createVerkadaProvider,
+  mock: createMockProvider,
+};
+
+let provider = null;
+
+// Created on first use so .env has been loaded by then.
+export const getProvider = () => {
+  if (!provider) {
+    const name = (process.env.ACCESS_PROVIDER || 'verkada').toLowerCase();
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown ACCESS_PROVIDER "${name}" (expected one of: ${Object.keys(factories).join(', ')})`);
+    }
+    provider = factory();
+  }
+  return provider;
+};
+
+export const listDoors = () => getProvider().listDoors();
+
+export const listAccessGroups = () => getProvider().listAccessGroups();
+
+// Access events in a window, paged through the provider. With `onPage`, pages are handed over
+// as they arrive (nothing is buffered); otherwise every event is collected and returned.
+export const fetchAccessEvents = async (startUnix, endUnix, { onPage } = {}) => {
+  let all = [];
+  for await (const page of getProvider().streamAccessEvents(startUnix, endUnix)) {
+    if (onPage) await onPage(page);
+    else all = all.concat(page);
+  }
+  return all;
+};
@@ -0,0 +1,80 @@
+// backend/providers/mock.js
+// Offline provider that serves doors and access events from JSON fixtures, for demos and tests.
+// MOCK_DATA_DIR (default: the bundled fixtures/demo) holds:
+//   doors.json  — array of doors in Verkada's shape
+//   access_groups.json (optional) — array of { group_id, name, user_ids }
+//   events.json — array of access events in Verkada's shape. Instead of `timestamp`, an event may
+//                 give `day_offset` (0 = today, -1 = yesterday, …) and `time` (HH:mm[:ss]) in its
+//                 door's timezone, so demo data always lands on recent days.
+// Files are re-read on every call, so fixtures can be edited while the backend runs.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DateTime } from 'luxon';
+
+const DEFAULT_DIR = fileURLToPath(new URL('../fixtures/demo/', import.meta.url));
+const PAGE_SIZE = 100;
+
+export const readFixture = async (dir, name) => {
+  const file = path.join(dir, name);
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to load mock fixture ${file}: ${err.message}`);
+  }
+};
+
+// Give `day_offset`/`time` fixture events a real `timestamp` (relative to today in the door's zone).
+// Also used by the webhook replay tool.
+export const resolveFixtureEvents = (events, doors) => {
+  const tzByDoor = new Map(doors.map((d) => [d.door_id, d.timezone || 'UTC']));
+  return events.map(({ day_offset, time, ...e }) => {
+    if (e.timestamp || day_offset === undefined) return e;
+    const tz = tzByDoor.get(e.event_info?.doorId || e.device_id) || 'UTC';
+    const [h = 0, m = 0, s = 0] = String(time || '00:00').split(':').map(Number);
+    const local = DateTime.now()
+      .setZone(tz)
+      .startOf('day')
+      .plus({ days: Number(day_offset) })
+      .set({ hour: h, minute: m, second: s });
+    return { ...e, timestamp: local.toUTC().toISO({ suppressMilliseconds: true }) };
+  });
+};
+
+export const createMockProvider = () => {
+  const dir = path.resolve(process.env.MOCK_DATA_DIR || DEFAULT_DIR);
+
+  const listDoors = async () => readFixture(dir, 'doors.json');
+
+  const listAccessGroups = async () => {
+    try {
+      await fs.access(path.join(dir, 'access_groups.json'));
+    } catch {
+      return [];
+    }
+    return readFixture(dir, 'access_groups.json');
+  };
+
+  const loadEvents = async () => {
+    const [doors, events] = await Promise.all([listDoors(), readFixture(dir, 'events.json')]);
+    return resolveFixtureEvents(events, doors)
+      .map((e) => ({ ...e, ms: Date.parse(e.timestamp) }))
+      // Relative fixtures cover all of today; anything later than now hasn't "happened" yet.
+      .filter((e) => Number.isFinite(e.ms) && e.ms <= Date.now())
+      .sort((a, b) => a.ms - b.ms);
+  };
+
+  // Same paging behaviour as the real API so callers exercise their page handling.
+  async function* streamAccessEvents(startUnix, endUnix) {
+    const inRange = (await loadEvents())
+      .filter((e) => e.ms >= startUnix * 1000 && e.ms <= endUnix * 1000 + 999)
+      .map(({ ms, ...e }) => e);
+
+    for (let i = 0; i < inRange.length; i += PAGE_SIZE) {
+      yield inRange.slice(i, i + PAGE_SIZE);
+    }
+    if (inRange.length === 0) yield [];
+  }
+
+  return { name: 'mock', listDoors, listAccessGroups, streamAccessEvents };
+};
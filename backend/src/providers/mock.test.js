@@ -0,0 +1,90 @@
+// backend/providers/mock.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { DateTime } from 'luxon';
+import { createMockProvider, resolveFixtureEvents } from './mock.js';
+
+const doors = [
+  { door_id: 'door-chi', name: 'Break Room', timezone: 'America/Chicago', site: { site_id: 'site-1', name: 'HQ' } },
+  { door_id: 'door-utc', name: 'Dock', site: { site_id: 'site-1', name: 'HQ' } },
+];
+
+const event = (id, fields) => ({
+  event_id: id,
+  event_type: 'DOOR_ACCESS_GRANTED',
+  device_id: 'door-utc',
+  event_info: { doorId: 'door-utc', direction: 'in', userId: 'u1', userName: 'U1' },
+  ...fields,
+});
+
+const collect = async (iterable) => {
+  const pages = [];
+  for await (const page of iterable) pages.push(page);
+  return pages;
+};
+
+let dir;
+let savedDir;
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'breakroom-mock-'));
+  savedDir = process.env.MOCK_DATA_DIR;
+  process.env.MOCK_DATA_DIR = dir;
+  await fs.writeFile(path.join(dir, 'doors.json'), JSON.stringify(doors));
+});
+after(async () => {
+  if (savedDir === undefined) delete process.env.MOCK_DATA_DIR;
+  else process.env.MOCK_DATA_DIR = savedDir;
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('relative fixture events land on the right day in their door zone', () => {
+  const [resolved] = resolveFixtureEvents(
+    [event('1', { device_id: 'door-chi', event_info: { doorId: 'door-chi' }, day_offset: -1, time: '23:30' })],
+    doors
+  );
+  const expected = DateTime.now().setZone('America/Chicago').startOf('day').minus({ days: 1 }).set({ hour: 23, minute: 30 });
+  assert.equal(resolved.timestamp, expected.toUTC().toISO({ suppressMilliseconds: true }));
+  assert.equal(resolved.day_offset, undefined);
+  assert.equal(resolved.time, undefined);
+});
+
+test('fixture events with a timestamp are left alone', () => {
+  const raw = event('1', { timestamp: '2026-10-13T15:00:00Z' });
+  assert.deepEqual(resolveFixtureEvents([raw], doors), [raw]);
+});
+
+test('events are paged 100 at a time, in order, within the window and never in the future', async () => {
+  const start = DateTime.utc().minus({ hours: 5 }).startOf('second');
+  const events = Array.from({ length: 150 }, (_, i) =>
+    event(String(i), { timestamp: start.plus({ minutes: 149 - i }).toISO({ suppressMilliseconds: true }) })
+  );
+  events.push(event('future', { timestamp: DateTime.utc().plus({ hours: 1 }).toISO() }));
+  events.push(event('before', { timestamp: start.minus({ minutes: 1 }).toISO() }));
+  await fs.writeFile(path.join(dir, 'events.json'), JSON.stringify(events));
+
+  const provider = createMockProvider();
+  const pages = await collect(
+    provider.streamAccessEvents(Math.floor(start.toSeconds()), Math.floor(DateTime.utc().plus({ hours: 2 }).toSeconds()))
+  );
+  assert.deepEqual(pages.map((p) => p.length), [100, 50]);
+  const ids = pages.flat().map((e) => e.event_id);
+  assert.equal(ids[0], '149');
+  assert.equal(ids.at(-1), '0');
+  assert.ok(!ids.includes('future') && !ids.includes('before'));
+});
+
+test('an empty window still yields one empty page', async () => {
+  await fs.writeFile(path.join(dir, 'events.json'), '[]');
+  assert.deepEqual(await collect(createMockProvider().streamAccessEvents(0, 10)), [[]]);
+});
+
+test('access groups are optional', async () => {
+  const provider = createMockProvider();
+  assert.deepEqual(await provider.listAccessGroups(), []);
+  const groups = [{ group_id: 'g1', name: 'Staff', user_ids: ['u1'] }];
+  await fs.writeFile(path.join(dir, 'access_groups.json'), JSON.stringify(groups));
+  assert.deepEqual(await provider.listAccessGroups(), groups);
+});
@@ -0,0 +1,86 @@
+// backend/providers/verkada.js
+// Verkada Command API provider.
+import { createHttpClient } from '../httpClient.js';
+
+const API_BASE = 'https://api.verkada.com';
+
+const envNumber = (name, fallback) =>
+  Number.isFinite(Number(process.env[name])) ? Number(process.env[name]) : fallback;
+
+export const createVerkadaProvider = () => {
+  const apiKey = process.env.VERKADA_API_KEY;
+  if (!apiKey) throw new Error('Missing VERKADA_API_KEY in .env');
+
+  const http = createHttpClient({
+    timeoutMs: envNumber('HTTP_TIMEOUT_MS', 15000),
+    maxRetries: envNumber('HTTP_MAX_RETRIES', 4),
+  });
+
+  // -------------------------------
+  // Token cache helpers
+  // -------------------------------
+  let apiTokenCache = { token: null, expiresAt: 0 };
+  const getBearerToken = async ({ forceRefresh = false } = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    if (!forceRefresh && apiTokenCache.token && apiTokenCache.expiresAt > now) {
+      return apiTokenCache.token;
+    }
+    const { token } = await http.requestJSON(`${API_BASE}/token`, {
+      method: 'POST',
+      headers: { 'x-api-key': apiKey },
+      label: 'Get API token',
+    });
+    apiTokenCache = { token, expiresAt: now + 300 }; // 5 minutes; a 401 refreshes sooner
+    return token;
+  };
+
+  // Adds the bearer token; after a 401 the client asks again with forceRefresh and replays.
+  const auth = async ({ forceRefresh }) => ({
+    'x-verkada-auth': await getBearerToken({ forceRefresh }),
+  });
+
+  // All doors in the org (no site filter), raw API shape
+  const listDoors = async () => {
+    const { doors = [] } = await http.requestJSON(`${API_BASE}/access/v1/doors`, {
+      auth,
+      label: 'Fetch doors',
+    });
+    return doors;
+  };
+
+  // Access groups with their member user IDs: [{ group_id, name, user_ids }]
+  const listAccessGroups = async () => {
+    const { access_groups = [] } = await http.requestJSON(`${API_BASE}/access/v1/access_groups`, {
+      auth,
+      label: 'Fetch access groups',
+    });
+    return access_groups.map((g) => ({
+      group_id: g.group_id,
+      name: g.name,
+      user_ids: g.user_ids || [],
+    }));
+  };
+
+  // Access events for the whole org between two unix times, one page (page_size=100) at a time.
+  // API sample shows start_time & end_time params; callers filter by door themselves.
+  async function* streamAccessEvents(startUnix, endUnix) {
+    let next = null;
+
+    while (true) {
+      const url = new URL(`${API_BASE}/events/v1/access`);
+      url.searchParams.set('start_time', String(startUnix)); // seconds
+      url.searchParams.set('end_time', String(endUnix));     // seconds (inclusive window OK)
+      url.searchParams.set('page_size', '100');
+      if (next) url.searchParams.set('page_token', next);
+
+      // Each page is retried on its own, so one transient failure doesn't restart the walk.
+      const json = await http.requestJSON(url.toString(), { auth, label: 'Fetch access events' });
+      yield json?.events || [];
+
+      next = json?.next_page_token || null;
+      if (!next) break;
+    }
+  }
+
+  return { name: 'verkada', listDoors, listAccessGroups, streamAccessEvents };
+};
@@ -0,0 +1,102 @@
+// backend/replayEvents.js
+// Replay fixture access events into the webhook receiver, signed like a real sender, to test
+// /api/webhooks/access-events offline (e.g. against ACCESS_PROVIDER=mock).
+//   node replayEvents.js [--dir fixtures/demo] [--url http://localhost:3001/api/webhooks/access-events]
+//                        [--since-hours 24] [--batch 50] [--check-replay]
+// --dir holds doors.json + events.json in the mock provider's format (day_offset/time allowed).
+// --check-replay re-sends the last request verbatim and expects it to be rejected.
+// Reads WEBHOOK_SECRET (and the optional header overrides) from .env like the server does.
+import 'dotenv/config';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fetch from 'node-fetch';
+import { readFixture, resolveFixtureEvents } from './providers/mock.js';
+import { signatureHeaders, SIGNATURE_HEADER, TIMESTAMP_HEADER } from './webhookSignature.js';
+
+const parseArgs = (argv) => {
+  const args = { dir: null, url: 'http://localhost:3001/api/webhooks/access-events', sinceHours: null, batch: 50 };
+  for (let i = 0; i < argv.length; i++) {
+    const next = () => argv[++i];
+    switch (argv[i]) {
+      case '--dir': args.dir = next(); break;
+      case '--url': args.url = next(); break;
+      case '--since-hours': args.sinceHours = Number(next()); break;
+      case '--batch': args.batch = Math.max(1, Number(next()) || 50); break;
+      case '--check-replay': args.checkReplay = true; break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return args;
+};
+
+// Same header names the receiver expects
+const signedHeaders = (secret, body) => {
+  const headers = signatureHeaders(secret, body);
+  return {
+    'content-type': 'application/json',
+    [process.env.WEBHOOK_TIMESTAMP_HEADER || TIMESTAMP_HEADER]: headers[TIMESTAMP_HEADER],
+    [process.env.WEBHOOK_SIGNATURE_HEADER || SIGNATURE_HEADER]: headers[SIGNATURE_HEADER],
+  };
+};
+
+const post = async (url, body, headers) => {
+  const res = await fetch(url, { method: 'POST', headers, body });
+  const data = await res.json().catch(() => null);
+  return { status: res.status, data };
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret) throw new Error('WEBHOOK_SECRET is not set');
+
+  const dir = path.resolve(args.dir || process.env.MOCK_DATA_DIR || fileURLToPath(new URL('./fixtures/demo/', import.meta.url)));
+  const [doors, rawEvents] = await Promise.all([readFixture(dir, 'doors.json'), readFixture(dir, 'events.json')]);
+
+  const nowMs = Date.now();
+  const fromMs = args.sinceHours ? nowMs - args.sinceHours * 3600 * 1000 : -Infinity;
+  const events = resolveFixtureEvents(rawEvents, doors)
+    .filter((e) => {
+      const ms = Date.parse(e.timestamp);
+      return ms >= fromMs && ms <= nowMs;
+    })
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  console.log(`ℹ️ Replaying ${events.length} events from ${dir} to ${args.url}`);
+
+  const totals = { accepted: 0, duplicates: 0, rejected: 0 };
+  let failed = false;
+  let last = null;
+  for (let i = 0; i < events.length; i += args.batch) {
+    const body = JSON.stringify({ events: events.slice(i, i + args.batch) });
+    const headers = signedHeaders(secret, body);
+    const { status, data } = await post(args.url, body, headers);
+    last = { body, headers };
+    if (status !== 200) {
+      failed = true;
+      console.error(`❌ Batch ${i / args.batch + 1}: HTTP ${status} ${data?.error || JSON.stringify(data)}`);
+      continue;
+    }
+    totals.accepted += data.accepted;
+    totals.duplicates += data.duplicates;
+    totals.rejected += data.rejected.length;
+    for (const r of data.rejected) console.warn(`⚠️ Event ${i + r.index} rejected: ${r.reason}`);
+  }
+  console.log(`✅ Accepted ${totals.accepted} (${totals.duplicates} already known), rejected ${totals.rejected}`);
+
+  if (args.checkReplay && last) {
+    const { status } = await post(args.url, last.body, last.headers);
+    if (status === 409) {
+      console.log('✅ Replayed request was rejected (409)');
+    } else {
+      failed = true;
+      console.error(`❌ Replayed request was not rejected (HTTP ${status})`);
+    }
+  }
+
+  process.exitCode = failed ? 1 : 0;
+};
+
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+});
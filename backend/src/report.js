@@ -0,0 +1,463 @@
+// backend/report.js
+// Break report: fetch a door's (or area's) access events for a date range, pair IN → OUT per
+// user and judge the result against thresholds/policies. Shared by the JSON and export routes.
+import { DateTime } from 'luxon';
+import { findArea } from './areas.js';
+import { loadPolicies, evaluatePolicy } from './policies.js';
+import { loadGroupRules, buildGroupResolver } from './groups.js';
+import { listDoors, listAccessGroups } from './providers/index.js';
+import { getAccessEvents } from './eventSync.js';
+import { isDoorAllowed } from './sites.js';
+import { eventDoorId, normalizeAccessEvent, isBreakEvent, isApbEvent } from './events.js';
+import { PAIRING_STRATEGIES, resolvePairing, describePairing, pairEvents } from './pairing.js';
+import { loadAnnotations, pairKey, violationKey, parseAnnotationKey } from './annotations.js';
+import { findShift, shiftRunsOn, shiftWindow, currentShiftDay, describeShift } from './shifts.js';
+import { toUnix, msToHMM, fmtDate, fmtTime } from './utils.js';
+
+export const MAX_RANGE_DAYS = 31;
+
+// Extra minutes of events fetched before/after the report window so breaks
+// that straddle midnight (or the window edges) can still be paired.
+const PAIR_BUFFER_MINUTES = Number.isFinite(Number(process.env.PAIR_BUFFER_MINUTES))
+  ? Number(process.env.PAIR_BUFFER_MINUTES)
+  : 120;
+
+// Bad input (4xx) rather than an upstream/internal failure
+export class ReportError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ReportError';
+    this.status = status;
+  }
+}
+
+// Why an event was left out of the pairs (repeated_in only with the first_in strategy).
+// estimatedMs is an upper bound where one can be given: a superseded IN until the next IN,
+// a still-open IN until the end of the data.
+export const UNMATCHED_REASONS = {
+  orphan_out: 'OUT without a matching IN',
+  superseded_in: 'IN followed by another IN before any OUT',
+  repeated_in: 'IN while an earlier IN was still open',
+  still_inside: 'IN with no OUT by the end of the window',
+};
+
+// Door or area a report covers, as { door, area, memberDoors, doorsById } (door or area is null).
+// Throws ReportError when it doesn't exist or canAccessDoor rejects one of its doors.
+export const resolveReportTarget = async ({ door_id, area_id }, canAccessDoor = isDoorAllowed) => {
+  if (!door_id && !area_id) {
+    throw new ReportError(400, 'Missing door_id or area_id');
+  }
+  const allDoors = await listDoors();
+  const doorsById = new Map(allDoors.map((d) => [d.door_id, d]));
+
+  let door = null;
+  let area = null;
+  let memberDoors;
+  if (area_id) {
+    area = await findArea(area_id);
+    if (!area) {
+      throw new ReportError(404, 'Area not found');
+    }
+    memberDoors = area.door_ids.map((id) => doorsById.get(id)).filter(Boolean);
+    if (memberDoors.length === 0) {
+      throw new ReportError(404, 'None of the area doors were found');
+    }
+  } else {
+    door = doorsById.get(door_id);
+    if (!door) {
+      throw new ReportError(404, 'Door not found');
+    }
+    memberDoors = [door];
+  }
+  if (!memberDoors.every(canAccessDoor)) {
+    throw new ReportError(403, 'Door is not in an allowed site');
+  }
+  return { door, area, memberDoors, doorsById };
+};
+
+// Whether an annotation key names an event on one of the target's (resolveReportTarget) doors: the
+// pair's IN, or the APB event itself. Keys don't carry a door, so this is what keeps an account
+// scoped to one site from annotating breaks at another.
+export const annotationKeyInTarget = async (key, { memberDoors, doorsById }) => {
+  const parsed = parseAnnotationKey(key);
+  if (!parsed) {
+    throw new ReportError(400, 'Invalid annotation key');
+  }
+  const memberDoorIds = new Set(memberDoors.map((d) => d.door_id));
+  const { events } = await getAccessEvents(parsed.unix - 1, parsed.unix + 1, [...memberDoorIds]);
+  return events
+    .filter((e) => memberDoorIds.has(eventDoorId(e)))
+    .map((e) => normalizeAccessEvent(e, doorsById.get(eventDoorId(e))))
+    .some(
+      (ev) =>
+        ev.userId === parsed.userId &&
+        toUnix(ev.ts) === parsed.unix &&
+        (parsed.kind === 'apb' ? ev.event_type === parsed.eventType : ev.direction === 'in')
+    );
+};
+
+// Params (strings, as they arrive in the query string):
+//   door_id or area_id (one is required; an area pairs IN/OUT across all of its doors)
+//   start_date / end_date (YYYY-MM-DD, inclusive, at most MAX_RANGE_DAYS apart)
+//   date (YYYY-MM-DD, shorthand for a single day; defaults to "today" in door timezone)
+//   min_minutes (number, per-day threshold, defaults to 45)
+//   policy (policy_id, optional; adds that policy's rules on top of the threshold)
+//   group (access group_id, optional; only report members of that group)
+//   user (userId, optional; only report that user, and include them even when nothing is over)
+//   pairing (strategy from pairing.js, defaults to last_in) and merge_gap_seconds (optional; merges closer breaks)
+//   shift (shift_id from shifts.js, optional; must belong to the door's site): report on that shift instead of
+//   calendar days. Dates are then shift dates (the day a shift starts), without one the latest shift that has
+//   started; days the shift doesn't run are skipped. The shift's min_minutes replaces the form's threshold.
+//   Users whose access group has a rule in group_rules.json get that group's min_minutes/policy instead.
+// Returns:
+//   { door: {...} | null, area: {...} | null, users: [{ userId, userName, siteName, totalMs, totalLabel, daysOver, days: [...], pairs: [...] }], generatedRange: { start_unix, end_unix, start_date, end_date, buffer_minutes, tz }, source: 'store' | 'live' }
+//   Users carry groups/group (their access groups and the one whose rule applied), minMinutes and policyId as applied.
+//   Users carry policyViolations ([{ rule, label, date, time, limit, actual, over, unit, message }]) when a policy is applied.
+//   Pairs carry spansMidnight when the OUT lands on a later day than the IN (pairs belong to their IN day),
+//   and mergedCount (breaks merged into the pair by merge_gap_seconds, 1 = not merged).
+//   The report carries pairing: { strategy, label, merge_gap_seconds, description } as applied.
+//   Pairs carry day: the report day they count toward (the IN's date, or its shift date with a shift).
+//   The report carries shift (the shift definition plus label, or null) and windows ([{ date, start, end }], ISO).
+//   Users carry unmatched ([{ reason, label, direction, date, time, ts, atLocation, estimatedMs, estimatedLabel }]):
+//   in-window events that didn't become a pair, see UNMATCHED_REASONS.
+//   Pairs and violations carry key and annotation (see annotations.js, null when none). Excused pair time stays
+//   in totalMs but not in countedMs, which thresholds and policies use; days and users carry excusedMs/countedMs (+ labels).
+// Options:
+//   canAccessDoor (door → boolean, defaults to the site allow-list; the API passes the signed-in user's scope)
+//   maxRangeDays (defaults to MAX_RANGE_DAYS; longer look-backs like user history raise it)
+//   includeAllUsers (every user with events, over the threshold or not; for aggregate views)
+export const buildBreakReport = async (
+  query,
+  { canAccessDoor = isDoorAllowed, maxRangeDays = MAX_RANGE_DAYS, includeAllUsers = false } = {}
+) => {
+  const { door_id, area_id, date, start_date, end_date, min_minutes } = query;
+  const { policy: policy_id, group: group_id, user: userFilter, shift: shift_id } = query;
+
+  if (!door_id && !area_id) {
+    throw new ReportError(400, 'Missing door_id or area_id');
+  }
+  const minMinutes = Number.isFinite(Number(min_minutes)) ? Number(min_minutes) : 45;
+  const pairing = resolvePairing(query);
+  if (!pairing) {
+    throw new ReportError(400, `Unknown pairing strategy. Use one of: ${Object.keys(PAIRING_STRATEGIES).join(', ')}.`);
+  }
+
+  const policiesById = new Map((await loadPolicies()).map((p) => [p.policy_id, p]));
+  const policy = policy_id ? policiesById.get(policy_id) || null : null;
+  if (policy_id && !policy) {
+    throw new ReportError(404, 'Policy not found');
+  }
+
+  // Group membership drives per-group thresholds. Without group rules or a group filter it is
+  // only informational, so an API key without access-group permission still gets a report.
+  const groupRules = await loadGroupRules();
+  let accessGroups = [];
+  try {
+    accessGroups = await listAccessGroups();
+  } catch (err) {
+    if (groupRules.length || group_id) throw err;
+    console.warn('⚠️ Access groups unavailable; reporting without them:', err.message);
+  }
+  const groupFilter = group_id ? accessGroups.find((g) => g.group_id === group_id) : null;
+  if (group_id && !groupFilter) {
+    throw new ReportError(404, 'Access group not found');
+  }
+  const resolveGroups = buildGroupResolver(accessGroups, groupRules);
+  const annotations = await loadAnnotations();
+  const annotationFor = (key) => annotations.get(key) || null;
+
+  // 1) Find the selected door/area metadata (timezone, name, site)
+  const { door, area, memberDoors, doorsById } = await resolveReportTarget(query, canAccessDoor);
+  // The first door's timezone/site stands in for the whole area.
+  const primaryDoor = memberDoors[0];
+  const memberDoorIds = new Set(memberDoors.map((d) => d.door_id));
+  const areaName = area ? area.name : 'Break Room';
+
+  // A shift replaces calendar days; it has to be one of the door's (or area's) site
+  const shift = shift_id ? await findShift(shift_id) : null;
+  if (shift_id && !shift) {
+    throw new ReportError(404, 'Shift not found');
+  }
+  if (shift && !memberDoors.every((d) => d.site?.site_id === shift.site_id)) {
+    throw new ReportError(400, `Shift "${shift.name}" belongs to another site`);
+  }
+  const baseMinMinutes = shift?.min_minutes ?? minMinutes;
+
+  const tz = primaryDoor.timezone || 'UTC';
+  const dayZone = shift?.timezone || tz; // zone the report days (or shift dates) are in
+  const todayInTz = DateTime.now().setZone(dayZone);
+  const parseDay = (raw) => (raw ? DateTime.fromISO(raw, { zone: dayZone, setZone: true }) : null);
+
+  // `date` is kept for single-day callers; start_date/end_date take precedence.
+  const startDay = parseDay(start_date || date) || (shift && currentShiftDay(shift, todayInTz)) || todayInTz;
+  const endDay = parseDay(end_date) || startDay;
+
+  if (!startDay.isValid || !endDay.isValid) {
+    throw new ReportError(400, 'Invalid date format. Use YYYY-MM-DD.');
+  }
+
+  const startDT = startDay.startOf('day');
+  const endDT = endDay.endOf('day'); // inclusive end
+  if (endDT < startDT) {
+    throw new ReportError(400, 'end_date must be on or after start_date.');
+  }
+  const rangeDays = Math.round(endDT.startOf('day').diff(startDT, 'days').days) + 1;
+  if (rangeDays > maxRangeDays) {
+    throw new ReportError(400, `Date range too large. Maximum is ${maxRangeDays} days.`);
+  }
+
+  // Report windows, one per day: the calendar day, or the shift starting that day (end inclusive, as unix seconds)
+  const windows = [];
+  for (let day = startDT; day <= endDT; day = day.plus({ days: 1 }).startOf('day')) {
+    if (shift && !shiftRunsOn(shift, day)) continue;
+    const { start, end } = shift ? shiftWindow(shift, day) : { start: day, end: day.endOf('day').plus({ milliseconds: 1 }) };
+    windows.push({ date: fmtDate(day), start, end, startUnix: toUnix(start), endUnix: toUnix(end) - 1 });
+  }
+  if (windows.length === 0) {
+    throw new ReportError(400, `Shift "${shift.name}" doesn't start on any day in the range (it runs ${shift.days.join(', ')}).`);
+  }
+  const startUnix = windows[0].startUnix;
+  const endUnix = windows[windows.length - 1].endUnix;
+  const bufferSeconds = Math.max(0, PAIR_BUFFER_MINUTES) * 60;
+  // Events after this haven't been fetched; while it is in the future someone "still inside" may just be on a break.
+  const dataEndMs = (endUnix + bufferSeconds) * 1000;
+  // Report window an event belongs to, or null outside every window
+  const windowOf = (ts) => {
+    const s = toUnix(ts);
+    return windows.find((w) => s >= w.startUnix && s <= w.endUnix) || null;
+  };
+  const dayOf = (ts) => windowOf(ts)?.date || null;
+  const inWindow = (ts) => windowOf(ts) !== null;
+  // Last unix an OUT can close a break that starts at ts: the end of its window (or the one before it, for the
+  // look-back buffer and gaps between shifts) plus the buffer, just as a report on that window alone would see.
+  const closesBy = (ts) => {
+    const s = toUnix(ts);
+    const owner = windowOf(ts) || windows.findLast((w) => w.endUnix < s);
+    return (owner ? owner.endUnix : startUnix - 1) + bufferSeconds;
+  };
+
+  // 2) Fetch access events for the range (+ buffer on both sides), from the local
+  //    store when it covers the window, otherwise live from the provider.
+  const { events: rawEvents, source } = await getAccessEvents(
+    startUnix - bufferSeconds,
+    endUnix + bufferSeconds,
+    [...memberDoorIds]
+  );
+
+  // 3) Filter to the selected door(s) & normalize shape
+  const filtered = rawEvents
+    .filter((e) => memberDoorIds.has(eventDoorId(e)))
+    .map((e) => normalizeAccessEvent(e, doorsById.get(eventDoorId(e)) || primaryDoor, tz))
+    .filter(isBreakEvent)
+    .sort((a, b) => a.ts.toMillis() - b.ts.toMillis());
+
+  // 4) Group by user, then pair (in => out, per the pairing strategy) across every door in the selection,
+  //    so an IN on one entrance closes with an OUT on another entrance of the same area. Collect APB violations separately.
+  // Buffer events only help close pairs: a pair belongs to this report only if its IN
+  // falls inside the window, and APB events outside the window are left to other reports.
+  const byUser = new Map();
+  for (const ev of filtered) {
+    if (!byUser.has(ev.userId)) byUser.set(ev.userId, []);
+    byUser.get(ev.userId).push(ev);
+  }
+
+  // With a shift, "break within N hours" counts from the shift start rather than the policy's day_start
+  const shiftPolicy = (p) =>
+    shift && p.rules.day_start ? { ...p, rules: { ...p.rules, day_start: shift.start } } : p;
+
+  const results = [];
+  for (const [userId, evs] of byUser.entries()) {
+    if (userFilter && userId !== userFilter) continue;
+    const membership = resolveGroups(userId);
+    if (groupFilter && !membership.groups.some((g) => g.group_id === groupFilter.group_id)) continue;
+
+    // A matching group rule replaces the form's threshold and/or policy for this user.
+    const userMinMinutes = membership.rule?.min_minutes ?? baseMinMinutes;
+    const userMinMs = userMinMinutes * 60 * 1000;
+    const groupPolicyId = membership.rule?.policy_id;
+    if (groupPolicyId && !policiesById.has(groupPolicyId)) {
+      console.warn(`⚠️ Group rule for "${membership.group?.name}" names unknown policy "${groupPolicyId}"`);
+    }
+    const userPolicy = (groupPolicyId && policiesById.get(groupPolicyId)) || policy;
+
+    const violations = [];              // APB / area rule violations to display
+    for (const ev of evs) {
+      if (isApbEvent(ev) && inWindow(ev.ts)) {
+        const key = violationKey(userId, toUnix(ev.ts), ev.event_type);
+        violations.push({
+          key,
+          date: fmtDate(ev.ts),
+          time: fmtTime(ev.ts),
+          message: ev.violationMessage || ev.event_type.replace('DOOR_APB_', '').replace(/_/g, ' '),
+          event_type: ev.event_type,
+          annotation: annotationFor(key),
+        });
+        // Note: APB entries are NOT paired; they stand alone for review.
+      }
+    }
+
+    // Pairs and unmatched events from the chosen strategy (see pairing.js). A pair that
+    // started in the look-back buffer was already reported by the previous window.
+    const paired = pairEvents(evs, pairing, {
+      endUnix,
+      dataEndMs: Math.min(Date.now(), dataEndMs),
+      closesBy: (ev) => closesBy(ev.ts),
+      windowOf: (ev) => dayOf(ev.ts),
+    });
+    const pairs = paired.pairs
+      .filter((p) => inWindow(p.in.ts))
+      .map(({ in: first, out: second, mergedCount }) => {
+        const durationMs = Math.max(0, second.ts.toMillis() - first.ts.toMillis());
+        const key = pairKey(userId, toUnix(first.ts));
+        return {
+          key,
+          userId,
+          userName: first.userName || second.userName,
+          siteName: first.siteName || second.siteName,
+          area: areaName,
+          in: {
+            date: fmtDate(first.ts),
+            time: fmtTime(first.ts),
+            ts: first.ts.toISO(),
+            atLocation: `${first.doorName} ${first.directionLabel}`, // Inbound
+          },
+          out: {
+            date: fmtDate(second.ts),
+            time: fmtTime(second.ts),
+            ts: second.ts.toISO(),
+            atLocation: `${second.doorName} ${second.directionLabel}`, // Outbound
+          },
+          totalMs: durationMs,
+          totalLabel: msToHMM(durationMs),
+          spansMidnight: fmtDate(first.ts) !== fmtDate(second.ts), // IN and OUT on different calendar days
+          day: dayOf(first.ts),         // report day (shift date) it counts toward
+          mergedCount,                  // breaks merged into this one (1 = not merged)
+          annotation: annotationFor(key), // manager note / excused flag
+        };
+      });
+
+    // Buffer events belong to the neighbouring reports
+    const unmatched = paired.unmatched
+      .filter((m) => inWindow(m.ev.ts))
+      .map(({ ev, reason, untilMs }) => {
+        const estimatedMs = untilMs === null ? null : Math.max(0, untilMs - ev.ts.toMillis());
+        return {
+          reason,
+          label: UNMATCHED_REASONS[reason],
+          direction: ev.direction,
+          date: fmtDate(ev.ts),
+          time: fmtTime(ev.ts),
+          ts: ev.ts.toISO(),
+          atLocation: `${ev.doorName} ${ev.directionLabel}`,
+          estimatedMs,
+          estimatedLabel: estimatedMs === null ? null : msToHMM(estimatedMs),
+        };
+      });
+
+    // Per-day subtotals; a pair counts toward the day (or shift) it started in.
+    const byDay = new Map();
+    for (const p of pairs) {
+      if (!byDay.has(p.day)) byDay.set(p.day, []);
+      byDay.get(p.day).push(p);
+    }
+    const days = [...byDay.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([day, dayPairs]) => {
+        const dayMs = dayPairs.reduce((sum, p) => sum + p.totalMs, 0);
+        const excusedMs = dayPairs.reduce((sum, p) => sum + (p.annotation?.excused ? p.totalMs : 0), 0);
+        return {
+          date: day,
+          totalMs: dayMs,
+          totalLabel: msToHMM(dayMs),
+          excusedMs,
+          excusedLabel: msToHMM(excusedMs),
+          countedMs: dayMs - excusedMs,
+          countedLabel: msToHMM(dayMs - excusedMs),
+          overThreshold: dayMs - excusedMs >= userMinMs,
+          pairs: dayPairs,
+        };
+      });
+
+    const totalMs = pairs.reduce((sum, p) => sum + p.totalMs, 0);
+    const excusedMs = days.reduce((sum, d) => sum + d.excusedMs, 0);
+    const daysOver = days.filter((d) => d.overThreshold).length;
+    // Policies only see the time that counts: excused pairs are left out
+    const countedDays = days.map((d) => ({ ...d, totalMs: d.countedMs, pairs: d.pairs.filter((p) => !p.annotation?.excused) }));
+    const policyViolations = userPolicy ? evaluatePolicy(shiftPolicy(userPolicy), countedDays, dayZone) : [];
+
+    // Include this user if:
+    //  - paired time on any day meets/exceeds threshold, OR
+    //  - they broke any rule of the selected policy, OR
+    //  - they have any violations (APB) that haven't been excused, even if every day is under threshold or 0, OR
+    //  - they have unmatched events (still inside only counts once its window and buffer are over), OR
+    //  - the report was asked for this user alone
+    const hasUnmatched = paired.unmatched.some(
+      (m) => inWindow(m.ev.ts) && (m.reason !== 'still_inside' || Date.now() >= closesBy(m.ev.ts) * 1000)
+    );
+    const openViolations = violations.filter((v) => !v.annotation?.excused);
+    const include = daysOver > 0 || policyViolations.length > 0 || openViolations.length > 0 || hasUnmatched;
+    if (include || userFilter || includeAllUsers) {
+      results.push({
+        userId,
+        userName: pairs[0]?.userName || evs[0]?.userName || 'Unknown User',
+        siteName: pairs[0]?.siteName || evs[0]?.siteName || 'Unknown Site',
+        groups: membership.groups,    // every access group the user is in
+        group: membership.group,      // group whose rule applied (else their first group)
+        minMinutes: userMinMinutes,   // threshold applied to this user
+        policyId: userPolicy?.policy_id || null,
+        policyName: userPolicy?.name || null,
+        totalMs,                      // range total
+        totalLabel: msToHMM(totalMs),
+        excusedMs,                    // part of totalMs excused by a manager
+        excusedLabel: msToHMM(excusedMs),
+        countedMs: totalMs - excusedMs, // what thresholds and policies judge
+        countedLabel: msToHMM(totalMs - excusedMs),
+        daysOver,                     // days at/over min_minutes
+        days,                         // per-day subtotals with their pairs
+        pairs,                        // strictly in=>out rows only
+        violations,                   // APB/area violations to investigate
+        policyViolations,             // broken policy rules, by how much
+        unmatched,                    // events left out of pairs, with reason codes
+      });
+    }
+  }
+
+  // Sort users by largest total first; if totals tie, put violators first.
+  results.sort((a, b) => {
+    if (b.totalMs !== a.totalMs) return b.totalMs - a.totalMs;
+    return (b.violations?.length || 0) - (a.violations?.length || 0);
+  });
+
+  return {
+    door: door && {
+      door_id: door.door_id,
+      name: door.name,
+      site_name: door.site?.name || 'Unknown Site',
+      timezone: tz,
+    },
+    area: area && {
+      area_id: area.area_id,
+      name: area.name,
+      door_ids: memberDoors.map((d) => d.door_id),
+      doors: memberDoors.map((d) => ({ door_id: d.door_id, name: d.name })),
+      site_name: primaryDoor.site?.name || 'Unknown Site',
+      timezone: tz,
+    },
+    generatedRange: {
+      start_unix: startUnix,
+      end_unix: endUnix,
+      start_date: fmtDate(startDT),
+      end_date: fmtDate(endDT),
+      buffer_minutes: Math.max(0, PAIR_BUFFER_MINUTES),
+      tz,
+    },
+    min_minutes: baseMinMinutes,
+    shift: shift && describeShift(shift),
+    windows: windows.map((w) => ({ date: w.date, start: w.start.toISO(), end: w.end.toISO() })),
+    pairing: { ...pairing, description: describePairing(pairing) },
+    policy,
+    group: groupFilter ? { group_id: groupFilter.group_id, name: groupFilter.name } : null,
+    source,                         // 'store' | 'live'
+    users: results,
+  };
+};
@@ -0,0 +1,75 @@
+// backend/reportEmail.js
+// HTML/plain-text email body for a break report (the object buildBreakReport returns).
+// Mail clients ignore stylesheets, so styles are inline.
+
+const escapeHtml = (s) =>
+  String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const rangeLabel = ({ start_date, end_date }) => (start_date === end_date ? start_date : `${start_date} → ${end_date}`);
+
+const TH = 'text-align:left;padding:6px 10px;border-bottom:1px solid #e5e7eb;font-size:13px;';
+const TD = 'padding:6px 10px;border-bottom:1px solid #f3f4f6;font-size:13px;vertical-align:top;';
+
+// title: heading/subject prefix (e.g. the schedule name); attached: whether the full report goes with it as a file
+export const renderReportEmail = (report, title, { attached = false } = {}) => {
+  const target = report.area || report.door;
+  const range = rangeLabel(report.generatedRange);
+  const users = report.users;
+  // Users can also be listed for violations or unmatched events alone; only those over the threshold count here
+  const over = users.filter((u) => u.daysOver > 0).length;
+  const subject = `${title}: ${over} user${over === 1 ? '' : 's'} over on ${range}`;
+
+  const settings = [
+    `${report.area ? 'Area' : 'Door'}: ${target?.name} (${target?.site_name})`,
+    `Range: ${range}`,
+    report.shift && `Shift: ${report.shift.label}`,
+    `Threshold: ${report.min_minutes} min${report.generatedRange.start_date !== report.generatedRange.end_date ? ' / day' : ''}`,
+    `Pairing: ${report.pairing.description}`,
+    report.policy && `Policy: ${report.policy.name}`,
+    report.group && `Group: ${report.group.name}`,
+  ].filter(Boolean);
+
+  const violationCount = (u) => u.violations.length + u.policyViolations.length;
+  const totalLabel = (u) => (u.excusedMs ? `${u.totalLabel} (${u.excusedLabel} excused)` : u.totalLabel);
+
+  const rows = users
+    .map(
+      (u) => `<tr>
+        <td style="${TD}"><strong>${escapeHtml(u.userName)}</strong><br><span style="color:#6b7280">${escapeHtml(u.siteName)}${u.group ? ` • ${escapeHtml(u.group.name)}` : ''}</span></td>
+        <td style="${TD}">${escapeHtml(totalLabel(u))}</td>
+        <td style="${TD}">${u.daysOver}</td>
+        <td style="${TD}">${u.pairs.length}</td>
+        <td style="${TD}${violationCount(u) ? 'color:#991b1b;font-weight:600;' : ''}">${violationCount(u)}</td>
+      </tr>`
+    )
+    .join('');
+
+  const html = `<div style="font-family:Helvetica,Arial,sans-serif;color:#111827;">
+  <h2 style="margin:0 0 4px;">${escapeHtml(title)}</h2>
+  <p style="margin:0 0 16px;color:#374151;">${settings.map(escapeHtml).join(' • ')}</p>
+  ${
+    users.length
+      ? `<table style="border-collapse:collapse;width:100%;max-width:720px;">
+    <thead><tr>
+      <th style="${TH}">User</th><th style="${TH}">Total</th><th style="${TH}">Days Over</th><th style="${TH}">Breaks</th><th style="${TH}">Violations</th>
+    </tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`
+      : `<p style="color:#6b7280;">No users exceeded ${report.min_minutes} minutes.</p>`
+  }
+  <p style="margin-top:16px;color:#6b7280;font-size:12px;">Sent by Breakroom.${attached ? ' The attachment has every break and violation.' : ''}</p>
+</div>`;
+
+  const text = [
+    title,
+    settings.join(' • '),
+    '',
+    ...(users.length
+      ? users.map(
+          (u) => `${u.userName} (${u.siteName}): ${totalLabel(u)}, ${u.daysOver} day(s) over, ${u.pairs.length} break(s), ${violationCount(u)} violation(s)`
+        )
+      : [`No users exceeded ${report.min_minutes} minutes.`]),
+  ].join('\n');
+
+  return { subject, html, text };
+};
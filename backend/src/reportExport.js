@@ -0,0 +1,367 @@
+// backend/reportExport.js
+// Spreadsheet renderings of a break report (the object buildBreakReport returns):
+//   CSV  — one file: a row per in/out pair, a total row per user, then one row per violation;
+//          pair and total rows name the pairing strategy, pairs and APB violations carry manager annotations
+//   XLSX — "Breaks" (pairs + user total rows), "Summary", "Violations" and "Report" sheets
+//   PDF  — printable landscape pages: the report settings, then each user's breaks and violations
+//          (the dashboard renders its own PDF in the browser; this one is for the CLI)
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+
+const toMinutes = (ms) => Math.round(ms / 60000);
+
+// Manager annotation on a pair or APB violation (see annotations.js)
+const annotationCells = (a) => ({ excused: a?.excused ? 'yes' : 'no', note: a?.note || '' });
+
+const slug = (s) =>
+  String(s || '')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-');
+
+export const exportFilename = (report, ext, prefix = 'break-report') => {
+  const target = slug((report.area || report.door)?.name) || 'door';
+  const { start_date, end_date } = report.generatedRange;
+  const range = start_date === end_date ? start_date : `${start_date}_to_${end_date}`;
+  return `${prefix}_${target}_${range}.${ext}`;
+};
+
+// -------------------------------
+// Row builders (shared by CSV and XLSX)
+// -------------------------------
+const pairRow = (u, p, report) => ({
+  user_id: u.userId,
+  user_name: u.userName,
+  site: u.siteName,
+  group: u.group?.name || '',
+  area: p.area,
+  in_date: p.in.date,
+  in_time: p.in.time,
+  in_location: p.in.atLocation,
+  out_date: p.out.date,
+  out_time: p.out.time,
+  out_location: p.out.atLocation,
+  minutes: toMinutes(p.totalMs),
+  duration: p.totalLabel,
+  spans_midnight: p.spansMidnight ? 'yes' : 'no',
+  merged_count: p.mergedCount,
+  pairing: report.pairing.description,
+  ...annotationCells(p.annotation),
+});
+
+const summaryRow = (u) => ({
+  user_id: u.userId,
+  user_name: u.userName,
+  site: u.siteName,
+  group: u.group?.name || '',
+  threshold_minutes: u.minMinutes,
+  minutes: toMinutes(u.totalMs),
+  duration: u.totalLabel,
+  excused_minutes: toMinutes(u.excusedMs),
+  days_with_breaks: u.days.length,
+  days_over: u.daysOver,
+  break_count: u.pairs.length,
+  apb_violations: u.violations.length,
+  policy_violations: u.policyViolations.length,
+});
+
+const violationRows = (u) => [
+  ...u.violations.map((v) => ({
+    user_id: u.userId,
+    user_name: u.userName,
+    violation_type: 'apb',
+    violation_rule: v.event_type,
+    violation_date: v.date,
+    violation_time: v.time,
+    over: '',
+    unit: '',
+    message: v.message,
+    ...annotationCells(v.annotation),
+  })),
+  ...u.policyViolations.map((v) => ({
+    user_id: u.userId,
+    user_name: u.userName,
+    violation_type: 'policy',
+    violation_rule: v.rule,
+    violation_date: v.date,
+    violation_time: v.time || '',
+    over: v.over,
+    unit: v.unit,
+    message: `${v.label}: ${v.message}`,
+  })),
+];
+
+// -------------------------------
+// CSV
+// -------------------------------
+const CSV_COLUMNS = [
+  'record_type',
+  'user_id',
+  'user_name',
+  'site',
+  'group',
+  'area',
+  'in_date',
+  'in_time',
+  'in_location',
+  'out_date',
+  'out_time',
+  'out_location',
+  'minutes',
+  'duration',
+  'spans_midnight',
+  'merged_count',
+  'pairing',
+  'excused',
+  'note',
+  'threshold_minutes',
+  'excused_minutes',
+  'days_over',
+  'break_count',
+  'violation_type',
+  'violation_rule',
+  'violation_date',
+  'violation_time',
+  'over',
+  'unit',
+  'message',
+];
+
+// delimiter: the field separator in use (payroll profiles may use ; or tabs)
+export const csvCell = (value, delimiter = ',') => {
+  if (value === null || value === undefined) return '';
+  let s = String(value);
+  // Keep spreadsheet apps from evaluating user-controlled text as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCsvLine = (columns, row) => columns.map((c) => csvCell(row[c])).join(',');
+
+export const reportToCsv = (report) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const u of report.users) {
+    for (const p of u.pairs) lines.push(toCsvLine(CSV_COLUMNS, { record_type: 'pair', ...pairRow(u, p, report) }));
+    lines.push(
+      toCsvLine(CSV_COLUMNS, { record_type: 'user_total', ...summaryRow(u), pairing: report.pairing.description })
+    );
+  }
+  for (const u of report.users) {
+    for (const v of violationRows(u)) lines.push(toCsvLine(CSV_COLUMNS, { record_type: 'violation', ...v }));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// -------------------------------
+// XLSX
+// -------------------------------
+const col = (header, key, width = 14) => ({ header, key, width });
+
+const styleHeader = (ws) => {
+  ws.getRow(1).font = { bold: true };
+  ws.views = [{ state: 'frozen', ySplit: 1 }];
+};
+
+export const reportToXlsx = async (report) => {
+  const wb = new ExcelJS.Workbook();
+  wb.created = new Date();
+
+  const breaks = wb.addWorksheet('Breaks');
+  breaks.columns = [
+    col('User ID', 'user_id', 16),
+    col('User', 'user_name', 24),
+    col('Site', 'site', 18),
+    col('Group', 'group', 18),
+    col('Area', 'area', 20),
+    col('Date In', 'in_date', 12),
+    col('Time In', 'in_time', 10),
+    col('In Location', 'in_location', 28),
+    col('Date Out', 'out_date', 12),
+    col('Time Out', 'out_time', 10),
+    col('Out Location', 'out_location', 28),
+    col('Minutes', 'minutes', 10),
+    col('Total', 'duration', 10),
+    col('Spans Midnight', 'spans_midnight', 14),
+    col('Merged Breaks', 'merged_count', 14),
+    col('Excused', 'excused', 10),
+    col('Note', 'note', 40),
+  ];
+  styleHeader(breaks);
+  for (const u of report.users) {
+    for (const p of u.pairs) breaks.addRow(pairRow(u, p, report));
+    const s = summaryRow(u);
+    const total = breaks.addRow({
+      user_id: s.user_id,
+      user_name: `Total — ${s.user_name}`,
+      site: s.site,
+      group: s.group,
+      minutes: s.minutes,
+      duration: s.duration,
+    });
+    total.font = { bold: true };
+    total.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF3F4F6' } };
+  }
+
+  const summary = wb.addWorksheet('Summary');
+  summary.columns = [
+    col('User ID', 'user_id', 16),
+    col('User', 'user_name', 24),
+    col('Site', 'site', 18),
+    col('Group', 'group', 18),
+    col('Threshold (min)', 'threshold_minutes'),
+    col('Total Minutes', 'minutes'),
+    col('Total', 'duration', 10),
+    col('Excused Minutes', 'excused_minutes', 16),
+    col('Days With Breaks', 'days_with_breaks', 16),
+    col('Days Over', 'days_over', 10),
+    col('Breaks', 'break_count', 10),
+    col('APB Violations', 'apb_violations'),
+    col('Policy Violations', 'policy_violations', 16),
+  ];
+  styleHeader(summary);
+  for (const u of report.users) summary.addRow(summaryRow(u));
+
+  const violations = wb.addWorksheet('Violations');
+  violations.columns = [
+    col('User ID', 'user_id', 16),
+    col('User', 'user_name', 24),
+    col('Type', 'violation_type', 10),
+    col('Rule / Event', 'violation_rule', 26),
+    col('Date', 'violation_date', 12),
+    col('Time', 'violation_time', 10),
+    col('Over By', 'over', 10),
+    col('Unit', 'unit', 10),
+    col('Details', 'message', 70),
+    col('Excused', 'excused', 10),
+    col('Note', 'note', 40),
+  ];
+  styleHeader(violations);
+  for (const u of report.users) for (const v of violationRows(u)) violations.addRow(v);
+
+  const info = wb.addWorksheet('Report');
+  info.columns = [col('Setting', 'k', 20), col('Value', 'v', 50)];
+  styleHeader(info);
+  const target = report.area || report.door;
+  info.addRows([
+    { k: report.area ? 'Area' : 'Door', v: target?.name },
+    { k: 'Site', v: target?.site_name },
+    { k: 'Timezone', v: report.generatedRange.tz },
+    { k: 'Start Date', v: report.generatedRange.start_date },
+    { k: 'End Date', v: report.generatedRange.end_date },
+    { k: 'Shift', v: report.shift?.label || '' },
+    { k: 'Threshold (min)', v: report.min_minutes },
+    { k: 'Pairing', v: report.pairing.description },
+    { k: 'Policy', v: report.policy?.name || '' },
+    { k: 'Group', v: report.group?.name || '' },
+    { k: 'Generated At', v: new Date().toISOString() },
+  ]);
+
+  return Buffer.from(await wb.xlsx.writeBuffer());
+};
+
+// -------------------------------
+// PDF
+// -------------------------------
+const PDF_MARGIN = 36;
+const PDF_ROW_HEIGHT = 14;
+
+// The built-in PDF fonts only cover Latin-1, so e.g. the pairing label's arrow is spelled out
+const pdfText = (s) => String(s ?? '').replace(/→/g, '->');
+
+// Column widths in points; landscape A4 leaves ~770 between the margins
+const PDF_COLUMNS = [
+  ['Date In', 'in_date', 62],
+  ['Time In', 'in_time', 50],
+  ['In Location', 'in_location', 170],
+  ['Date Out', 'out_date', 62],
+  ['Time Out', 'out_time', 50],
+  ['Out Location', 'out_location', 170],
+  ['Total', 'duration', 50],
+  ['Note', 'note', 156],
+];
+
+export const reportToPdf = (report) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PDF_MARGIN, bufferPages: true });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const bottom = () => doc.page.height - PDF_MARGIN - PDF_ROW_HEIGHT;
+    const row = (cells, { bold = false, fill = null } = {}) => {
+      if (doc.y > bottom()) doc.addPage();
+      const y = doc.y;
+      const width = PDF_COLUMNS.reduce((sum, [, , w]) => sum + w, 0);
+      if (fill) doc.rect(PDF_MARGIN, y - 2, width, PDF_ROW_HEIGHT).fill(fill);
+      doc.fillColor('#111827').font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      let x = PDF_MARGIN;
+      for (const [, key, w] of PDF_COLUMNS) {
+        doc.text(pdfText(cells[key]), x + 2, y, { width: w - 4, height: PDF_ROW_HEIGHT, lineBreak: false, ellipsis: true });
+        x += w;
+      }
+      doc.x = PDF_MARGIN;
+      doc.y = y + PDF_ROW_HEIGHT;
+    };
+    const line = (text, { size = 9, bold = false, color = '#111827' } = {}) => {
+      if (doc.y > bottom()) doc.addPage();
+      doc.fillColor(color).font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).text(pdfText(text), PDF_MARGIN, doc.y);
+    };
+
+    const target = report.area || report.door;
+    const { start_date, end_date, tz } = report.generatedRange;
+    line('Break Report', { size: 16, bold: true });
+    line(
+      [
+        `${report.area ? 'Area' : 'Door'}: ${target?.name} (${target?.site_name})`,
+        `Range: ${start_date === end_date ? start_date : `${start_date} to ${end_date}`} (${tz})`,
+        report.shift && `Shift: ${report.shift.label}`,
+        `Threshold: ${report.min_minutes} min`,
+        `Pairing: ${report.pairing.description}`,
+        report.policy && `Policy: ${report.policy.name}`,
+        report.group && `Group: ${report.group.name}`,
+      ]
+        .filter(Boolean)
+        .join('  •  '),
+      { color: '#374151' }
+    );
+    doc.moveDown();
+    if (report.users.length === 0) line(`No users exceeded ${report.min_minutes} minutes.`, { color: '#6b7280' });
+
+    for (const u of report.users) {
+      if (doc.y > bottom() - 4 * PDF_ROW_HEIGHT) doc.addPage();
+      const excused = u.excusedMs ? `, ${u.excusedLabel} excused` : '';
+      line(`${u.userName} — ${u.siteName}${u.group ? ` — ${u.group.name}` : ''}`, { size: 11, bold: true });
+      line(`Total ${u.totalLabel}${excused} • ${u.daysOver} day(s) over • ${u.pairs.length} break(s)`, { color: '#374151' });
+      doc.moveDown(0.3);
+      row(Object.fromEntries(PDF_COLUMNS.map(([header, key]) => [key, header])), { bold: true, fill: '#f3f4f6' });
+      for (const p of u.pairs) {
+        const r = pairRow(u, p, report);
+        row({ ...r, note: [p.annotation?.excused && 'Excused', r.note].filter(Boolean).join(': ') });
+      }
+      for (const v of violationRows(u)) {
+        line(`${v.violation_date} ${v.violation_time}  ${v.violation_type === 'apb' ? 'APB' : 'Policy'}: ${v.message}`, {
+          size: 8,
+          color: '#991b1b',
+        });
+      }
+      doc.moveDown();
+    }
+
+    // Page numbers once the page count is known
+    const pages = doc.bufferedPageRange();
+    for (let i = 0; i < pages.count; i++) {
+      doc.switchToPage(pages.start + i);
+      doc.page.margins.bottom = 0; // the footer sits in the margin; keep pdfkit from breaking the page
+      doc
+        .fillColor('#6b7280')
+        .font('Helvetica')
+        .fontSize(8)
+        .text(`Page ${i + 1} of ${pages.count}`, PDF_MARGIN, doc.page.height - PDF_MARGIN + 10, {
+          width: doc.page.width - 2 * PDF_MARGIN,
+          align: 'right',
+          lineBreak: false,
+        });
+    }
+    doc.end();
+  });
@@ -0,0 +1,273 @@
+// backend/schedules.js
+// Scheduled report jobs, e.g. "every weekday at 07:00, yesterday's report for the North break room".
+// Stored in DATA_DIR/schedules.json and managed through /api/schedules:
+//   { schedule_id, name, enabled, days: ['mon', ...], time: 'HH:mm', tz (IANA zone),
+//     report: { door_id | area_id, range, min_minutes?, policy?, group? },
+//     recipients: ['a@example.com'], attachment: 'csv' | 'xlsx' | 'pdf' | 'none',
+//     next_run_at (ISO, UTC), last_run: { status: 'ok' | 'error' | 'skipped', message, started_at, finished_at, ... } }
+// A timer checks for due jobs every SCHEDULE_CHECK_SECONDS (default 30); each run builds the
+// same report as /api/break-report and emails it (see mailer.js for SMTP settings).
+import { randomUUID } from 'node:crypto';
+import { DateTime, IANAZone } from 'luxon';
+import { readJSON, writeJSON } from './store.js';
+import { buildBreakReport } from './report.js';
+import { reportToCsv, reportToXlsx, reportToPdf, exportFilename } from './reportExport.js';
+import { renderReportEmail } from './reportEmail.js';
+import { sendMail } from './mailer.js';
+
+const CHECK_SECONDS = Number(process.env.SCHEDULE_CHECK_SECONDS) || 30;
+// A run missed by more than this (server was down) is skipped rather than sent late
+const MISSED_RUN_GRACE_HOURS = 6;
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Report date range relative to the run day (in the schedule's timezone)
+export const REPORT_RANGES = {
+  today: (d) => [d, d],
+  yesterday: (d) => [d.minus({ days: 1 }), d.minus({ days: 1 })],
+  last_7_days: (d) => [d.minus({ days: 7 }), d.minus({ days: 1 })],
+  previous_week: (d) => [d.startOf('week').minus({ weeks: 1 }), d.startOf('week').minus({ days: 1 })],
+};
+
+const ATTACHMENTS = ['csv', 'xlsx', 'pdf', 'none'];
+const EMAIL_RE = /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/;
+
+// Bad input (4xx), mirrors ReportError
+export class ScheduleError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.status = status;
+  }
+}
+
+// -------------------------------
+// Validation & next-run calculation
+// -------------------------------
+const normalizeSchedule = (input) => {
+  const fail = (message) => {
+    throw new ScheduleError(400, message);
+  };
+
+  const name = String(input.name || '').trim();
+  if (!name) fail('name is required');
+
+  const daysMessage = `days must be a non-empty list of ${WEEKDAYS.join(', ')}`;
+  const rawDays = input.days || WEEKDAYS.slice(0, 5);
+  if (!Array.isArray(rawDays)) fail(daysMessage);
+  const days = [...new Set(rawDays.map((d) => String(d).toLowerCase()))];
+  if (!days.length || days.some((d) => !WEEKDAYS.includes(d))) fail(daysMessage);
+
+  const time = String(input.time || '');
+  const [, hh, mm] = /^(\d{1,2}):(\d{2})$/.exec(time) || [];
+  if (!hh || Number(hh) > 23 || Number(mm) > 59) fail('time must be HH:mm (24h)');
+
+  const tz = String(input.tz || 'UTC');
+  if (!IANAZone.isValidZone(tz)) fail(`Unknown timezone: ${tz}`);
+
+  const r = input.report || {};
+  if (!r.door_id === !r.area_id) fail('report needs exactly one of door_id or area_id');
+  const range = r.range || 'yesterday';
+  if (!REPORT_RANGES[range]) fail(`report.range must be one of ${Object.keys(REPORT_RANGES).join(', ')}`);
+  if (r.min_minutes !== undefined && r.min_minutes !== '' && !(Number(r.min_minutes) >= 0)) {
+    fail('report.min_minutes must be a non-negative number');
+  }
+
+  const recipients = (Array.isArray(input.recipients) ? input.recipients : String(input.recipients || '').split(/[,;\s]+/))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+  if (!recipients.length) fail('At least one recipient is required');
+  const invalid = recipients.filter((s) => !EMAIL_RE.test(s));
+  if (invalid.length) fail(`Invalid email address: ${invalid.join(', ')}`);
+
+  const attachment = input.attachment || 'csv';
+  if (!ATTACHMENTS.includes(attachment)) fail(`attachment must be one of ${ATTACHMENTS.join(', ')}`);
+
+  return {
+    name,
+    enabled: input.enabled !== false,
+    days: WEEKDAYS.filter((d) => days.includes(d)),
+    time: `${hh.padStart(2, '0')}:${mm}`,
+    tz,
+    report: {
+      ...(r.door_id ? { door_id: String(r.door_id) } : { area_id: String(r.area_id) }),
+      range,
+      ...(r.min_minutes !== undefined && r.min_minutes !== '' ? { min_minutes: Number(r.min_minutes) } : {}),
+      ...(r.policy ? { policy: String(r.policy) } : {}),
+      ...(r.group ? { group: String(r.group) } : {}),
+    },
+    recipients,
+    attachment,
+  };
+};
+
+// Next occurrence strictly after `from`, in the schedule's zone. Luxon moves times that fall
+// in a DST gap forward, so a 02:30 job still runs once on spring-forward day.
+export const computeNextRun = (schedule, from = DateTime.utc()) => {
+  if (!schedule.enabled) return null;
+  const [h, m] = schedule.time.split(':').map(Number);
+  const now = from.setZone(schedule.tz);
+  for (let i = 0; i <= 7; i++) {
+    const day = now.startOf('day').plus({ days: i });
+    if (!schedule.days.includes(WEEKDAYS[day.weekday - 1])) continue;
+    const at = day.set({ hour: h, minute: m });
+    if (at > now) return at.toUTC().toISO();
+  }
+  return null;
+};
+
+// -------------------------------
+// Persistence (writes are serialized so the runner and the API never clobber each other)
+// -------------------------------
+const readSchedules = async () => {
+  const raw = await readJSON('schedules', []);
+  if (!Array.isArray(raw)) throw new Error('schedules.json must contain an array of schedules');
+  return raw;
+};
+
+let writes = Promise.resolve();
+const mutate = (fn) => {
+  const run = writes.then(async () => {
+    const list = await readSchedules();
+    const result = await fn(list);
+    await writeJSON('schedules', list);
+    return result;
+  });
+  writes = run.catch(() => {});
+  return run;
+};
+
+const findIndexOr404 = (list, id) => {
+  const i = list.findIndex((s) => s.schedule_id === id);
+  if (i === -1) throw new ScheduleError(404, 'Schedule not found');
+  return i;
+};
+
+export const listSchedules = () => readSchedules();
+
+export const createSchedule = (input) =>
+  mutate((list) => {
+    const schedule = { schedule_id: randomUUID(), ...normalizeSchedule(input), last_run: null };
+    schedule.next_run_at = computeNextRun(schedule);
+    list.push(schedule);
+    return schedule;
+  });
+
+// Partial updates are merged over the stored schedule, then re-validated as a whole
+export const updateSchedule = (id, input) =>
+  mutate((list) => {
+    const i = findIndexOr404(list, id);
+    const current = list[i];
+    const merged = { ...current, ...input, report: { ...current.report, ...(input.report || {}) } };
+    const schedule = { ...current, ...normalizeSchedule(merged) };
+    schedule.next_run_at = computeNextRun(schedule);
+    list[i] = schedule;
+    return schedule;
+  });
+
+export const deleteSchedule = (id) =>
+  mutate((list) => {
+    list.splice(findIndexOr404(list, id), 1);
+  });
+
+// -------------------------------
+// Running a job
+// -------------------------------
+const reportDates = (schedule) => {
+  const today = DateTime.now().setZone(schedule.tz).startOf('day');
+  const [start, end] = REPORT_RANGES[schedule.report.range](today);
+  return { start_date: start.toISODate(), end_date: end.toISODate() };
+};
+
+const deliver = async (schedule) => {
+  const { range, ...params } = schedule.report;
+  const report = await buildBreakReport({ ...params, ...reportDates(schedule) });
+  const { subject, html, text } = renderReportEmail(report, schedule.name, { attached: schedule.attachment !== 'none' });
+
+  const attachments = [];
+  if (schedule.attachment === 'csv') {
+    attachments.push({ filename: exportFilename(report, 'csv'), content: reportToCsv(report), contentType: 'text/csv' });
+  } else if (schedule.attachment === 'xlsx') {
+    attachments.push({
+      filename: exportFilename(report, 'xlsx'),
+      content: await reportToXlsx(report),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    });
+  } else if (schedule.attachment === 'pdf') {
+    attachments.push({ filename: exportFilename(report, 'pdf'), content: await reportToPdf(report), contentType: 'application/pdf' });
+  }
+
+  await sendMail({ to: schedule.recipients, subject, html, text, attachments });
+  return {
+    message: `Sent to ${schedule.recipients.length} recipient${schedule.recipients.length === 1 ? '' : 's'}`,
+    report_range: { start_date: report.generatedRange.start_date, end_date: report.generatedRange.end_date },
+    user_count: report.users.length,
+  };
+};
+
+const running = new Set();
+
+// Run one job now and record the outcome; a failure is recorded, not thrown.
+const execute = async (schedule) => {
+  if (running.has(schedule.schedule_id)) throw new ScheduleError(409, 'Schedule is already running');
+  running.add(schedule.schedule_id);
+  const started_at = DateTime.utc().toISO();
+  let lastRun;
+  try {
+    lastRun = { status: 'ok', ...(await deliver(schedule)) };
+  } catch (err) {
+    console.error(`❌ Scheduled report "${schedule.name}" failed`, err);
+    lastRun = { status: 'error', message: err.message || 'Failed to send report' };
+  } finally {
+    running.delete(schedule.schedule_id);
+  }
+  return recordRun(schedule.schedule_id, { ...lastRun, started_at, finished_at: DateTime.utc().toISO() });
+};
+
+// The job may have been edited or deleted while it ran; only touch what is still there.
+const recordRun = (id, lastRun) =>
+  mutate((list) => {
+    const s = list.find((x) => x.schedule_id === id);
+    if (!s) return null;
+    s.last_run = lastRun;
+    s.next_run_at = computeNextRun(s);
+    return s;
+  });
+
+export const runScheduleNow = async (id) => {
+  const schedule = (await readSchedules()).find((s) => s.schedule_id === id);
+  if (!schedule) throw new ScheduleError(404, 'Schedule not found');
+  return execute(schedule);
+};
+
+const tick = async () => {
+  const now = DateTime.utc();
+  const due = (await readSchedules()).filter(
+    (s) => s.enabled && s.next_run_at && DateTime.fromISO(s.next_run_at) <= now && !running.has(s.schedule_id)
+  );
+  for (const s of due) {
+    if (now.diff(DateTime.fromISO(s.next_run_at), 'hours').hours > MISSED_RUN_GRACE_HOURS) {
+      console.warn(`⚠️ Skipping missed run of "${s.name}" (was due ${s.next_run_at})`);
+      await recordRun(s.schedule_id, {
+        status: 'skipped',
+        message: `Missed run at ${s.next_run_at} (server was not running)`,
+        started_at: now.toISO(),
+        finished_at: now.toISO(),
+      });
+      continue;
+    }
+    await execute(s);
+  }
+};
+
+let timer = null;
+export const startScheduler = () => {
+  if (timer) return;
+  const loop = () =>
+    tick()
+      .catch((err) => console.error('❌ Report scheduler error', err))
+      .finally(() => {
+        timer = setTimeout(loop, CHECK_SECONDS * 1000);
+      });
+  loop();
+};
@@ -1,100 +1,216 @@
 // backend/server.js
+// Loads .env before any other module reads process.env
+import 'dotenv/config';
 import express from 'express';
-import fetch from 'node-fetch';
-import dotenv from 'dotenv';
 import cors from 'cors';
 import { DateTime } from 'luxon';
-
-dotenv.config();
+import { loadAreas } from './areas.js';
+import { loadPolicies } from './policies.js';
+import { loadShifts, describeShift } from './shifts.js';
+import { loadGroupRules, ruleForGroup, groupSiteIds } from './groups.js';
+import { getProvider, listDoors, listAccessGroups } from './providers/index.js';
+import { UpstreamError } from './httpClient.js';
+import { ALLOWED_SITE_IDS, isSiteAllowed } from './sites.js';
+import { buildBreakReport, resolveReportTarget, annotationKeyInTarget, ReportError } from './report.js';
+import { AnnotationError, saveAnnotation } from './annotations.js';
+import { buildUserHistory } from './history.js';
+import { buildOccupancyAnalytics } from './analytics.js';
+import { wantsAnomalies, detectAnomalies } from './anomalies.js';
+import { reportToCsv, reportToXlsx, exportFilename } from './reportExport.js';
+import {
+  PayrollError,
+  listPayrollIds,
+  loadPayrollIdMap,
+  savePayrollIds,
+  deletePayrollId,
+  loadPayrollProfiles,
+  findPayrollProfile,
+  describeProfile,
+  buildPayrollExport,
+} from './payroll.js';
+import {
+  ScheduleError,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runScheduleNow,
+  startScheduler,
+} from './schedules.js';
+import { isMailConfigured } from './mailer.js';
+import { getOccupancy, presentOccupancy, subscribeOccupancy, refreshOccupancy } from './occupancy.js';
+import { WebhookError, verifyWebhookRequest, receiveAccessEvents } from './webhookReceiver.js';
+import { startAlerts, getAlertOverview, sendTestAlert } from './alerts.js';
+import { toUnix } from './utils.js';
+import {
+  AuthError,
+  authMethods,
+  canAccessDoor,
+  ensureBootstrapAdmin,
+  hasRole,
+  loadUsers,
+  publicUser,
+  requireAuth,
+  requireRole,
+  signInWithPassword,
+  signOut,
+} from './auth.js';
+import { startEventSync, getSyncStatus, queueBackfill, isEventStoreEnabled } from './eventSync.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-app.use(cors());
-app.use(express.json());
+// Cookies carry the session, so only the dashboard's own origin(s) may call the API with them.
+const FRONTEND_ORIGINS = (process.env.FRONTEND_ORIGIN || 'http://localhost:3000')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+// Downloads name their file (Content-Disposition); payroll exports also count the users they left out
+app.use(
+  cors({ origin: FRONTEND_ORIGINS, credentials: true, exposedHeaders: ['Content-Disposition', 'X-Payroll-Unmapped-Users'] })
+);
+// Keep the raw bytes too: webhook signatures are computed over the body exactly as sent
+app.use(
+  express.json({
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
-const VERKADA_API_KEY = process.env.VERKADA_API_KEY;
 //const ORG_ID = process.env.ORG_ID;
-const SITE_ID = process.env.SITE_ID;
 
-if (!VERKADA_API_KEY) {
-  console.error('❌ Missing VERKADA_API_KEY or ORG_ID in .env');
+try {
+  console.log(`ℹ️ Access provider: ${getProvider().name}`);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
   process.exit(1);
 }
 
 // -------------------------------
-// Token cache helpers
+// Utility helpers
 // -------------------------------
-let apiTokenCache = { token: null, expiresAt: 0 };
-const getBearerToken = async () => {
-  const now = Math.floor(Date.now() / 1000);
-  if (apiTokenCache.token && apiTokenCache.expiresAt > now) {
-    return apiTokenCache.token;
+
+// Status + JSON body for a failed request. Access-provider failures say what went wrong
+// upstream (rate limiting, auth, timeout) so the dashboard can show something actionable.
+const describeError = (err, fallbackMessage) => {
+  if (!(err instanceof UpstreamError)) {
+    return { status: 500, body: { error: fallbackMessage } };
   }
-  const res = await fetch('https://api.verkada.com/token', {
-    method: 'POST',
-    headers: {
-      accept: 'application/json',
-      'x-api-key': VERKADA_API_KEY,
+  const retryHint = err.retryAfterSeconds ? ` Try again in ${err.retryAfterSeconds}s.` : ' Try again shortly.';
+  const byKind = {
+    rate_limited: [503, `${fallbackMessage}: the access provider is rate limiting requests.${retryHint}`],
+    auth: [502, `${fallbackMessage}: the access provider rejected our credentials. Check VERKADA_API_KEY.`],
+    timeout: [504, `${fallbackMessage}: the access provider timed out.${retryHint}`],
+    network: [502, `${fallbackMessage}: could not reach the access provider.`],
+  };
+  const [status, message] = byKind[err.kind] || [
+    502,
+    `${fallbackMessage}: the access provider returned an error${err.status ? ` (${err.status})` : ''}.`,
+  ];
+  return {
+    status,
+    body: {
+      error: message,
+      kind: err.kind,
+      upstream_status: err.status,
+      retry_after_seconds: err.retryAfterSeconds,
     },
-  });
-  if (!res.ok) throw new Error(`Failed to get API Token: ${res.status}`);
-  const { token } = await res.json();
-  apiTokenCache = { token, expiresAt: now + 300 }; // 5 minutes
-  return token;
+  };
+};
+
+const sendError = (res, err, fallbackMessage) => {
+  const { status, body } = describeError(err, fallbackMessage);
+  if (body.retry_after_seconds) res.set('Retry-After', String(body.retry_after_seconds));
+  return res.status(status).json(body);
 };
 
 // -------------------------------
-// Utility helpers
+// Sign-in (accounts, roles and sessions: see auth.js)
 // -------------------------------
+app.get('/api/auth/config', (_req, res) => res.json(authMethods));
 
-// Map API direction strings to normalized labels + display label
-const normalizeDirection = (raw) => {
-  if (!raw) return { norm: 'unknown', label: 'Unknown' };
-  const r = String(raw).toLowerCase();
-  // Common variants seen in practice
-  if (['in', 'entry', 'entrance'].includes(r)) return { norm: 'in', label: 'Inbound' };
-  if (['out', 'exit', 'egress'].includes(r)) return { norm: 'out', label: 'Outbound' };
-  return { norm: r, label: r.charAt(0).toUpperCase() + r.slice(1) };
-};
+// Body: { username, password }; sets the session cookie and responds with { user }
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Enter a username and password' });
+    }
+    res.json({ user: await signInWithPassword(res, username, password) });
+  } catch (err) {
+    if (err instanceof AuthError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('❌ /api/auth/login error', err);
+    sendError(res, err, 'Failed to sign in');
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  signOut(req, res);
+  res.status(204).end();
+});
 
-const toUnix = (dt) => Math.floor(dt.toSeconds()); // luxon DateTime -> unix (seconds)
+// Everything under /api below needs a session, except webhooks (they carry their own signature)
+app.use('/api', (req, res, next) => (req.path.startsWith('/webhooks/') ? next() : requireAuth(req, res, next)));
 
-const msToHMM = (ms) => {
-  const totalMinutes = Math.round(ms / 60000);
-  const h = Math.floor(totalMinutes / 60);
-  const m = totalMinutes % 60;
-  if (h > 0) return `${h}h ${m}m`;
-  return `${m}m`;
-};
+app.get('/api/auth/me', (req, res) => res.json({ user: publicUser(req.user) }));
 
-// Formatters for UI (local to door timezone)
-const fmtDate = (dt) => dt.toFormat('yyyy-LL-dd');
-const fmtTime = (dt) => dt.toFormat('HH:mm:ss');
+// Doors the signed-in user may see: the site allow-list, narrowed to a supervisor's sites/doors
+const userCanAccessDoor = (req) => (door) => canAccessDoor(req.user, door);
+
+// -------------------------------
+// Sites: derived from the org's doors, limited to the allow-list
+// -------------------------------
+app.get('/api/sites', async (req, res) => {
+  try {
+    const doors = (await listDoors()).filter(userCanAccessDoor(req));
+
+    const sites = new Map();
+    for (const d of doors) {
+      const siteId = d.site?.site_id || null;
+      if (!sites.has(siteId)) {
+        sites.set(siteId, { site_id: siteId, name: d.site?.name || 'Unknown Site', door_count: 0 });
+      }
+      sites.get(siteId).door_count += 1;
+    }
+
+    res.json({
+      sites: [...sites.values()].sort((a, b) => a.name.localeCompare(b.name)),
+      restricted: ALLOWED_SITE_IDS !== null,
+    });
+  } catch (err) {
+    console.error('❌ /api/sites error', err);
+    sendError(res, err, 'Failed to fetch sites');
+  }
+});
 
 // -------------------------------
 // Doors: list & helpful shape
 // -------------------------------
+// Query params:
+//   site_id (optional, must be an allowed site)
 app.get('/api/doors', async (req, res) => {
+  const { site_id } = req.query;
+  if (site_id && !isSiteAllowed(site_id)) {
+    return res.status(403).json({ error: 'Site is not allowed' });
+  }
+
   try {
-    const apiToken = await getBearerToken();
-    const doorsUrl = new URL('https://api.verkada.com/access/v1/doors');
-    doorsUrl.searchParams.set('site_ids', SITE_ID);
-    const r = await fetch(doorsUrl.toString(), {
-      method: 'GET',
-      headers: { accept: 'application/json', 'x-verkada-auth': apiToken },
-    });
-    if (!r.ok) throw new Error(`Failed to fetch doors: ${r.status}`);
-    const data = await r.json();
-
-    const doors = (data?.doors || []).map((d) => ({
-      door_id: d.door_id,
-      name: d.name,
-      site_name: d.site?.name || 'Unknown Site',
-      site_id: d.site?.site_id || null,
-      timezone: d.timezone || 'UTC',
-      camera_info: d.camera_info || {},
-    }));
+    const orgDoors = await listDoors();
+
+    const doors = orgDoors
+      .filter(userCanAccessDoor(req))
+      .filter((d) => !site_id || d.site?.site_id === site_id)
+      .map((d) => ({
+        door_id: d.door_id,
+        name: d.name,
+        site_name: d.site?.name || 'Unknown Site',
+        site_id: d.site?.site_id || null,
+        timezone: d.timezone || 'UTC',
+        camera_info: d.camera_info || {},
+      }));
 
     // Sort: names containing "break" first (case-insensitive), then alphabetical
     const containsBreak = (s) => (s || '').toLowerCase().includes('break');
@@ -108,235 +224,472 @@ app.get('/api/doors', async (req, res) => {
     res.json({ doors });
   } catch (err) {
     console.error('❌ /api/doors error', err);
-    res.status(500).json({ error: 'Failed to fetch doors' });
+    sendError(res, err, 'Failed to fetch doors');
   }
 });
 
 // -------------------------------
-// Break report
+// Areas: named groups of doors
 // -------------------------------
-// Query params:
-//   door_id (required)
-//   date (YYYY-MM-DD, defaults to "today" in door timezone)
-//   min_minutes (number, defaults to 45)
-// Response:
-//   { door: {...}, users: [{ userId, userName, siteName, totalMs, totalLabel, pairs: [...] }], generatedRange: { start_unix, end_unix, tz } }
-app.get('/api/break-report', async (req, res) => {
-  const { door_id } = req.query;
-  let { date, min_minutes } = req.query;
-
-  if (!door_id) {
-    return res.status(400).json({ error: 'Missing door_id' });
+app.get('/api/areas', async (req, res) => {
+  try {
+    const areas = await loadAreas();
+    const doorsById = new Map((await listDoors()).map((d) => [d.door_id, d]));
+
+    // Areas touching a site outside the allow-list (or the user's scope) are hidden entirely.
+    const canAccess = userCanAccessDoor(req);
+    const visible = areas.filter((a) => a.door_ids.every((id) => !doorsById.has(id) || canAccess(doorsById.get(id))));
+
+    res.json({
+      areas: visible.map((a) => {
+        const doors = a.door_ids.map((id) => doorsById.get(id)).filter(Boolean);
+        const missing = a.door_ids.filter((id) => !doorsById.has(id));
+        return {
+          area_id: a.area_id,
+          name: a.name,
+          door_ids: a.door_ids,
+          doors: doors.map((d) => ({ door_id: d.door_id, name: d.name })),
+          missing_door_ids: missing,
+          site_name: doors[0]?.site?.name || 'Unknown Site',
+          site_id: doors[0]?.site?.site_id || null,
+          timezone: doors[0]?.timezone || 'UTC',
+        };
+      }),
+    });
+  } catch (err) {
+    console.error('❌ /api/areas error', err);
+    sendError(res, err, 'Failed to fetch areas');
+  }
+});
+
+// -------------------------------
+// Policies: named break rule sets
+// -------------------------------
+app.get('/api/policies', async (_req, res) => {
+  try {
+    res.json({ policies: await loadPolicies() });
+  } catch (err) {
+    console.error('❌ /api/policies error', err);
+    sendError(res, err, 'Failed to load policies');
   }
-  const minMinutes = Number.isFinite(Number(min_minutes)) ? Number(min_minutes) : 45;
+});
 
+// -------------------------------
+// Shifts: per-site report windows (see shifts.js), limited to sites the user can see
+// -------------------------------
+app.get('/api/shifts', async (req, res) => {
   try {
-    const apiToken = await getBearerToken();
+    const doors = (await listDoors()).filter(userCanAccessDoor(req));
+    const siteIds = new Set(doors.map((d) => d.site?.site_id).filter(Boolean));
+    res.json({ shifts: (await loadShifts()).filter((s) => siteIds.has(s.site_id)).map(describeShift) });
+  } catch (err) {
+    console.error('❌ /api/shifts error', err);
+    sendError(res, err, 'Failed to load shifts');
+  }
+});
 
-    // 1) Fetch doors to find selected door metadata (timezone, name, site)
-    const doorsResp = await fetch('https://api.verkada.com/access/v1/doors', {
-      method: 'GET',
-      headers: { accept: 'application/json', 'x-verkada-auth': apiToken },
+// -------------------------------
+// Access groups & their break allowances
+// -------------------------------
+// Groups a rule ties to sites (site_ids) are listed to users who can see one of those sites, like doors
+// and areas. The rest are org-wide, so supervisors (who are limited to some sites) don't see them.
+app.get('/api/groups', async (req, res) => {
+  try {
+    const [accessGroups, rules, doors] = await Promise.all([listAccessGroups(), loadGroupRules(), listDoors()]);
+    const siteIds = new Set(doors.filter(userCanAccessDoor(req)).map((d) => d.site?.site_id).filter(Boolean));
+    const orgWide = !hasRole(req.user, 'supervisor');
+    res.json({
+      groups: accessGroups
+        .map((g) => ({
+          group_id: g.group_id,
+          name: g.name,
+          member_count: g.user_ids.length,
+          rule: ruleForGroup(g, rules),
+          site_ids: groupSiteIds(g, rules),
+        }))
+        .filter((g) => (g.site_ids ? g.site_ids.some((id) => siteIds.has(id)) : orgWide))
+        .sort((a, b) => a.name.localeCompare(b.name)),
     });
-    if (!doorsResp.ok) throw new Error(`Failed to fetch doors: ${doorsResp.status}`);
-    const { doors: allDoors = [] } = await doorsResp.json();
+  } catch (err) {
+    console.error('❌ /api/groups error', err);
+    sendError(res, err, 'Failed to fetch access groups');
+  }
+});
 
-    const door = allDoors.find((d) => d.door_id === door_id);
-    if (!door) {
-      return res.status(404).json({ error: 'Door not found' });
+// -------------------------------
+// Break report
+// -------------------------------
+// Query params and response shape: see buildBreakReport in report.js
+const handleReport = (send) => async (req, res) => {
+  try {
+    const report = await buildBreakReport(req.query, { canAccessDoor: userCanAccessDoor(req) });
+    await send(res, report, req);
+  } catch (err) {
+    if (err instanceof ReportError) {
+      return res.status(err.status).json({ error: err.message });
     }
+    console.error(`❌ ${req.path} error`, err);
+    sendError(res, err, 'Failed to generate break report');
+  }
+};
 
-    const tz = door.timezone || 'UTC';
-    const todayInTz = DateTime.now().setZone(tz);
-    const targetDay = date
-      ? DateTime.fromISO(date, { zone: tz, setZone: true })
-      : todayInTz;
-
-    if (!targetDay.isValid) {
-      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+// anomalies=1 adds `anomalies` (see detectAnomalies in anomalies.js); anomaly_z / baseline_days tune it
+app.get(
+  '/api/break-report',
+  handleReport(async (res, report, req) => {
+    if (wantsAnomalies(req.query)) {
+      report.anomalies = await detectAnomalies(report, req.query, { canAccessDoor: userCanAccessDoor(req) });
     }
+    res.json(report);
+  })
+);
+
+// Same query params as /api/break-report, delivered as a download
+app.get(
+  '/api/break-report.csv',
+  handleReport((res, report) => {
+    res.attachment(exportFilename(report, 'csv'));
+    res.type('text/csv; charset=utf-8');
+    res.send(reportToCsv(report));
+  })
+);
+
+app.get(
+  '/api/break-report.xlsx',
+  handleReport(async (res, report) => {
+    res.attachment(exportFilename(report, 'xlsx'));
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(await reportToXlsx(report));
+  })
+);
 
-    const startDT = targetDay.startOf('day');
-    const endDT = targetDay.endOf('day'); // inclusive end
-    const startUnix = toUnix(startDT);
-    const endUnix = toUnix(endDT);
-
-    // 2) Fetch access events for the day with pagination (page_size=100)
-    // API sample shows start_time & end_time params; we’ll filter by door client-side.
-    const fetchAllAccessEvents = async (startUnix, endUnix, apiToken) => {
-    let all = [];
-    let next = null;
-
-    while (true) {
-        const url = new URL('https://api.verkada.com/events/v1/access');
-        url.searchParams.set('start_time', String(startUnix)); // seconds
-        url.searchParams.set('end_time', String(endUnix));     // seconds (inclusive window OK)
-        url.searchParams.set('page_size', '100');
-        if (next) url.searchParams.set('page_token', next);
-
-        const resp = await fetch(url.toString(), {
-        method: 'GET',
-        headers: { accept: 'application/json', 'x-verkada-auth': apiToken },
-        });
-
-        if (!resp.ok) {
-        const text = await resp.text().catch(() => '');
-        throw new Error(
-            `Failed to fetch access events: ${resp.status} ${resp.statusText} :: ${text}`
-        );
-        }
-
-        const json = await resp.json();
-        const events = json?.events || [];
-        all = all.concat(events);
-
-        next = json?.next_page_token || null;
-        if (!next) break;
+// -------------------------------
+// Payroll: employee ID mapping and timekeeping exports (see payroll.js), admins and HR only
+// -------------------------------
+app.use('/api/payroll', requireRole('admin', 'hr'));
+
+const handlePayroll = (fn) => async (req, res) => {
+  try {
+    await fn(req, res);
+  } catch (err) {
+    if (err instanceof PayrollError || err instanceof ReportError) {
+      return res.status(err.status).json({ error: err.message });
     }
-    return all;
-    };
-
-    const rawEvents = await fetchAllAccessEvents(startUnix, endUnix, apiToken);
-
-
-    // 3) Filter to this door & normalize shape
-    const filtered = rawEvents
-    .filter((e) => {
-        const info = e?.event_info || {};
-        const eventDoorId = info.doorId || e.device_id || null;
-        return eventDoorId === door_id;
-    })
-    .map((e) => {
-        const info = e.event_info || {};
-        const { norm, label } = normalizeDirection(info.direction);
-        return {
-        event_id: e.event_id,
-        event_type: e.event_type || '',                 // <-- include
-        violationMessage: info.message || null,         // <-- include
-        timestampISO: e.timestamp,
-        ts: DateTime.fromISO(e.timestamp, { zone: 'utc' }).setZone(tz),
-        userId: info.userId || info.userInfo?.userId || 'unknown',
-        userName: info.userName || info.userInfo?.name || 'Unknown User',
-        siteName: info.siteName || door.site?.name || 'Unknown Site',
-        direction: norm, // 'in' | 'out' | other
-        directionLabel: label,
-        doorName: info.doorInfo?.name || door.name || 'Door',
-        };
-    })
-    .filter((e) => e.direction === 'in' || e.direction === 'out' || (e.event_type || '').startsWith('DOOR_APB_'))
-    .sort((a, b) => a.ts.toMillis() - b.ts.toMillis());
-
-    // 4) Group by user, then pair strictly (in => out). Collect APB violations separately.
-    const byUser = new Map();
-    for (const ev of filtered) {
-    if (!byUser.has(ev.userId)) byUser.set(ev.userId, []);
-    byUser.get(ev.userId).push(ev);
+    console.error(`❌ ${req.method} ${req.path} error`, err);
+    sendError(res, err, 'Payroll request failed');
+  }
+};
+
+app.get(
+  '/api/payroll/ids',
+  handlePayroll(async (_req, res) => {
+    res.json({ ids: await listPayrollIds() });
+  })
+);
+
+// Body: { employee_id, user_name? }
+app.put(
+  '/api/payroll/ids/:userId',
+  handlePayroll(async (req, res) => {
+    const [mapping] = await savePayrollIds([{ ...req.body, user_id: req.params.userId }], req.user);
+    res.json({ mapping });
+  })
+);
+
+// Bulk add/replace, e.g. pasted from the payroll system. Body: { ids: [{ user_id, employee_id, user_name? }] }
+app.post(
+  '/api/payroll/ids',
+  handlePayroll(async (req, res) => {
+    res.json({ ids: await savePayrollIds(req.body?.ids, req.user) });
+  })
+);
+
+app.delete(
+  '/api/payroll/ids/:userId',
+  handlePayroll(async (req, res) => {
+    await deletePayrollId(req.params.userId);
+    res.status(204).end();
+  })
+);
+
+app.get(
+  '/api/payroll/profiles',
+  handlePayroll(async (_req, res) => {
+    res.json({ profiles: (await loadPayrollProfiles()).map(describeProfile) });
+  })
+);
+
+// Query params: profile (profile_id) plus the report's own (door_id | area_id, dates, shift, group, pairing, …).
+// Every user's breaks are exported, not just those over the threshold.
+app.get(
+  '/api/payroll/export',
+  handlePayroll(async (req, res) => {
+    const profile = await findPayrollProfile(String(req.query.profile || ''));
+    const report = await buildBreakReport(req.query, { canAccessDoor: userCanAccessDoor(req), includeAllUsers: true });
+    const file = buildPayrollExport(report, profile, await loadPayrollIdMap());
+    res.attachment(file.filename);
+    res.type(file.contentType);
+    res.set('X-Payroll-Unmapped-Users', String(file.unmapped.length));
+    res.send(file.body);
+  })
+);
+
+// -------------------------------
+// Per-employee history (shape: see buildUserHistory in history.js)
+// -------------------------------
+// Query params: door_id or area_id, days (30 | 90), min_minutes, policy, pairing, merge_gap_seconds
+app.get('/api/users/:userId/history', async (req, res) => {
+  try {
+    res.json(await buildUserHistory(req.params.userId, req.query, { canAccessDoor: userCanAccessDoor(req) }));
+  } catch (err) {
+    if (err instanceof ReportError) {
+      return res.status(err.status).json({ error: err.message });
     }
+    console.error('❌ /api/users/:userId/history error', err);
+    sendError(res, err, 'Failed to load user history');
+  }
+});
 
-    const results = [];
-    for (const [userId, evs] of byUser.entries()) {
-    let lastInbound = null;             // holds the last unmatched IN
-    const pairs = [];                   // only proper (in => out) pairs
-    const violations = [];              // APB / area rule violations to display
-
-    for (const ev of evs) {
-        const isAPB = (ev.event_type || '').startsWith('DOOR_APB_');
-        if (isAPB) {
-        violations.push({
-            date: ev.ts.toFormat('yyyy-LL-dd'),
-            time: ev.ts.toFormat('HH:mm:ss'),
-            message: ev.violationMessage || ev.event_type.replace('DOOR_APB_', '').replace(/_/g, ' '),
-            event_type: ev.event_type,
-        });
-        // Note: APB entries are NOT paired; they stand alone for review.
-        }
-
-        if (ev.direction === 'in') {
-        // If we already had an unmatched IN and we see another IN,
-        // don't create a pair. Keep the most recent IN as the candidate.
-        // (APB for double-entry will be shown via the APB event above.)
-        lastInbound = ev;
-        } else if (ev.direction === 'out') {
-        if (lastInbound) {
-            // Proper pair: last IN → this OUT
-            const first = lastInbound;
-            const second = ev;
-            const durationMs = Math.max(0, second.ts.toMillis() - first.ts.toMillis());
-            pairs.push({
-            userId,
-            userName: first.userName || second.userName,
-            siteName: first.siteName || second.siteName,
-            area: 'Break Room',
-            in: {
-                date: first.ts.toFormat('yyyy-LL-dd'),
-                time: first.ts.toFormat('HH:mm:ss'),
-                atLocation: `${first.doorName} ${first.directionLabel}`, // Inbound
-            },
-            out: {
-                date: second.ts.toFormat('yyyy-LL-dd'),
-                time: second.ts.toFormat('HH:mm:ss'),
-                atLocation: `${second.doorName} ${second.directionLabel}`, // Outbound
-            },
-            totalMs: durationMs,
-            totalLabel: msToHMM(durationMs),
-            });
-            lastInbound = null; // consumed
-        } else {
-            // OUT with no matching IN — ignore for pairing (but APB above still shows if present)
-        }
-        }
+// -------------------------------
+// Occupancy analytics: people inside by 15-minute bucket & weekday, no identities (see analytics.js)
+// -------------------------------
+// Query params: door_id or area_id, start_date / end_date, pairing, merge_gap_seconds
+app.get('/api/analytics/occupancy', async (req, res) => {
+  try {
+    res.json(await buildOccupancyAnalytics(req.query, { canAccessDoor: userCanAccessDoor(req) }));
+  } catch (err) {
+    if (err instanceof ReportError) {
+      return res.status(err.status).json({ error: err.message });
     }
+    console.error('❌ /api/analytics/occupancy error', err);
+    sendError(res, err, 'Failed to build occupancy analytics');
+  }
+});
 
-    const totalMs = pairs.reduce((sum, p) => sum + p.totalMs, 0);
-
-    // Include this user if:
-    //  - total paired time meets/exceeds threshold, OR
-    //  - they have any violations (APB), even if total < threshold or 0
-    if (totalMs >= minMinutes * 60 * 1000 || violations.length > 0) {
-        results.push({
-        userId,
-        userName: pairs[0]?.userName || evs[0]?.userName || 'Unknown User',
-        siteName: pairs[0]?.siteName || evs[0]?.siteName || 'Unknown Site',
-        totalMs,
-        totalLabel: msToHMM(totalMs),
-        pairs,         // strictly in=>out rows only
-        violations,    // APB/area violations to investigate
-        });
+// -------------------------------
+// Annotations: notes / excused flags on report pairs and violations (see annotations.js)
+// -------------------------------
+// :key is the pair's or violation's `key` from the report.
+// Body: { note, excused, door_id | area_id } (the report it was made from, which must be in the user's scope
+// and have the keyed event; 403 otherwise). Omitted fields keep their stored values.
+// HR can read annotations in reports but not change them.
+app.put('/api/annotations/:key', requireRole('admin', 'supervisor'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const target = await resolveReportTarget({ door_id: body.door_id, area_id: body.area_id }, userCanAccessDoor(req));
+    if (!(await annotationKeyInTarget(req.params.key, target))) {
+      throw new AnnotationError(403, 'That break or violation is not in this door or area');
     }
+    res.json({ annotation: await saveAnnotation(req.params.key, body, req.user) });
+  } catch (err) {
+    if (err instanceof ReportError || err instanceof AnnotationError) {
+      return res.status(err.status).json({ error: err.message });
     }
+    console.error('❌ /api/annotations/:key error', err);
+    sendError(res, err, 'Failed to save annotation');
+  }
+});
 
-    // Sort users by largest total first; if totals tie, put violators first.
-    results.sort((a, b) => {
-    if (b.totalMs !== a.totalMs) return b.totalMs - a.totalMs;
-    return (b.violations?.length || 0) - (a.violations?.length || 0);
-    });
+// -------------------------------
+// Live occupancy: who is inside each break area right now
+// -------------------------------
+// Query params:
+//   min_minutes (threshold for overThreshold, defaults to 45; group rules still apply)
+const occupancyThreshold = (req) =>
+  Number.isFinite(Number(req.query.min_minutes)) && req.query.min_minutes !== '' ? Number(req.query.min_minutes) : 45;
+
+// The snapshot is shared by everyone; each response only carries the areas the user may see.
+const occupancyForUser = (req, snapshot) => {
+  const canAccess = userCanAccessDoor(req);
+  return { ...snapshot, areas: snapshot.areas.filter((a) => a.doors.every(canAccess)) };
+};
 
-    res.json({
-    door: {
-        door_id: door.door_id,
-        name: door.name,
-        site_name: door.site?.name || 'Unknown Site',
-        timezone: tz,
-    },
-    generatedRange: {
-        start_unix: startUnix,
-        end_unix: endUnix,
-        tz,
-    },
-    min_minutes: minMinutes,
-    users: results,
-    });
+app.get('/api/occupancy', async (req, res) => {
+  try {
+    res.json(presentOccupancy(occupancyForUser(req, await getOccupancy()), occupancyThreshold(req)));
+  } catch (err) {
+    console.error('❌ /api/occupancy error', err);
+    sendError(res, err, 'Failed to load live occupancy');
+  }
+});
+
+// Server-Sent Events: an `occupancy` event (same shape as /api/occupancy) on every refresh,
+// or an `occupancy_error` event ({ error, kind }) when a refresh fails; the stream stays open.
+app.get('/api/occupancy/stream', (req, res) => {
+  const minMinutes = occupancyThreshold(req);
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribeOccupancy(({ snapshot, error }) => {
+    const [event, data] = snapshot
+      ? ['occupancy', presentOccupancy(occupancyForUser(req, snapshot), minMinutes)]
+      : ['occupancy_error', describeError(error, 'Failed to refresh live occupancy').body];
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// -------------------------------
+// Inbound access-event webhooks (signature/replay rules: see webhookReceiver.js)
+// -------------------------------
+// Responds with { received, accepted, duplicates, break_events, rejected: [{ index, reason }] };
+// 400 when nothing in the payload could be used.
+app.post('/api/webhooks/access-events', (req, res) => {
+  try {
+    verifyWebhookRequest(req.rawBody, req.headers);
+    const result = receiveAccessEvents(req.body);
+    if (result.accepted > result.duplicates) refreshOccupancy();
+    res.status(result.received > 0 && result.accepted === 0 ? 400 : 200).json(result);
+  } catch (err) {
+    if (err instanceof WebhookError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('❌ /api/webhooks/access-events error', err);
+    sendError(res, err, 'Failed to process webhook');
+  }
+});
+
+// -------------------------------
+// Alerts: configured targets & delivery log (config: alerts.json, see alerts.js)
+// -------------------------------
+// Query params:
+//   limit (log entries, newest first, defaults to 200)
+app.get('/api/alerts', requireRole('admin', 'hr'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 500);
+    res.json(await getAlertOverview({ limit }));
+  } catch (err) {
+    console.error('❌ /api/alerts error', err);
+    sendError(res, err, 'Failed to load alerts');
+  }
+});
+
+// Sends a sample alert to one target right away; responds with its delivery log entry
+app.post('/api/alerts/targets/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    const entry = await sendTestAlert(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Alert target not found' });
+    res.json({ entry });
+  } catch (err) {
+    console.error('❌ /api/alerts test error', err);
+    sendError(res, err, 'Failed to send test alert');
+  }
+});
+
+// -------------------------------
+// Scheduled email reports (shape: see schedules.js), admins only
+// -------------------------------
+app.use('/api/schedules', requireRole('admin'));
 
+const handleSchedule = (fn) => async (req, res) => {
+  try {
+    await fn(req, res);
   } catch (err) {
-    console.error('❌ /api/break-report error', err);
-    res.status(500).json({ error: 'Failed to generate break report' });
+    if (err instanceof ScheduleError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`❌ ${req.method} ${req.path} error`, err);
+    sendError(res, err, 'Failed to update schedules');
+  }
+};
+
+app.get(
+  '/api/schedules',
+  handleSchedule(async (_req, res) => {
+    res.json({ schedules: await listSchedules(), mail_configured: isMailConfigured() });
+  })
+);
+
+app.post(
+  '/api/schedules',
+  handleSchedule(async (req, res) => {
+    res.status(201).json({ schedule: await createSchedule(req.body || {}) });
+  })
+);
+
+app.put(
+  '/api/schedules/:id',
+  handleSchedule(async (req, res) => {
+    res.json({ schedule: await updateSchedule(req.params.id, req.body || {}) });
+  })
+);
+
+app.delete(
+  '/api/schedules/:id',
+  handleSchedule(async (req, res) => {
+    await deleteSchedule(req.params.id);
+    res.status(204).end();
+  })
+);
+
+// Runs the job immediately (outside its schedule) and responds with the recorded last_run
+app.post(
+  '/api/schedules/:id/run',
+  handleSchedule(async (req, res) => {
+    res.json({ schedule: await runScheduleNow(req.params.id) });
+  })
+);
+
+// -------------------------------
+// Local event store: sync status & manual backfill, admins only
+// -------------------------------
+app.use('/api/sync', requireRole('admin'));
+
+app.get('/api/sync/status', (_req, res) => res.json(getSyncStatus()));
+
+// Body: { start_date, end_date (YYYY-MM-DD, inclusive), tz (IANA zone, defaults to UTC) }
+// Responds 202 with the queued job; poll /api/sync/status for progress.
+app.post('/api/sync/backfill', (req, res) => {
+  if (!isEventStoreEnabled()) {
+    return res.status(409).json({ error: 'Event store is disabled (set EVENT_STORE=sqlite)' });
+  }
+  const { start_date, end_date, tz = 'UTC' } = req.body || {};
+  if (!start_date) {
+    return res.status(400).json({ error: 'Missing start_date' });
+  }
+  const startDT = DateTime.fromISO(start_date, { zone: tz }).startOf('day');
+  const endDT = DateTime.fromISO(end_date || start_date, { zone: tz }).endOf('day');
+  if (!startDT.isValid || !endDT.isValid) {
+    return res.status(400).json({ error: 'Invalid date or tz. Use YYYY-MM-DD and an IANA zone.' });
   }
+  if (endDT < startDT) {
+    return res.status(400).json({ error: 'end_date must be on or after start_date.' });
+  }
+
+  const job = queueBackfill(toUnix(startDT), toUnix(endDT));
+  res.status(202).json({ job });
 });
 
 // -------------------------------
 // (Optional) simple health route
 // -------------------------------
-app.get('/healthz', (_req, res) => res.json({ ok: true }));
+app.get('/healthz', (_req, res) => res.json({ ok: true, provider: getProvider().name }));
+
+startEventSync()
+  .then((enabled) => enabled && console.log('✅ Local event store sync started'))
+  .catch((err) => {
+    console.error('❌ Failed to start local event store (EVENT_STORE=sqlite needs Node 22.13+)', err);
+    process.exit(1);
+  });
+
+ensureBootstrapAdmin()
+  .then(async (created) => {
+    if (created) console.log(`✅ Created admin account "${process.env.ADMIN_USERNAME}" from ADMIN_USERNAME/ADMIN_PASSWORD`);
+    else if ((await loadUsers()).length === 0) {
+      console.warn('⚠️ No dashboard accounts yet. Set ADMIN_USERNAME/ADMIN_PASSWORD or run `npm run users -- add`.');
+    }
+  })
+  .catch((err) => console.error('❌ Failed to read users.json', err));
+
+startScheduler();
+startAlerts();
 
 app.listen(PORT, () => {
   console.log(`✅ Backend running at http://localhost:${PORT}`);
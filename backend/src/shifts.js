@@ -0,0 +1,92 @@
+// backend/shifts.js
+// Named shifts per site, so a report can follow a shift instead of the calendar day, e.g.
+//   [{ "shift_id": "wh-night", "site_id": "<site id>", "name": "Night", "start": "22:00", "end": "06:00",
+//      "days": ["mon", "tue", "wed", "thu", "fri"], "timezone": "America/Chicago", "min_minutes": 30 }]
+// An end at or before the start means the shift ends the next day. days are the days a shift
+// starts on (default every day), timezone defaults to the door's, min_minutes (optional) is the
+// shift's own threshold. Defined in DATA_DIR/shifts.json; re-read on every call like areas.json.
+import { IANAZone } from 'luxon';
+import { readJSON } from './store.js';
+import { slugify } from './utils.js';
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']; // luxon weekday 1..7
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// 'HH:mm' → minutes after midnight
+const clockMinutes = (hhmm) => {
+  const [, h, m] = TIME_PATTERN.exec(hhmm);
+  return Number(h) * 60 + Number(m);
+};
+
+export const loadShifts = async () => {
+  const raw = await readJSON('shifts', []);
+  if (!Array.isArray(raw)) throw new Error('shifts.json must contain an array of shifts');
+
+  const shifts = [];
+  for (const s of raw) {
+    const shiftId = String(s?.shift_id || slugify(s?.name));
+    const rawDays = s?.days || WEEKDAYS;
+    const days = Array.isArray(rawDays) ? rawDays.map((d) => String(d).toLowerCase().slice(0, 3)) : [];
+    const minMinutes = Number(s?.min_minutes);
+    const valid =
+      shiftId &&
+      s?.site_id &&
+      TIME_PATTERN.test(String(s?.start)) &&
+      TIME_PATTERN.test(String(s?.end)) &&
+      days.length > 0 &&
+      days.every((d) => WEEKDAYS.includes(d)) &&
+      (!s.timezone || IANAZone.isValidZone(s.timezone)) &&
+      (s.min_minutes === undefined || (Number.isFinite(minMinutes) && minMinutes >= 0));
+    if (!valid) {
+      console.warn('⚠️ Skipping invalid shift definition', s);
+      continue;
+    }
+    shifts.push({
+      shift_id: shiftId,
+      site_id: String(s.site_id),
+      name: s.name || shiftId,
+      start: String(s.start),
+      end: String(s.end),
+      days: WEEKDAYS.filter((d) => days.includes(d)),
+      timezone: s.timezone || null,
+      min_minutes: s.min_minutes === undefined ? null : minMinutes,
+      overnight: clockMinutes(String(s.end)) <= clockMinutes(String(s.start)),
+    });
+  }
+  return shifts;
+};
+
+export const findShift = async (shiftId) => (await loadShifts()).find((s) => s.shift_id === shiftId) || null;
+
+// Does the shift start on this (local) day?
+export const shiftRunsOn = (shift, day) => shift.days.includes(WEEKDAYS[day.weekday - 1]);
+
+// The shift that starts on `day` (a DateTime in the shift's zone), as { start, end } DateTimes (end exclusive).
+// Local wall-clock times, so a shift spanning a DST change is an hour shorter or longer in real time;
+// a start inside the spring-forward gap moves forward by the length of the gap (02:30 becomes 03:30).
+export const shiftWindow = (shift, day) => {
+  const at = (d, hhmm) => {
+    const minutes = clockMinutes(hhmm);
+    return d.startOf('day').set({ hour: Math.floor(minutes / 60), minute: minutes % 60 });
+  };
+  return {
+    start: at(day, shift.start),
+    end: at(shift.overnight ? day.plus({ days: 1 }) : day, shift.end),
+  };
+};
+
+// Latest day the shift started on at or before `now` (within a week), e.g. last night for a night shift at 03:00
+export const currentShiftDay = (shift, now) => {
+  for (let i = 0; i < 8; i++) {
+    const day = now.startOf('day').minus({ days: i });
+    if (shiftRunsOn(shift, day) && shiftWindow(shift, day).start <= now) return day;
+  }
+  return null;
+};
+
+// Shift for API listings and reports: the stored fields plus a readable hours label
+export const describeShift = (shift) => ({
+  ...shift,
+  label: `${shift.name} (${shift.start}–${shift.end}${shift.overnight ? ' next day' : ''})`,
+});
@@ -0,0 +1,116 @@
+// backend/shifts.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { DateTime } from 'luxon';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'breakroom-shifts-'));
+process.env.DATA_DIR = dataDir;
+const { loadShifts, shiftRunsOn, shiftWindow, currentShiftDay, describeShift } = await import('./shifts.js');
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+const TZ = 'America/Chicago';
+const day = (date) => DateTime.fromISO(date, { zone: TZ });
+const iso = (dt) => dt.toISO({ suppressMilliseconds: true });
+const hours = ({ start, end }) => end.diff(start, 'hours').hours;
+
+const shift = (fields) => ({
+  shift_id: 's',
+  site_id: 'site-1',
+  name: 'S',
+  days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  timezone: TZ,
+  min_minutes: null,
+  ...fields,
+  overnight: fields.end <= fields.start,
+});
+const DAY_SHIFT = shift({ start: '06:00', end: '14:00' });
+const NIGHT = shift({ start: '22:00', end: '06:00' });
+
+const writeShifts = (list) => fs.writeFile(path.join(dataDir, 'shifts.json'), JSON.stringify(list));
+
+test('a day shift stays on its date', () => {
+  const window = shiftWindow(DAY_SHIFT, day('2026-10-13'));
+  assert.equal(iso(window.start), '2026-10-13T06:00:00-05:00');
+  assert.equal(iso(window.end), '2026-10-13T14:00:00-05:00');
+});
+
+test('an overnight shift ends the next morning and belongs to the day it starts', () => {
+  const window = shiftWindow(NIGHT, day('2026-10-13'));
+  assert.equal(iso(window.start), '2026-10-13T22:00:00-05:00');
+  assert.equal(iso(window.end), '2026-10-14T06:00:00-05:00');
+  assert.equal(hours(window), 8);
+});
+
+test('overnight shifts across a DST change follow the wall clock', () => {
+  // Clocks go back on 2026-11-01 and forward on 2026-03-08 in Chicago
+  const fallBack = shiftWindow(NIGHT, day('2026-10-31'));
+  assert.equal(iso(fallBack.end), '2026-11-01T06:00:00-06:00');
+  assert.equal(hours(fallBack), 9);
+  const springForward = shiftWindow(NIGHT, day('2026-03-07'));
+  assert.equal(iso(springForward.end), '2026-03-08T06:00:00-05:00');
+  assert.equal(hours(springForward), 7);
+});
+
+test('a start inside the spring-forward gap moves forward by the gap', () => {
+  const window = shiftWindow(shift({ start: '02:30', end: '10:00' }), day('2026-03-08'));
+  assert.equal(iso(window.start), '2026-03-08T03:30:00-05:00');
+});
+
+test('shifts only run on their days, counted by the day they start', () => {
+  assert.ok(shiftRunsOn(NIGHT, day('2026-10-16'))); // Friday
+  assert.ok(!shiftRunsOn(NIGHT, day('2026-10-17'))); // Saturday
+});
+
+test('the current shift day is the latest start at or before now', () => {
+  // Tuesday 03:00 is still inside Monday night's shift
+  assert.equal(currentShiftDay(NIGHT, DateTime.fromISO('2026-10-13T03:00', { zone: TZ })).toISODate(), '2026-10-12');
+  // Monday 03:00 is after Friday night's shift (no shift over the weekend)
+  assert.equal(currentShiftDay(NIGHT, DateTime.fromISO('2026-10-12T03:00', { zone: TZ })).toISODate(), '2026-10-09');
+  assert.equal(currentShiftDay(DAY_SHIFT, DateTime.fromISO('2026-10-13T05:59', { zone: TZ })).toISODate(), '2026-10-12');
+});
+
+test('labels say when a shift ends the next day', () => {
+  assert.equal(describeShift({ ...NIGHT, name: 'Night' }).label, 'Night (22:00–06:00 next day)');
+  assert.equal(describeShift({ ...DAY_SHIFT, name: 'Day' }).label, 'Day (06:00–14:00)');
+});
+
+test('shifts.json entries are normalized, and invalid ones skipped', async () => {
+  await writeShifts([
+    { name: 'Night Crew', site_id: 'site-1', start: '22:00', end: '06:00', days: ['Monday', 'TUE'], min_minutes: 30 },
+    { shift_id: 'all-week', site_id: 'site-1', start: '9:00', end: '17:00' },
+    { shift_id: 'no-site', start: '06:00', end: '14:00' },
+    { shift_id: 'bad-time', site_id: 'site-1', start: '25:00', end: '06:00' },
+    { shift_id: 'bad-day', site_id: 'site-1', start: '06:00', end: '14:00', days: ['someday'] },
+    { shift_id: 'days-not-a-list', site_id: 'site-1', start: '06:00', end: '14:00', days: 'mon' },
+    { shift_id: 'bad-zone', site_id: 'site-1', start: '06:00', end: '14:00', timezone: 'Mars/Olympus' },
+    null,
+  ]);
+  const shifts = await loadShifts();
+  assert.deepEqual(shifts, [
+    {
+      shift_id: 'night-crew',
+      site_id: 'site-1',
+      name: 'Night Crew',
+      start: '22:00',
+      end: '06:00',
+      days: ['mon', 'tue'],
+      timezone: null,
+      min_minutes: 30,
+      overnight: true,
+    },
+    {
+      shift_id: 'all-week',
+      site_id: 'site-1',
+      name: 'all-week',
+      start: '9:00',
+      end: '17:00',
+      days: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
+      timezone: null,
+      min_minutes: null,
+      overnight: false,
+    },
+  ]);
+});
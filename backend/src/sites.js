@@ -0,0 +1,15 @@
+// backend/sites.js
+// Site allow-list shared by the door/site listings and the report.
+// SITE_IDS is a comma-separated list; SITE_ID (single site) is still honoured.
+// Unset means every site in the org is available.
+export const ALLOWED_SITE_IDS = (() => {
+  const ids = [process.env.SITE_IDS, process.env.SITE_ID]
+    .filter(Boolean)
+    .flatMap((v) => v.split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+  return ids.length ? new Set(ids) : null;
+})();
+
+export const isSiteAllowed = (siteId) => ALLOWED_SITE_IDS === null || ALLOWED_SITE_IDS.has(siteId);
+export const isDoorAllowed = (d) => isSiteAllowed(d?.site?.site_id || null);
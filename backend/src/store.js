@@ -0,0 +1,30 @@
+// backend/store.js
+// Small JSON-file persistence for backend configuration/state.
+// Each collection lives in its own file under DATA_DIR (default ./data).
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
+const fileFor = (name) => path.join(DATA_DIR, `${name}.json`);
+
+// Read a collection; missing files yield the fallback, malformed JSON throws.
+export const readJSON = async (name, fallback = null) => {
+  try {
+    const raw = await fs.readFile(fileFor(name), 'utf8');
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw new Error(`Failed to read ${fileFor(name)}: ${err.message}`);
+  }
+};
+
+// Write atomically (temp file + rename) so a crash never leaves half a file behind.
+export const writeJSON = async (name, value) => {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const target = fileFor(name);
+  const tmp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+  await fs.rename(tmp, target);
+  return value;
+};
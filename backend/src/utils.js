@@ -0,0 +1,33 @@
+// backend/utils.js
+// Small helpers shared by the report code and its consumers.
+
+// Map API direction strings to normalized labels + display label
+export const normalizeDirection = (raw) => {
+  if (!raw) return { norm: 'unknown', label: 'Unknown' };
+  const r = String(raw).toLowerCase();
+  // Common variants seen in practice
+  if (['in', 'entry', 'entrance'].includes(r)) return { norm: 'in', label: 'Inbound' };
+  if (['out', 'exit', 'egress'].includes(r)) return { norm: 'out', label: 'Outbound' };
+  return { norm: r, label: r.charAt(0).toUpperCase() + r.slice(1) };
+};
+
+export const toUnix = (dt) => Math.floor(dt.toSeconds()); // luxon DateTime -> unix (seconds)
+
+export const msToHMM = (ms) => {
+  const totalMinutes = Math.round(ms / 60000);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+  if (h > 0) return `${h}h ${m}m`;
+  return `${m}m`;
+};
+
+// Formatters for UI (local to door timezone)
+export const fmtDate = (dt) => dt.toFormat('yyyy-LL-dd');
+export const fmtTime = (dt) => dt.toFormat('HH:mm:ss');
+
+// Default id for a config entry from its name ('North Break Room' → 'north-break-room')
+export const slugify = (s) =>
+  String(s || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
@@ -0,0 +1,83 @@
+// backend/webhookReceiver.js
+// Inbound access-event webhooks, as an alternative to polling /events/v1/access.
+// Requests must be signed with WEBHOOK_SECRET (see webhookSignature.js); the header names can be
+// changed with WEBHOOK_SIGNATURE_HEADER / WEBHOOK_TIMESTAMP_HEADER to match the sender.
+// Replays are rejected twice over: the timestamp must be within WEBHOOK_TOLERANCE_SECONDS
+// (default 300) of now, and a signature is only accepted once inside that window.
+// Body: one event, an array of events, or { events: [...] } / { data: event | [...] }.
+import { verifySignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } from './webhookSignature.js';
+import { toAccessEvent, normalizeAccessEvent, isBreakEvent } from './events.js';
+import { ingestEvents } from './eventSync.js';
+
+const TOLERANCE_SECONDS = Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+const signatureHeader = () => (process.env.WEBHOOK_SIGNATURE_HEADER || SIGNATURE_HEADER).toLowerCase();
+const timestampHeader = () => (process.env.WEBHOOK_TIMESTAMP_HEADER || TIMESTAMP_HEADER).toLowerCase();
+
+// Rejected request (4xx/503), mirrors ReportError
+export class WebhookError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+  }
+}
+
+export const isWebhookEnabled = () => Boolean(process.env.WEBHOOK_SECRET);
+
+const seenSignatures = new Map(); // signature → unix seconds after which it can be forgotten
+
+const rememberSignature = (signature, now) => {
+  for (const [sig, expires] of seenSignatures) {
+    if (expires < now) seenSignatures.delete(sig);
+  }
+  if (seenSignatures.has(signature)) return false;
+  seenSignatures.set(signature, now + TOLERANCE_SECONDS * 2);
+  return true;
+};
+
+// rawBody: Buffer as received; headers: lower-cased (Express req.headers)
+export const verifyWebhookRequest = (rawBody, headers, now = Math.floor(Date.now() / 1000)) => {
+  if (!isWebhookEnabled()) throw new WebhookError(503, 'Webhook receiver is disabled (set WEBHOOK_SECRET)');
+
+  const signature = headers[signatureHeader()];
+  const timestamp = headers[timestampHeader()];
+  if (!signature || !timestamp) throw new WebhookError(401, 'Missing signature or timestamp header');
+  if (!/^\d+$/.test(timestamp)) throw new WebhookError(401, 'Invalid timestamp header');
+  if (Math.abs(now - Number(timestamp)) > TOLERANCE_SECONDS) {
+    throw new WebhookError(401, `Timestamp outside the ${TOLERANCE_SECONDS}s tolerance`);
+  }
+  if (!verifySignature(process.env.WEBHOOK_SECRET, timestamp, rawBody || Buffer.alloc(0), signature)) {
+    throw new WebhookError(401, 'Invalid signature');
+  }
+  if (!rememberSignature(signature, now)) throw new WebhookError(409, 'Replayed request');
+};
+
+const unwrap = (body) => {
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body?.events)) return body.events;
+  if (body?.data !== undefined) return Array.isArray(body.data) ? body.data : [body.data];
+  return [body];
+};
+
+// Normalize and ingest a verified payload.
+// Returns { received, accepted, duplicates, break_events, rejected: [{ index, reason }] }.
+export const receiveAccessEvents = (body) => {
+  const items = unwrap(body);
+  const events = [];
+  const rejected = [];
+  items.forEach((item, index) => {
+    const { event, error } = toAccessEvent(item);
+    if (error) rejected.push({ index, reason: error });
+    else events.push(event);
+  });
+
+  const added = ingestEvents(events);
+  return {
+    received: items.length,
+    accepted: events.length,
+    duplicates: events.length - added,
+    // Entries/exits/APB the reports and live view will use (others are kept but not paired)
+    break_events: events.filter((e) => isBreakEvent(normalizeAccessEvent(e, null))).length,
+    rejected,
+  };
+};
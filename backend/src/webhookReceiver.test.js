@@ -0,0 +1,108 @@
+// backend/webhookReceiver.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSignature, signatureHeaders, verifySignature } from './webhookSignature.js';
+import { verifyWebhookRequest, receiveAccessEvents, WebhookError } from './webhookReceiver.js';
+
+const SECRET = 'test-secret';
+const NOW = 1_791_900_000;
+
+// Headers as Express hands them over (lower-cased)
+const signed = (body, timestamp = NOW, secret = SECRET) =>
+  Object.fromEntries(Object.entries(signatureHeaders(secret, body, timestamp)).map(([k, v]) => [k.toLowerCase(), v]));
+
+const rejects = (fn, status, pattern) =>
+  assert.throws(fn, (err) => err instanceof WebhookError && err.status === status && pattern.test(err.message));
+
+let seq = 0;
+// A body no earlier test has signed, so replay protection doesn't get in the way
+const freshBody = () => JSON.stringify({ event_id: `evt-${(seq += 1)}` });
+
+beforeEach(() => {
+  process.env.WEBHOOK_SECRET = SECRET;
+  delete process.env.WEBHOOK_SIGNATURE_HEADER;
+  delete process.env.WEBHOOK_TIMESTAMP_HEADER;
+});
+
+test('signatures cover the timestamp and the exact body', () => {
+  const body = '{"a":1}';
+  const signature = computeSignature(SECRET, NOW, body);
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.ok(verifySignature(SECRET, NOW, Buffer.from(body), signature));
+  assert.ok(!verifySignature(SECRET, NOW + 1, body, signature));
+  assert.ok(!verifySignature(SECRET, NOW, '{"a":2}', signature));
+  assert.ok(!verifySignature('other-secret', NOW, body, signature));
+  assert.ok(!verifySignature(SECRET, NOW, body, 'sha256=short'));
+});
+
+test('a correctly signed request inside the tolerance is accepted', () => {
+  const body = freshBody();
+  assert.doesNotThrow(() => verifyWebhookRequest(Buffer.from(body), signed(body), NOW + 299));
+});
+
+test('timestamps more than the tolerance away from now are rejected, either way', () => {
+  const body = freshBody();
+  rejects(() => verifyWebhookRequest(Buffer.from(body), signed(body), NOW + 301), 401, /tolerance/);
+  rejects(() => verifyWebhookRequest(Buffer.from(body), signed(body), NOW - 301), 401, /tolerance/);
+});
+
+test('a tampered body or wrong secret is rejected', () => {
+  const body = freshBody();
+  rejects(() => verifyWebhookRequest(Buffer.from(`${body} `), signed(body), NOW), 401, /Invalid signature/);
+  rejects(() => verifyWebhookRequest(Buffer.from(body), signed(body, NOW, 'nope'), NOW), 401, /Invalid signature/);
+});
+
+test('missing or malformed headers are rejected', () => {
+  const body = freshBody();
+  const headers = signed(body);
+  rejects(() => verifyWebhookRequest(Buffer.from(body), {}, NOW), 401, /Missing/);
+  rejects(() => verifyWebhookRequest(Buffer.from(body), { ...headers, 'x-breakroom-timestamp': 'yesterday' }, NOW), 401, /Invalid timestamp/);
+});
+
+test('the same signed request is only accepted once', () => {
+  const body = freshBody();
+  const headers = signed(body);
+  verifyWebhookRequest(Buffer.from(body), headers, NOW);
+  rejects(() => verifyWebhookRequest(Buffer.from(body), headers, NOW + 10), 409, /Replayed/);
+});
+
+test('header names can be changed to match the sender', () => {
+  process.env.WEBHOOK_SIGNATURE_HEADER = 'X-Vendor-Signature';
+  process.env.WEBHOOK_TIMESTAMP_HEADER = 'X-Vendor-Time';
+  const body = freshBody();
+  const headers = signed(body);
+  rejects(() => verifyWebhookRequest(Buffer.from(body), headers, NOW), 401, /Missing/);
+  const renamed = { 'x-vendor-signature': headers['x-breakroom-signature'], 'x-vendor-time': headers['x-breakroom-timestamp'] };
+  assert.doesNotThrow(() => verifyWebhookRequest(Buffer.from(body), renamed, NOW));
+});
+
+test('without WEBHOOK_SECRET the receiver is disabled', () => {
+  delete process.env.WEBHOOK_SECRET;
+  const body = freshBody();
+  rejects(() => verifyWebhookRequest(Buffer.from(body), signed(body), NOW), 503, /disabled/);
+});
+
+test('payloads are unwrapped and normalized; bad items are reported, repeats counted as duplicates', () => {
+  const flat = {
+    event_id: 'push-1',
+    event_type: 'DOOR_ACCESS_GRANTED',
+    timestamp: Math.floor(Date.now() / 1000), // pushed events older than WEBHOOK_BUFFER_HOURS are dropped
+    door_id: 'door-1',
+    user_id: 'u1',
+    direction: 'in',
+  };
+  const other = { event_id: 'push-2', event_type: 'DOOR_OPENED', timestamp: '2026-10-13T15:00:00Z', device_id: 'door-1' };
+  const result = receiveAccessEvents({ events: [flat, other, { event_id: 'no-time', door_id: 'door-1' }, 'junk'] });
+  assert.deepEqual(result, {
+    received: 4,
+    accepted: 2,
+    duplicates: 0,
+    break_events: 1,
+    rejected: [
+      { index: 2, reason: 'missing or invalid timestamp' },
+      { index: 3, reason: 'not an object' },
+    ],
+  });
+
+  assert.deepEqual(receiveAccessEvents({ data: flat }), { received: 1, accepted: 1, duplicates: 1, break_events: 1, rejected: [] });
+});
@@ -0,0 +1,26 @@
+// backend/webhookSignature.js
+// HMAC-SHA256 signatures for webhooks, both the alerts we send and the access events we receive.
+// The signature covers `${timestamp}.${body}` so a captured request can't be replayed with a new timestamp.
+//   X-Breakroom-Timestamp: <unix seconds>
+//   X-Breakroom-Signature: sha256=<hex digest>
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const TIMESTAMP_HEADER = 'X-Breakroom-Timestamp';
+export const SIGNATURE_HEADER = 'X-Breakroom-Signature';
+
+// body: string or Buffer (the raw bytes received, for verification)
+export const computeSignature = (secret, timestamp, body) =>
+  `sha256=${createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex')}`;
+
+// Headers to send with `body` (the exact string that goes on the wire)
+export const signatureHeaders = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => ({
+  [TIMESTAMP_HEADER]: String(timestamp),
+  [SIGNATURE_HEADER]: computeSignature(secret, timestamp, body),
+});
+
+// Constant-time comparison against the expected signature
+export const verifySignature = (secret, timestamp, body, signature) => {
+  const expected = Buffer.from(computeSignature(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+};
@@ -0,0 +1,202 @@
+// src/AlertLog.js
+// Alert targets and the delivery log (sent / failed / suppressed), refreshed periodically.
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch, readError } from './api';
+import { th, td } from './styles';
+
+const API = 'http://localhost:3001/api/alerts';
+const REFRESH_MS = 30000;
+
+const TYPE_LABELS = { over_break: 'Over break', apb: 'Anti-passback', test: 'Test' };
+
+const STATUS_COLORS = {
+  sent: { background: '#ecfdf5', color: '#065f46', borderColor: '#a7f3d0' },
+  failed: { background: '#fef2f2', color: '#991b1b', borderColor: '#fecaca' },
+  suppressed: { background: '#f3f4f6', color: '#374151', borderColor: '#e5e7eb' },
+};
+
+const pill = { padding: '2px 6px', borderRadius: 999, fontSize: 12, fontWeight: 600, border: '1px solid' };
+
+const describeQuiet = (q) => (q ? `${q.start}–${q.end} (${q.tz})` : 'none');
+
+function AlertLog() {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [testing, setTesting] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await apiFetch(API);
+      if (!res.ok) throw new Error(await readError(res, `Failed to load alerts (${res.status})`));
+      setData(await res.json());
+      setError(null);
+    } catch (e) {
+      setError(e.message || 'Failed to load alerts');
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const timer = setInterval(load, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [load]);
+
+  const handleTest = async (targetId) => {
+    setTesting(targetId);
+    setError(null);
+    try {
+      const res = await apiFetch(`${API}/targets/${encodeURIComponent(targetId)}/test`, { method: 'POST' });
+      if (!res.ok) throw new Error(await readError(res, `Failed to send test alert (${res.status})`));
+      await load();
+    } catch (e) {
+      setError(e.message || 'Failed to send test alert');
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  const log = (data?.log || []).filter((e) => !statusFilter || e.status === statusFilter);
+
+  return (
+    <section
+      style={{
+        background: '#fff',
+        border: '1px solid #e5e7eb',
+        borderRadius: 12,
+        padding: '1rem',
+        boxShadow: '0 1px 2px rgba(0,0,0,0.04)',
+      }}
+    >
+      <header style={{ marginBottom: '1rem' }}>
+        <h2 style={{ margin: 0, fontSize: '1.25rem' }}>Alerts</h2>
+        {data && (
+          <p style={{ margin: '4px 0 0', color: '#6b7280' }}>
+            {data.enabled ? (
+              <>
+                Over-break after <strong>{data.over_break_minutes} min</strong> • Repeat at most every{' '}
+                <strong>{data.dedupe_minutes} min</strong> • Quiet hours: <strong>{describeQuiet(data.quiet_hours)}</strong>
+                {data.quiet_now && ' (quiet now)'} • Checked every {data.check_seconds}s
+              </>
+            ) : (
+              'No alert targets configured. Add them to data/alerts.json.'
+            )}
+          </p>
+        )}
+      </header>
+
+      {error && (
+        <div
+          style={{
+            background: '#fef2f2',
+            color: '#991b1b',
+            border: '1px solid #fecaca',
+            borderRadius: 8,
+            padding: '0.5rem 0.75rem',
+            marginBottom: '1rem',
+          }}
+        >
+          {error}
+        </div>
+      )}
+
+      {data?.targets?.length > 0 && (
+        <div style={{ border: '1px solid #e5e7eb', borderRadius: 8, overflow: 'hidden', marginBottom: '1.5rem' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={th}>Target</th>
+                <th style={th}>Type</th>
+                <th style={th}>Host</th>
+                <th style={th}>Alerts</th>
+                <th style={th}>Quiet Hours</th>
+                <th style={th} />
+              </tr>
+            </thead>
+            <tbody>
+              {data.targets.map((t) => (
+                <tr key={t.target_id} style={{ borderTop: '1px solid #f3f4f6' }}>
+                  <td style={{ ...td, fontWeight: 600 }}>{t.target_id}</td>
+                  <td style={td}>
+                    {t.type}
+                    {t.signed && ' (signed)'}
+                  </td>
+                  <td style={td}>{t.host}</td>
+                  <td style={td}>{t.events.map((e) => TYPE_LABELS[e] || e).join(', ')}</td>
+                  <td style={td}>{describeQuiet(t.quiet_hours)}</td>
+                  <td style={{ ...td, textAlign: 'right' }}>
+                    <button
+                      type="button"
+                      onClick={() => handleTest(t.target_id)}
+                      disabled={testing !== null}
+                      style={{
+                        padding: '0.35rem 0.7rem',
+                        borderRadius: 8,
+                        border: '1px solid #d1d5db',
+                        background: '#fff',
+                        fontWeight: 600,
+                        cursor: 'pointer',
+                      }}
+                    >
+                      {testing === t.target_id ? 'Sending…' : 'Send test'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <h3 style={{ margin: 0, fontSize: '1rem' }}>Delivery Log</h3>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          style={{ padding: '0.35rem 0.6rem', borderRadius: 8, border: '1px solid #d1d5db', backgroundColor: '#fff' }}
+        >
+          <option value="">All statuses</option>
+          <option value="sent">Sent</option>
+          <option value="failed">Failed</option>
+          <option value="suppressed">Suppressed</option>
+        </select>
+      </div>
+
+      {data && log.length === 0 && <p style={{ color: '#6b7280' }}>No deliveries yet.</p>}
+
+      {log.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={th}>When</th>
+                <th style={th}>Status</th>
+                <th style={th}>Type</th>
+                <th style={th}>Target</th>
+                <th style={th}>Alert</th>
+              </tr>
+            </thead>
+            <tbody>
+              {log.map((e) => (
+                <tr key={e.id} style={{ borderTop: '1px solid #f3f4f6' }}>
+                  <td style={td}>{new Date(e.at).toLocaleString()}</td>
+                  <td style={td}>
+                    <span style={{ ...pill, ...STATUS_COLORS[e.status] }}>{e.status}</span>
+                  </td>
+                  <td style={td}>{TYPE_LABELS[e.type] || e.type}</td>
+                  <td style={td}>{e.target_id}</td>
+                  <td style={{ ...td, whiteSpace: 'normal' }}>
+                    {e.title}
+                    {e.error && <div style={{ color: '#991b1b', fontSize: 12 }}>{e.error}</div>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default AlertLog;
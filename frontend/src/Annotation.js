@@ -0,0 +1,156 @@
+// src/Annotation.js
+// Manager note + "excused" flag on a break pair or APB violation, with its change history.
+// Admins and supervisors can edit; everyone else just sees what was recorded.
+import { useState } from 'react';
+import { apiFetch, readError } from './api';
+
+const API = 'http://localhost:3001/api/annotations';
+
+const fmtWhen = (iso) =>
+  new Date(iso).toLocaleString([], { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// One history entry as text, e.g. `note "" → "approved"; excused no → yes`
+const describeChanges = (changes) =>
+  Object.entries(changes)
+    .map(([field, { from, to }]) =>
+      field === 'excused' ? `excused ${from ? 'yes' : 'no'} → ${to ? 'yes' : 'no'}` : `note "${from}" → "${to}"`
+    )
+    .join('; ');
+
+const linkButton = {
+  padding: 0,
+  border: 'none',
+  background: 'none',
+  color: '#2563eb',
+  cursor: 'pointer',
+  fontSize: 12,
+  fontWeight: 600,
+};
+
+// annotationKey: the pair's/violation's `key`; target: { door_id } or { area_id } of the report;
+// onSaved: called after a change is stored (the report re-runs so excused totals update)
+function Annotation({ annotationKey, annotation, target, canEdit, onSaved }) {
+  const [editing, setEditing] = useState(false);
+  const [note, setNote] = useState('');
+  const [excused, setExcused] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const hasContent = Boolean(annotation?.note || annotation?.excused);
+
+  const startEditing = () => {
+    setNote(annotation?.note || '');
+    setExcused(Boolean(annotation?.excused));
+    setError(null);
+    setEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await apiFetch(`${API}/${encodeURIComponent(annotationKey)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...target, note, excused }),
+      });
+      if (!res.ok) throw new Error(await readError(res, `Failed to save note (${res.status})`));
+      setEditing(false);
+      onSaved?.();
+    } catch (e) {
+      setError(e.message || 'Failed to save note');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (editing) {
+    return (
+      <form onSubmit={handleSave} style={{ display: 'grid', gap: 6, minWidth: 220, whiteSpace: 'normal' }}>
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          rows={2}
+          maxLength={1000}
+          placeholder="e.g. Approved extended lunch"
+          style={{ padding: '0.35rem 0.5rem', borderRadius: 6, border: '1px solid #d1d5db', fontFamily: 'inherit', fontSize: 13 }}
+        />
+        <label style={{ fontSize: 13 }}>
+          <input type="checkbox" checked={excused} onChange={(e) => setExcused(e.target.checked)} /> Excused
+          <span style={{ color: '#6b7280' }}> (doesn't count toward thresholds)</span>
+        </label>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+          <button
+            type="submit"
+            disabled={saving}
+            style={{
+              padding: '0.25rem 0.6rem',
+              borderRadius: 6,
+              border: '1px solid #1f2937',
+              background: '#1f2937',
+              color: '#fff',
+              fontSize: 12,
+              fontWeight: 600,
+              cursor: saving ? 'wait' : 'pointer',
+            }}
+          >
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+          <button type="button" onClick={() => setEditing(false)} disabled={saving} style={linkButton}>
+            Cancel
+          </button>
+        </div>
+        {error && <div style={{ color: '#991b1b', fontSize: 12 }}>{error}</div>}
+      </form>
+    );
+  }
+
+  return (
+    <span style={{ display: 'inline-flex', flexDirection: 'column', gap: 2, whiteSpace: 'normal' }}>
+      {hasContent && (
+        <span style={{ fontSize: 13 }}>
+          {annotation.excused && (
+            <span
+              title={`Excused by ${annotation.updated_by}`}
+              style={{
+                marginRight: 6,
+                background: '#ecfdf5',
+                color: '#065f46',
+                border: '1px solid #a7f3d0',
+                padding: '1px 6px',
+                borderRadius: 999,
+                fontSize: 11,
+                fontWeight: 600,
+              }}
+            >
+              excused
+            </span>
+          )}
+          {annotation.note}
+        </span>
+      )}
+      <span style={{ display: 'flex', gap: 8 }}>
+        {canEdit && (
+          <button type="button" onClick={startEditing} style={linkButton}>
+            {hasContent ? 'Edit note' : 'Add note'}
+          </button>
+        )}
+        {annotation?.history?.length > 0 && (
+          <details style={{ fontSize: 12, color: '#6b7280' }}>
+            <summary style={{ cursor: 'pointer' }}>History ({annotation.history.length})</summary>
+            <ul style={{ margin: '4px 0 0', paddingLeft: '1rem' }}>
+              {[...annotation.history].reverse().map((h, i) => (
+                <li key={i}>
+                  {fmtWhen(h.at)} — {h.by_name || h.by}: {describeChanges(h.changes)}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+      </span>
+    </span>
+  );
+}
+
+export default Annotation;
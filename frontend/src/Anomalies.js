@@ -0,0 +1,89 @@
+// src/Anomalies.js
+// "Anomalies" section of the report results: days where a user's breaks differ sharply from their
+// own baseline (see backend/anomalies.js), each with the reason spelled out.
+import { th, td } from './styles';
+
+const KIND_COLORS = {
+  daily_total: ['#fef2f2', '#991b1b', '#fecaca'],
+  break_count: ['#fff7ed', '#9a3412', '#fed7aa'],
+  time_of_day: ['#eef2ff', '#3730a3', '#c7d2fe'],
+  short_visits: ['#fdf4ff', '#86198f', '#f5d0fe'],
+};
+
+// anomalies: report.anomalies; onOpenHistory({ userId, userName }) opens that user's history
+function Anomalies({ anomalies, onOpenHistory }) {
+  const { items, baseline } = anomalies;
+  return (
+    <div style={{ marginBottom: '1.5rem', border: '1px solid #e5e7eb', borderRadius: 8, overflow: 'hidden' }}>
+      <div style={{ background: '#f9fafb', padding: '0.75rem 1rem', borderBottom: '1px solid #e5e7eb' }}>
+        <strong>Anomalies</strong>
+        <span style={{ color: '#6b7280' }}>
+          {' '}
+          — z ≥ {anomalies.z_threshold} against each user's days with breaks from {baseline.start_date} to {baseline.end_date} •{' '}
+          {anomalies.users_evaluated} user{anomalies.users_evaluated === 1 ? '' : 's'} checked
+          {anomalies.users_without_baseline > 0 &&
+            `, ${anomalies.users_without_baseline} skipped (fewer than ${baseline.min_days} baseline days)`}
+        </span>
+      </div>
+      {items.length === 0 ? (
+        <p style={{ margin: 0, padding: '0.75rem 1rem', color: '#6b7280' }}>Nothing unusual.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f3f4f6' }}>
+                <th style={th}>User</th>
+                <th style={th}>Date</th>
+                <th style={th}>Anomaly</th>
+                <th style={th}>Why</th>
+                <th style={th} title="How many standard deviations from the user's usual">
+                  z
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((a) => {
+                const [bg, color, border] = KIND_COLORS[a.kind] || KIND_COLORS.daily_total;
+                return (
+                  <tr key={`${a.userId}-${a.date}-${a.kind}`} style={{ borderTop: '1px solid #e5e7eb' }}>
+                    <td style={td}>
+                      <button
+                        type="button"
+                        onClick={() => onOpenHistory({ userId: a.userId, userName: a.userName })}
+                        title="Break history for the last 30/90 days"
+                        style={{ padding: 0, border: 'none', background: 'none', color: '#1d4ed8', fontWeight: 600, fontSize: 'inherit', cursor: 'pointer' }}
+                      >
+                        {a.userName}
+                      </button>
+                      <span style={{ color: '#6b7280' }}> • {a.siteName}</span>
+                    </td>
+                    <td style={td}>{a.date}</td>
+                    <td style={td}>
+                      <span
+                        style={{
+                          background: bg,
+                          color,
+                          border: `1px solid ${border}`,
+                          padding: '2px 6px',
+                          borderRadius: 999,
+                          fontSize: 12,
+                          fontWeight: 600,
+                        }}
+                      >
+                        {a.label}
+                      </span>
+                    </td>
+                    <td style={{ ...td, whiteSpace: 'normal' }}>{a.explanation}</td>
+                    <td style={td}>{a.z}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Anomalies;
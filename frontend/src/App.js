@@ -1,40 +1,131 @@
 // src/App.js
-import { useEffect, useMemo, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import html2pdf from 'html2pdf.js';
+import { apiFetch, readError, setUnauthorizedHandler } from './api';
+import Login from './Login';
+import ScheduleAdmin from './ScheduleAdmin';
+import PayrollAdmin from './PayrollAdmin';
+import LiveOccupancy from './LiveOccupancy';
+import AlertLog from './AlertLog';
+import UserHistory from './UserHistory';
+import OccupancyAnalytics from './OccupancyAnalytics';
+import Annotation from './Annotation';
+import Anomalies from './Anomalies';
+import ResultsControls from './ResultsControls';
+import ResultsSummary from './ResultsSummary';
+import {
+  REPORT_PARAMS,
+  SORTS,
+  resultsViewFromParams,
+  resultsViewToParams,
+  visibleUsers,
+  isUserOpen,
+  setUserOpen,
+} from './resultsView';
+import { th, td } from './styles';
+
+// Header tabs and the roles that may open them (the backend enforces the same split)
+const VIEWS = [
+  ['reports', 'Reports', ['admin', 'hr', 'supervisor']],
+  ['live', 'Live', ['admin', 'hr', 'supervisor']],
+  ['analytics', 'Analytics', ['admin', 'hr', 'supervisor']],
+  ['alerts', 'Alerts', ['admin', 'hr']],
+  ['schedules', 'Schedules', ['admin']],
+  ['payroll', 'Payroll', ['admin', 'hr']],
+];
+
+const ROLE_LABELS = { admin: 'Admin', hr: 'HR', supervisor: 'Supervisor' };
+
+// Roles that may annotate/excuse pairs and violations (HR reads them)
+const ANNOTATING_ROLES = ['admin', 'supervisor'];
+
+// Roles that may export timekeeping files and manage payroll IDs
+const PAYROLL_ROLES = ['admin', 'hr'];
+
+const PAGE_STYLE = { backgroundColor: '#f6f7f9', minHeight: '100vh', fontFamily: 'Inter, system-ui, Avenir, Helvetica, Arial, sans-serif' };
+const MAIN_STYLE = { maxWidth: 1200, margin: '2rem auto', padding: '0 1rem' };
 
 function App() {
+  const [user, setUser] = useState(undefined); // undefined = checking the session, null = signed out
+  const [view, setView] = useState('reports'); // 'reports' | 'live' | 'analytics' | 'alerts' | 'schedules' | 'payroll' | 'history'
+  const [historyUser, setHistoryUser] = useState(null); // { userId, userName } shown by the history view
   const [doors, setDoors] = useState([]);
+  const [areas, setAreas] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [selectedSiteId, setSelectedSiteId] = useState(''); // '' = all allowed sites
   const [selectedDoorId, setSelectedDoorId] = useState('');
   const [minMinutes, setMinMinutes] = useState(45);
-  const [date, setDate] = useState(() => {
-    const d = new Date();
-    const yyyy = d.getFullYear();
-    const mm = String(d.getMonth() + 1).padStart(2, '0');
-    const dd = String(d.getDate()).padStart(2, '0');
-    return `${yyyy}-${mm}-${dd}`;
-  });
+  const [policies, setPolicies] = useState([]);
+  const [selectedPolicyId, setSelectedPolicyId] = useState(''); // '' = threshold only
+  const [groups, setGroups] = useState([]);
+  const [selectedGroupId, setSelectedGroupId] = useState(''); // '' = everyone
+  const [shifts, setShifts] = useState([]);
+  const [selectedShiftId, setSelectedShiftId] = useState(''); // '' = calendar days
+  const [findAnomalies, setFindAnomalies] = useState(false);
+  const [anomalyZ, setAnomalyZ] = useState(DEFAULT_ANOMALY_Z);
+  const [pairing, setPairing] = useState('last_in');
+  const [mergeGapSeconds, setMergeGapSeconds] = useState(0); // 0 = don't merge breaks
+  const [startDate, setStartDate] = useState(todayISO);
+  const [endDate, setEndDate] = useState(todayISO);
 
   const [loadingDoors, setLoadingDoors] = useState(false);
   const [loadingReport, setLoadingReport] = useState(false);
   const [error, setError] = useState(null);
   const [report, setReport] = useState(null);
+  const [reportParams, setReportParams] = useState(''); // query string behind `report`, reused for exports
+  const [exporting, setExporting] = useState(''); // '' | 'csv' | 'xlsx' | 'payroll'
+  const [payrollProfiles, setPayrollProfiles] = useState([]);
+  const [payrollProfileId, setPayrollProfileId] = useState('');
+  const [exportNotice, setExportNotice] = useState(null); // e.g. users a payroll export left out
+  // Search/sort/filters/open cards of the results, restored from a shared link
+  const [resultsView, setResultsView] = useState(() => resultsViewFromParams(new URLSearchParams(window.location.search)));
 
   const resultsRef = useRef(null);
+  const restoredFromUrl = useRef(false);
+
+  // Any 401 from the backend drops back to the sign-in screen
+  useEffect(() => {
+    setUnauthorizedHandler(() => setUser(null));
+    apiFetch('http://localhost:3001/api/auth/me')
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => setUser(data?.user || null))
+      .catch(() => setUser(null));
+    return () => setUnauthorizedHandler(null);
+  }, []);
 
   useEffect(() => {
+    if (!user) return;
     const fetchDoors = async () => {
       setLoadingDoors(true);
       setError(null);
       try {
-        const res = await fetch('http://localhost:3001/api/doors');
-        if (!res.ok) throw new Error(`Failed to fetch doors (${res.status})`);
+        const [res, areasRes, sitesRes, policiesRes, groupsRes, shiftsRes] = await Promise.all([
+          apiFetch('http://localhost:3001/api/doors'),
+          apiFetch('http://localhost:3001/api/areas'),
+          apiFetch('http://localhost:3001/api/sites'),
+          apiFetch('http://localhost:3001/api/policies'),
+          apiFetch('http://localhost:3001/api/groups'),
+          apiFetch('http://localhost:3001/api/shifts'),
+        ]);
+        if (!res.ok) throw new Error(await readError(res, `Failed to fetch doors (${res.status})`));
         const data = await res.json();
         const ds = data?.doors || [];
         setDoors(ds);
 
-        const preferred = ds.find((d) => (d.name || '').toLowerCase().includes('break'));
-        if (preferred) setSelectedDoorId(preferred.door_id);
-        else if (ds[0]) setSelectedDoorId(ds[0].door_id);
+        // Areas are optional; a failure here shouldn't block door reports.
+        const as = areasRes.ok ? (await areasRes.json())?.areas || [] : [];
+        setAreas(as);
+
+        setPolicies(policiesRes.ok ? (await policiesRes.json())?.policies || [] : []);
+        setGroups(groupsRes.ok ? (await groupsRes.json())?.groups || [] : []);
+        setShifts(shiftsRes.ok ? (await shiftsRes.json())?.shifts || [] : []);
+
+        const ss = sitesRes.ok ? (await sitesRes.json())?.sites || [] : [];
+        setSites(ss);
+        // With a single site there is nothing to choose; pin it so the form says which.
+        if (ss.length === 1) setSelectedSiteId(ss[0].site_id || '');
+
+        setSelectedDoorId(pickDefaultTarget(ds, as));
       } catch (e) {
         setError(e.message || 'Failed to load doors');
       } finally {
@@ -42,51 +133,177 @@ function App() {
       }
     };
     fetchDoors();
-  }, []);
+  }, [user]);
+
+  // Payroll export profiles (built in + payroll_profiles.json) for the results' export menu
+  useEffect(() => {
+    if (!PAYROLL_ROLES.includes(user?.role)) return;
+    apiFetch('http://localhost:3001/api/payroll/profiles')
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        const profiles = data?.profiles || [];
+        setPayrollProfiles(profiles);
+        setPayrollProfileId((id) => id || profiles[0]?.profile_id || '');
+      })
+      .catch(() => setPayrollProfiles([]));
+  }, [user]);
 
+  const siteDoors = useMemo(
+    () => doors.filter((d) => !selectedSiteId || d.site_id === selectedSiteId),
+    [doors, selectedSiteId]
+  );
+  const siteAreas = useMemo(
+    () => areas.filter((a) => !selectedSiteId || a.site_id === selectedSiteId),
+    [areas, selectedSiteId]
+  );
   const suggestedDoors = useMemo(
-    () => doors.filter((d) => (d.name || '').toLowerCase().includes('break')),
-    [doors]
+    () => siteDoors.filter((d) => (d.name || '').toLowerCase().includes('break')),
+    [siteDoors]
   );
-  const allDoors = doors;
+  const allDoors = siteDoors;
 
-  const handleGenerate = async (e) => {
-    e?.preventDefault?.();
-    if (!selectedDoorId) {
-      setError('Please select a door.');
-      return;
-    }
+  // Shifts are defined per site: offer the selected door's/area's, and drop a pick from another site
+  const targetSiteId = selectedDoorId.startsWith(AREA_PREFIX)
+    ? areas.find((a) => `${AREA_PREFIX}${a.area_id}` === selectedDoorId)?.site_id
+    : doors.find((d) => d.door_id === selectedDoorId)?.site_id;
+  const targetShifts = shifts.filter((s) => s.site_id === targetSiteId);
+  const shiftId = targetShifts.some((s) => s.shift_id === selectedShiftId) ? selectedShiftId : '';
+
+  const handleSiteChange = (siteId) => {
+    setSelectedSiteId(siteId);
+    const inSite = (x) => !siteId || x.site_id === siteId;
+    setSelectedDoorId(pickDefaultTarget(doors.filter(inSite), areas.filter(inSite)));
+  };
+
+  // Fetches the report for a /api/break-report query (URLSearchParams)
+  const runReport = useCallback(async (params) => {
     setLoadingReport(true);
     setError(null);
+    setExportNotice(null);
     setReport(null);
     try {
-      const params = new URLSearchParams({
-        door_id: selectedDoorId,
-        date,
-        min_minutes: String(minMinutes || 45),
-      });
-      const res = await fetch(`http://localhost:3001/api/break-report?${params.toString()}`);
-      if (!res.ok) throw new Error(`Failed to fetch report (${res.status})`);
+      const res = await apiFetch(`http://localhost:3001/api/break-report?${params.toString()}`);
+      if (!res.ok) throw new Error(await readError(res, `Failed to fetch report (${res.status})`));
       const data = await res.json();
       setReport(data);
+      setReportParams(params.toString());
     } catch (e) {
       setError(e.message || 'Failed to generate report');
     } finally {
       setLoadingReport(false);
     }
+  }, []);
+
+  const handleGenerate = async (e) => {
+    e?.preventDefault?.();
+    if (!selectedDoorId) {
+      setError('Please select a door or area.');
+      return;
+    }
+    if (endDate < startDate) {
+      setError('End date must be on or after start date.');
+      return;
+    }
+    // The selector holds either a door_id or `area:<area_id>`
+    const target = selectedDoorId.startsWith(AREA_PREFIX)
+      ? { area_id: selectedDoorId.slice(AREA_PREFIX.length) }
+      : { door_id: selectedDoorId };
+    const params = new URLSearchParams({
+      ...target,
+      start_date: startDate,
+      end_date: endDate,
+      min_minutes: String(minMinutes || 45),
+    });
+    if (selectedPolicyId) params.set('policy', selectedPolicyId);
+    if (selectedGroupId) params.set('group', selectedGroupId);
+    if (shiftId) params.set('shift', shiftId);
+    if (findAnomalies) {
+      params.set('anomalies', '1');
+      if (anomalyZ !== DEFAULT_ANOMALY_Z) params.set('anomaly_z', String(anomalyZ));
+    }
+    if (pairing !== 'last_in') params.set('pairing', pairing);
+    if (mergeGapSeconds > 0) params.set('merge_gap_seconds', String(mergeGapSeconds));
+    // Search/sort/filters carry over to the new report; which cards are open doesn't
+    setResultsView((v) => ({ ...v, open: null, except: [] }));
+    await runReport(params);
+  };
+
+  // A shared link carries the report query: fill the form from it and run it once the doors are in
+  useEffect(() => {
+    if (restoredFromUrl.current || loadingDoors || doors.length === 0) return;
+    restoredFromUrl.current = true;
+    const url = new URLSearchParams(window.location.search);
+    const target = url.get('area_id') ? `${AREA_PREFIX}${url.get('area_id')}` : url.get('door_id');
+    const found = url.get('area_id')
+      ? areas.find((a) => `${AREA_PREFIX}${a.area_id}` === target)
+      : doors.find((d) => d.door_id === target);
+    if (!found) return;
+
+    const params = new URLSearchParams();
+    for (const key of REPORT_PARAMS) if (url.has(key)) params.set(key, url.get(key));
+    setSelectedSiteId((id) => (!id || id === found.site_id ? id : ''));
+    setSelectedDoorId(target);
+    if (url.get('start_date')) setStartDate(url.get('start_date'));
+    setEndDate(url.get('end_date') || url.get('start_date') || todayISO());
+    if (url.get('min_minutes')) setMinMinutes(Number(url.get('min_minutes')));
+    setSelectedPolicyId(url.get('policy') || '');
+    setSelectedGroupId(url.get('group') || '');
+    setSelectedShiftId(url.get('shift') || '');
+    setFindAnomalies(url.get('anomalies') === '1');
+    if (url.get('anomaly_z')) setAnomalyZ(Number(url.get('anomaly_z')));
+    setPairing(url.get('pairing') || 'last_in');
+    setMergeGapSeconds(Number(url.get('merge_gap_seconds')) || 0);
+    runReport(params);
+  }, [doors, areas, loadingDoors, runReport]);
+
+  // The address bar follows the report and how its results are shown, so the view can be shared
+  useEffect(() => {
+    if (!reportParams) return;
+    const params = new URLSearchParams(reportParams);
+    for (const [key, value] of resultsViewToParams(resultsView)) params.set(key, value);
+    window.history.replaceState(null, '', `${window.location.pathname}?${params.toString()}`);
+  }, [reportParams, resultsView]);
+
+  const shownUsers = useMemo(() => visibleUsers(report?.users || [], resultsView), [report, resultsView]);
+  const reportUserCount = report?.users?.length || 0;
+
+  const updateResultsView = (changes) => setResultsView((v) => ({ ...v, ...changes }));
+
+  // Summary heading: sort by that column, or flip the direction when it already is
+  const handleSortBy = (key) =>
+    updateResultsView(
+      resultsView.sort === key ? { dir: resultsView.dir === 'asc' ? 'desc' : 'asc' } : { sort: key, dir: SORTS[key].dir }
+    );
+
+  // Summary row: open the user's card and scroll to it
+  const handleSelectUser = (u) => {
+    setResultsView((v) => setUserOpen(v, u.userId, reportUserCount, true));
+    requestAnimationFrame(() =>
+      document.getElementById(`user-card-${u.userId}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+    );
   };
 
   const getDoorDisplay = (d) => (d ? `${d.name} — ${d.site_name || 'Unknown Site'}` : '');
+  const getAreaDisplay = (a) => `${a.name} (${a.doors?.length || a.door_ids.length} doors) — ${a.site_name || 'Unknown Site'}`;
+
+  // Door or area the current report covers (same name/site_name/timezone shape)
+  const reportTarget = report?.area || report?.door;
+
+  // Range actually reported on (backend echoes it back), falling back to the form values
+  const reportStart = report?.generatedRange?.start_date || startDate;
+  const reportEnd = report?.generatedRange?.end_date || endDate;
+  const reportRangeLabel = reportStart === reportEnd ? reportStart : `${reportStart} → ${reportEnd}`;
+  const isMultiDay = reportStart !== reportEnd;
 
   const handleExportPDF = () => {
     if (!report || !resultsRef.current) return;
 
     const filenameDoor =
-      (report?.door?.name || 'door').replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
+      (reportTarget?.name || 'door').replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
 
     const opt = {
       margin: 10,
-      filename: `break-report_${filenameDoor}_${date}.pdf`,
+      filename: `break-report_${filenameDoor}_${reportStart === reportEnd ? reportStart : `${reportStart}_to_${reportEnd}`}.pdf`,
       image: { type: 'jpeg', quality: 0.98 },
       html2canvas: { scale: 2, useCORS: true },
       jsPDF: { unit: 'pt', format: 'a4', orientation: 'landscape' },
@@ -96,13 +313,174 @@ function App() {
     html2pdf().set(opt).from(resultsRef.current).save();
   };
 
+  // Saves a file the backend built, under the name it gives (Content-Disposition)
+  const downloadExport = async (key, url, fallbackName, label) => {
+    setExporting(key);
+    setError(null);
+    setExportNotice(null);
+    try {
+      const res = await apiFetch(url);
+      if (!res.ok) throw new Error(await readError(res, `Failed to export ${label} (${res.status})`));
+      const blob = await res.blob();
+      const filename = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '')?.[1] || fallbackName;
+      const href = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = href;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(href);
+      return res;
+    } catch (e) {
+      setError(e.message || `Failed to export ${label}`);
+      return null;
+    } finally {
+      setExporting('');
+    }
+  };
+
+  // CSV/XLSX are built server-side from the same query that produced the on-screen report
+  const handleExportFile = (format) => {
+    if (!report || !reportParams) return;
+    downloadExport(
+      format,
+      `http://localhost:3001/api/break-report.${format}?${reportParams}`,
+      `break-report.${format}`,
+      format.toUpperCase()
+    );
+  };
+
+  // Timekeeping file for the same query, with every user's breaks (not just those over the threshold)
+  const handleExportPayroll = async () => {
+    if (!report || !reportParams || !payrollProfileId) return;
+    const res = await downloadExport(
+      'payroll',
+      `http://localhost:3001/api/payroll/export?profile=${encodeURIComponent(payrollProfileId)}&${reportParams}`,
+      'payroll-export.txt',
+      'payroll file'
+    );
+    const unmapped = Number(res?.headers.get('X-Payroll-Unmapped-Users')) || 0;
+    if (unmapped > 0) {
+      const skipped = payrollProfiles.find((p) => p.profile_id === payrollProfileId)?.unmapped !== 'include';
+      setExportNotice(
+        `${unmapped} user${unmapped === 1 ? '' : 's'} without a payroll ID ${skipped ? 'left out of' : 'exported without one in'} ` +
+          'the file. Add their IDs under Payroll.'
+      );
+    }
+  };
+
+  // Re-runs the on-screen report (same query) after an annotation changes excused totals
+  const refreshReport = async () => {
+    try {
+      const res = await apiFetch(`http://localhost:3001/api/break-report?${reportParams}`);
+      if (!res.ok) throw new Error(await readError(res, `Failed to refresh report (${res.status})`));
+      setReport(await res.json());
+    } catch (e) {
+      setError(e.message || 'Failed to refresh report');
+    }
+  };
+
+  const handleSignOut = async () => {
+    await apiFetch('http://localhost:3001/api/auth/logout', { method: 'POST' }).catch(() => null);
+    setUser(null);
+    setReport(null);
+    setPayrollProfiles([]);
+    setView('reports');
+  };
+
+  if (user === undefined) return null;
+  if (!user) return <Login onSignedIn={setUser} />;
+
+  const views = VIEWS.filter(([, , roles]) => roles.includes(user.role));
+  const canAnnotate = ANNOTATING_ROLES.includes(user.role);
+  const canExportPayroll = PAYROLL_ROLES.includes(user.role) && payrollProfiles.length > 0;
+  // Annotations are saved against the report's door/area (the backend checks it is in scope)
+  const annotationTarget = report?.area ? { area_id: report.area.area_id } : { door_id: report?.door?.door_id };
+
+  const header = (
+    <header
+      style={{
+        backgroundColor: '#1f2937',
+        padding: '1rem 2rem',
+        color: '#fff',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+      }}
+    >
+      <span style={{ fontSize: '1.5rem', fontWeight: 600 }}>Break Times Dashboard</span>
+      <nav style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+        {views.map(([key, label]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => setView(key)}
+            style={{
+              padding: '0.4rem 0.8rem',
+              borderRadius: 8,
+              border: '1px solid #4b5563',
+              background: view === key ? '#fff' : 'transparent',
+              color: view === key ? '#111827' : '#fff',
+              fontWeight: 600,
+              cursor: 'pointer',
+            }}
+          >
+            {label}
+          </button>
+        ))}
+        <span style={{ marginLeft: 12, color: '#d1d5db', fontSize: 14 }}>
+          {user.name} ({ROLE_LABELS[user.role] || user.role})
+        </span>
+        <button
+          type="button"
+          onClick={handleSignOut}
+          style={{
+            padding: '0.4rem 0.8rem',
+            borderRadius: 8,
+            border: '1px solid #4b5563',
+            background: 'transparent',
+            color: '#fff',
+            fontWeight: 600,
+            cursor: 'pointer',
+          }}
+        >
+          Sign out
+        </button>
+      </nav>
+    </header>
+  );
+
+  // Every tab shares the header; the report page is the default and follows below
+  const otherView =
+    view === 'live' ? (
+      <LiveOccupancy />
+    ) : view === 'analytics' ? (
+      <OccupancyAnalytics doors={doors} areas={areas} />
+    ) : view === 'alerts' ? (
+      <AlertLog />
+    ) : view === 'history' && historyUser ? (
+      <UserHistory user={historyUser} reportParams={reportParams} onBack={() => setView('reports')} />
+    ) : view === 'schedules' ? (
+      <ScheduleAdmin doors={doors} areas={areas} policies={policies} groups={groups} />
+    ) : view === 'payroll' ? (
+      <PayrollAdmin profiles={payrollProfiles} reportUsers={report?.users || []} />
+    ) : null;
+
+  if (otherView) {
+    return (
+      <div style={PAGE_STYLE}>
+        {header}
+        <main style={MAIN_STYLE}>{otherView}</main>
+      </div>
+    );
+  }
+
   return (
-    <div style={{ backgroundColor: '#f6f7f9', minHeight: '100vh', fontFamily: 'Inter, system-ui, Avenir, Helvetica, Arial, sans-serif' }}>
-      <header style={{ backgroundColor: '#1f2937', padding: '1rem 2rem', color: '#fff', fontSize: '1.5rem', fontWeight: 600 }}>
-        Break Times Dashboard
-      </header>
+    <div style={PAGE_STYLE}>
+      {header}
 
-      <main style={{ maxWidth: 1200, margin: '2rem auto', padding: '0 1rem' }}>
+      <main style={MAIN_STYLE}>
         <form
           onSubmit={handleGenerate}
           style={{
@@ -122,9 +500,34 @@ function App() {
               alignItems: 'end',
             }}
           >
+            {/* Site filter for the door list */}
+            <div>
+              <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Site</label>
+              <select
+                value={selectedSiteId}
+                onChange={(e) => handleSiteChange(e.target.value)}
+                disabled={loadingDoors || sites.length <= 1}
+                style={{
+                  width: '100%',
+                  boxSizing: 'border-box',
+                  padding: '0.5rem 0.75rem',
+                  borderRadius: 8,
+                  border: '1px solid #d1d5db',
+                  backgroundColor: '#fff',
+                }}
+              >
+                {sites.length !== 1 && <option value="">All Sites</option>}
+                {sites.map((st) => (
+                  <option key={st.site_id || 'unknown'} value={st.site_id || ''}>
+                    {st.name} ({st.door_count} doors)
+                  </option>
+                ))}
+              </select>
+            </div>
+
             {/* Door selector with suggested first */}
             <div>
-              <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Door</label>
+              <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Door / Area</label>
               <select
                 value={selectedDoorId}
                 onChange={(e) => setSelectedDoorId(e.target.value)}
@@ -139,9 +542,19 @@ function App() {
                 }}
               >
                 <option value="" disabled>
-                  {loadingDoors ? 'Loading doors…' : '-- Select a Door --'}
+                  {loadingDoors ? 'Loading doors…' : '-- Select a Door or Area --'}
                 </option>
 
+                {siteAreas.length > 0 && (
+                  <optgroup label="Break Areas">
+                    {siteAreas.map((a) => (
+                      <option key={`area-${a.area_id}`} value={`${AREA_PREFIX}${a.area_id}`}>
+                        {getAreaDisplay(a)}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+
                 {suggestedDoors.length > 0 && (
                   <optgroup label="Suggested (Break)">
                     {suggestedDoors.map((d) => (
@@ -185,13 +598,13 @@ function App() {
               />
             </div>
 
-            {/* Date */}
+            {/* Break policy (extra rules on top of the threshold) */}
             <div style={{ minWidth: 280 }}>
-              <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Date</label>
-              <input
-                type="date"
-                value={date}
-                onChange={(e) => setDate(e.target.value)}
+              <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Break Policy</label>
+              <select
+                value={selectedPolicyId}
+                onChange={(e) => setSelectedPolicyId(e.target.value)}
+                disabled={loadingDoors || policies.length === 0}
                 style={{
                   width: '100%',
                   boxSizing: 'border-box',
@@ -200,7 +613,181 @@ function App() {
                   border: '1px solid #d1d5db',
                   backgroundColor: '#fff',
                 }}
-              />
+              >
+                <option value="">{policies.length === 0 ? 'No policies configured' : 'None (threshold only)'}</option>
+                {policies.map((p) => (
+                  <option key={p.policy_id} value={p.policy_id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* How IN/OUT events are paired into breaks */}
+            <div style={{ minWidth: 280 }}>
+              <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Pairing</label>
+              <div style={{ display: 'flex', gap: 8 }}>
+                <select
+                  value={pairing}
+                  onChange={(e) => setPairing(e.target.value)}
+                  style={{
+                    flex: 1,
+                    minWidth: 0,
+                    padding: '0.5rem 0.75rem',
+                    borderRadius: 8,
+                    border: '1px solid #d1d5db',
+                    backgroundColor: '#fff',
+                  }}
+                >
+                  {PAIRING_STRATEGIES.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min={0}
+                  value={mergeGapSeconds}
+                  onChange={(e) => setMergeGapSeconds(Number(e.target.value))}
+                  title="Merge breaks separated by less than this many seconds (0 = off)"
+                  style={{
+                    width: 90,
+                    boxSizing: 'border-box',
+                    padding: '0.5rem 0.75rem',
+                    borderRadius: 8,
+                    border: '1px solid #d1d5db',
+                  }}
+                />
+              </div>
+              <div style={{ color: '#6b7280', fontSize: 12, marginTop: 4 }}>Merge gaps under N seconds (0 = off)</div>
+            </div>
+
+            {/* Access group filter */}
+            <div style={{ minWidth: 280 }}>
+              <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Access Group</label>
+              <select
+                value={selectedGroupId}
+                onChange={(e) => setSelectedGroupId(e.target.value)}
+                disabled={loadingDoors || groups.length === 0}
+                style={{
+                  width: '100%',
+                  boxSizing: 'border-box',
+                  padding: '0.5rem 0.75rem',
+                  borderRadius: 8,
+                  border: '1px solid #d1d5db',
+                  backgroundColor: '#fff',
+                }}
+              >
+                <option value="">All Groups</option>
+                {groups.map((g) => (
+                  <option key={g.group_id} value={g.group_id}>
+                    {g.name}
+                    {g.rule?.min_minutes != null ? ` (≥ ${g.rule.min_minutes} min)` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Calendar days or a shift of the selected site (overnight shifts stay in one report) */}
+            <div style={{ minWidth: 280 }}>
+              <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Shift</label>
+              <select
+                value={shiftId}
+                onChange={(e) => setSelectedShiftId(e.target.value)}
+                disabled={loadingDoors || targetShifts.length === 0}
+                style={{
+                  width: '100%',
+                  boxSizing: 'border-box',
+                  padding: '0.5rem 0.75rem',
+                  borderRadius: 8,
+                  border: '1px solid #d1d5db',
+                  backgroundColor: '#fff',
+                }}
+              >
+                <option value="">{targetShifts.length === 0 ? 'No shifts for this site' : 'Calendar days (midnight to midnight)'}</option>
+                {targetShifts.map((s) => (
+                  <option key={s.shift_id} value={s.shift_id}>
+                    {s.label}
+                    {s.min_minutes != null ? ` (≥ ${s.min_minutes} min)` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Date range */}
+            <div style={{ minWidth: 280 }}>
+              <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>
+                {shiftId ? 'Shift Dates (day each shift starts)' : 'Date Range'}
+              </label>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <input
+                  type="date"
+                  value={startDate}
+                  onChange={(e) => {
+                    setStartDate(e.target.value);
+                    if (e.target.value > endDate) setEndDate(e.target.value);
+                  }}
+                  aria-label="Start date"
+                  style={{
+                    flex: 1,
+                    minWidth: 0,
+                    boxSizing: 'border-box',
+                    padding: '0.5rem 0.75rem',
+                    borderRadius: 8,
+                    border: '1px solid #d1d5db',
+                    backgroundColor: '#fff',
+                  }}
+                />
+                <span style={{ color: '#6b7280' }}>to</span>
+                <input
+                  type="date"
+                  value={endDate}
+                  min={startDate}
+                  max={addDaysISO(startDate, MAX_RANGE_DAYS - 1)}
+                  onChange={(e) => setEndDate(e.target.value)}
+                  aria-label="End date"
+                  style={{
+                    flex: 1,
+                    minWidth: 0,
+                    boxSizing: 'border-box',
+                    padding: '0.5rem 0.75rem',
+                    borderRadius: 8,
+                    border: '1px solid #d1d5db',
+                    backgroundColor: '#fff',
+                  }}
+                />
+              </div>
+            </div>
+
+            {/* Anomaly mode: compare each user to their own recent history */}
+            <div style={{ minWidth: 280 }}>
+              <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Anomalies</label>
+              <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                <label style={{ flex: 1 }}>
+                  <input type="checkbox" checked={findAnomalies} onChange={(e) => setFindAnomalies(e.target.checked)} /> Flag
+                  unusual days
+                </label>
+                <input
+                  type="number"
+                  min={0.5}
+                  step={0.5}
+                  value={anomalyZ}
+                  onChange={(e) => setAnomalyZ(Number(e.target.value))}
+                  disabled={!findAnomalies}
+                  title="How far from the user's usual (in standard deviations) before a day is flagged"
+                  style={{
+                    width: 90,
+                    boxSizing: 'border-box',
+                    padding: '0.5rem 0.75rem',
+                    borderRadius: 8,
+                    border: '1px solid #d1d5db',
+                  }}
+                />
+              </div>
+              <div style={{ color: '#6b7280', fontSize: 12, marginTop: 4 }}>
+                Against each user's last {ANOMALY_BASELINE_DAYS} days; flag at z ≥ N
+              </div>
             </div>
 
             <div style={{ gridColumn: '1 / -1' }}>
@@ -254,19 +841,71 @@ function App() {
           <header style={{ marginBottom: '0.75rem', display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
             <div>
               <h2 style={{ margin: 0, fontSize: '1.25rem' }}>Results</h2>
-              {report?.door && (
+              {reportTarget && (
                 <p style={{ margin: '0.25rem 0', color: '#6b7280' }}>
-                  Door: <strong>{report.door.name}</strong> — Site:{' '}
-                  <strong>{report.door.site_name}</strong> — TZ:{' '}
-                  <strong>{report.door.timezone}</strong>
+                  {report.area ? 'Area' : 'Door'}: <strong>{reportTarget.name}</strong>
+                  {report.area && ` (${report.area.doors.map((d) => d.name).join(', ')})`} — Site:{' '}
+                  <strong>{reportTarget.site_name}</strong> — TZ:{' '}
+                  <strong>{reportTarget.timezone}</strong>
                   <br />
-                  Date: <strong>{date}</strong> • Threshold:{' '}
-                  <strong>{minMinutes} min</strong>
+                  {isMultiDay ? 'Range' : 'Date'}: <strong>{reportRangeLabel}</strong>
+                  {report.shift && (
+                    <>
+                      {' '}• Shift: <strong>{report.shift.label}</strong>
+                    </>
+                  )}{' '}
+                  • Threshold:{' '}
+                  <strong>
+                    {report.min_minutes ?? minMinutes} min{isMultiDay ? (report.shift ? ' / shift' : ' / day') : ''}
+                  </strong>
+                  {report.pairing && (
+                    <>
+                      {' '}• Pairing: <strong>{report.pairing.description}</strong>
+                    </>
+                  )}
+                  {report.policy && (
+                    <>
+                      {' '}• Policy: <strong>{report.policy.name}</strong>
+                    </>
+                  )}
+                  {report.group && (
+                    <>
+                      {' '}• Group: <strong>{report.group.name}</strong>
+                    </>
+                  )}
+                  {report.source && (
+                    <span title="Where the access events for this report came from">
+                      {' '}• Data: <strong>{report.source === 'store' ? 'local event store' : 'live from access provider'}</strong>
+                    </span>
+                  )}
                 </p>
               )}
             </div>
 
-            <div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'flex-end', gap: 8 }}>
+              {['csv', 'xlsx'].map((format) => (
+                <button
+                  key={format}
+                  type="button"
+                  onClick={() => handleExportFile(format)}
+                  disabled={!report || loadingReport || !!exporting}
+                  style={{
+                    padding: '0.5rem 0.9rem',
+                    borderRadius: 8,
+                    border: '1px solid #111827',
+                    background: '#fff',
+                    color: '#111827',
+                    fontWeight: 600,
+                    cursor: !report ? 'not-allowed' : 'pointer',
+                    opacity: !report ? 0.6 : 1,
+                    whiteSpace: 'nowrap',
+                  }}
+                  aria-label={`Export results to ${format.toUpperCase()}`}
+                  title={`Export results to ${format.toUpperCase()}`}
+                >
+                  {exporting === format ? 'Exporting…' : `Export ${format.toUpperCase()}`}
+                </button>
+              ))}
               <button
                 type="button"
                 onClick={handleExportPDF}
@@ -287,22 +926,117 @@ function App() {
               >
                 Export PDF
               </button>
+              {canExportPayroll && (
+                <span style={{ display: 'inline-flex', gap: 4 }}>
+                  <select
+                    value={payrollProfileId}
+                    onChange={(e) => setPayrollProfileId(e.target.value)}
+                    aria-label="Payroll export profile"
+                    style={{ padding: '0.5rem', borderRadius: 8, border: '1px solid #d1d5db', backgroundColor: '#fff' }}
+                  >
+                    {payrollProfiles.map((p) => (
+                      <option key={p.profile_id} value={p.profile_id}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={handleExportPayroll}
+                    disabled={!report || loadingReport || !!exporting}
+                    style={{
+                      padding: '0.5rem 0.9rem',
+                      borderRadius: 8,
+                      border: '1px solid #111827',
+                      background: '#fff',
+                      color: '#111827',
+                      fontWeight: 600,
+                      cursor: !report ? 'not-allowed' : 'pointer',
+                      opacity: !report ? 0.6 : 1,
+                      whiteSpace: 'nowrap',
+                    }}
+                    title="Every user's breaks as a timekeeping file, in the chosen profile"
+                  >
+                    {exporting === 'payroll' ? 'Exporting…' : 'Export Payroll'}
+                  </button>
+                </span>
+              )}
             </div>
           </header>
 
+          {exportNotice && (
+            <div
+              style={{
+                background: '#fffbeb',
+                color: '#92400e',
+                border: '1px solid #fde68a',
+                borderRadius: 8,
+                padding: '0.5rem 0.75rem',
+                marginBottom: '1rem',
+              }}
+            >
+              {exportNotice}
+            </div>
+          )}
+
           {!report && !loadingReport && (
             <p style={{ color: '#6b7280' }}>Run a report to see results here.</p>
           )}
 
+          {report?.anomalies && (
+            <Anomalies
+              anomalies={report.anomalies}
+              onOpenHistory={(u) => {
+                setHistoryUser(u);
+                setView('history');
+              }}
+            />
+          )}
+
           {report && report.users?.length === 0 && (
             <p style={{ color: '#6b7280' }}>
-              No users exceeded {minMinutes} minutes on {date}.
+              No users exceeded {report.min_minutes ?? minMinutes} minutes on {isMultiDay ? `any day from ${reportRangeLabel}` : reportRangeLabel}.
+            </p>
+          )}
+
+          {reportUserCount > 0 && (
+            <ResultsControls
+              view={resultsView}
+              onChange={updateResultsView}
+              shown={shownUsers.length}
+              total={reportUserCount}
+              onExpandAll={() => updateResultsView({ open: 'all', except: [] })}
+              onCollapseAll={() => updateResultsView({ open: 'none', except: [] })}
+            />
+          )}
+
+          {reportUserCount > 0 && shownUsers.length === 0 && (
+            <p style={{ color: '#6b7280' }}>
+              No users match the search and filters.{' '}
+              <button
+                type="button"
+                onClick={() => updateResultsView({ q: '', onlyViolations: false, onlyOver: false })}
+                style={{ padding: 0, border: 'none', background: 'none', color: '#1d4ed8', fontWeight: 600, fontSize: 'inherit', cursor: 'pointer' }}
+              >
+                Clear them
+              </button>
             </p>
           )}
 
-          {report?.users?.map((u) => (
+          {shownUsers.length > 0 && (
+            <ResultsSummary
+              users={shownUsers}
+              sort={resultsView.sort}
+              dir={resultsView.dir}
+              onSort={handleSortBy}
+              onSelect={handleSelectUser}
+            />
+          )}
+
+          {shownUsers.map((u) => (
             <div
               key={u.userId}
+              id={`user-card-${u.userId}`}
               style={{
                 marginBottom: '1.5rem',
                 border: '1px solid #e5e7eb',
@@ -314,7 +1048,7 @@ function App() {
                 style={{
                   background: '#f9fafb',
                   padding: '0.75rem 1rem',
-                  borderBottom: '1px solid #e5e7eb',
+                  borderBottom: isUserOpen(resultsView, u.userId, reportUserCount) ? '1px solid #e5e7eb' : 'none',
                   display: 'flex',
                   justifyContent: 'space-between',
                   alignItems: 'center',
@@ -322,8 +1056,44 @@ function App() {
                 }}
               >
                 <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
-                  <strong>{u.userName}</strong>
+                  <button
+                    type="button"
+                    onClick={() => setResultsView((v) => setUserOpen(v, u.userId, reportUserCount))}
+                    aria-expanded={isUserOpen(resultsView, u.userId, reportUserCount)}
+                    aria-label={`${isUserOpen(resultsView, u.userId, reportUserCount) ? 'Collapse' : 'Expand'} ${u.userName}`}
+                    style={{ padding: 0, width: 20, border: 'none', background: 'none', color: '#6b7280', cursor: 'pointer' }}
+                  >
+                    {isUserOpen(resultsView, u.userId, reportUserCount) ? '▾' : '▸'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setHistoryUser({ userId: u.userId, userName: u.userName });
+                      setView('history');
+                    }}
+                    title="Break history for the last 30/90 days"
+                    style={{ padding: 0, border: 'none', background: 'none', color: '#1d4ed8', fontWeight: 700, fontSize: 'inherit', cursor: 'pointer' }}
+                  >
+                    {u.userName}
+                  </button>
                   <span style={{ color: '#6b7280' }}>• {u.siteName}</span>
+                  {u.group && (
+                    <span
+                      title={`Access groups: ${u.groups.map((g) => g.name).join(', ')}`}
+                      style={{
+                        background: '#f0f9ff',
+                        color: '#075985',
+                        border: '1px solid #bae6fd',
+                        padding: '2px 6px',
+                        borderRadius: 999,
+                        fontSize: 12,
+                        fontWeight: 600,
+                      }}
+                    >
+                      {u.group.name}
+                      {u.minMinutes !== report.min_minutes ? ` • ≥ ${u.minMinutes} min` : ''}
+                    </span>
+                  )}
                   {u.violations?.length > 0 && (
                     <span
                       title="This user has area violations on this day"
@@ -340,66 +1110,228 @@ function App() {
                       Violations: {u.violations.length}
                     </span>
                   )}
+                  {groupPolicyViolations(u.policyViolations).map((g) => (
+                    <span
+                      key={g.rule}
+                      title={g.items.map((v) => `${v.date}: ${v.message}`).join('\n')}
+                      style={{
+                        background: '#fef2f2',
+                        color: '#991b1b',
+                        border: '1px solid #fecaca',
+                        padding: '2px 6px',
+                        borderRadius: 999,
+                        fontSize: 12,
+                        fontWeight: 600,
+                      }}
+                    >
+                      {g.label}
+                      {g.items.length > 1 ? ` ×${g.items.length}` : ''} (+{g.maxOver}
+                      {g.unit === 'breaks' ? '' : 'm'})
+                    </span>
+                  ))}
                 </div>
-                <div>
-                  <span style={{ color: '#6b7280' }}>Total:</span>{' '}
-                  <strong>{u.totalLabel}</strong>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+                  {isMultiDay && (
+                    <span style={{ color: '#6b7280' }}>
+                      Days over: <strong style={{ color: '#111827' }}>{u.daysOver}</strong>
+                    </span>
+                  )}
+                  <span>
+                    <span style={{ color: '#6b7280' }}>{isMultiDay ? 'Range Total:' : 'Total:'}</span>{' '}
+                    <strong>{u.totalLabel}</strong>
+                    {u.excusedMs > 0 && (
+                      <span title="Excused time doesn't count toward thresholds or policies" style={{ color: '#065f46', fontSize: 12 }}>
+                        {' '}
+                        ({u.excusedLabel} excused)
+                      </span>
+                    )}
+                  </span>
                 </div>
               </div>
 
-              <div style={{ overflowX: 'auto' }}>
-                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-                  <thead>
-                    <tr style={{ background: '#f3f4f6' }}>
-                      <th style={th}>User</th>
-                      <th style={th}>Site</th>
-                      <th style={th}>Area</th>
-                      <th style={th}>Date</th>
-                      <th style={th}>Time In</th>
-                      <th style={th}>At Location</th>
-                      <th style={th}>Date</th>
-                      <th style={th}>Time Out</th>
-                      <th style={th}>At Location</th>
-                      <th style={th}>Total</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {u.pairs.map((p, idx) => (
-                      <tr key={idx} style={{ borderTop: '1px solid #e5e7eb' }}>
-                        <td style={td}>{u.userName}</td>
-                        <td style={td}>{u.siteName}</td>
-                        <td style={td}>{p.area}</td>
-                        <td style={td}>{p.in.date}</td>
-                        <td style={td}>{new Date(`${p.in.date}T${p.in.time}`).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', hour12: true })}</td>
-                        <td style={td}>{p.in.atLocation}</td>
-                        <td style={td}>{p.out.date}</td>
-                        <td style={td}>{new Date(`${p.out.date}T${p.out.time}`).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', hour12: true })}</td>
-                        <td style={td}>{p.out.atLocation}</td>
-                        <td style={td}>{p.totalLabel}</td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
+              {isUserOpen(resultsView, u.userId, reportUserCount) && (
+                <>
+                  <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                      <thead>
+                        <tr style={{ background: '#f3f4f6' }}>
+                          <th style={th}>User</th>
+                          <th style={th}>Site</th>
+                          <th style={th}>Area</th>
+                          <th style={th}>Date</th>
+                          <th style={th}>Time In</th>
+                          <th style={th}>At Location</th>
+                          <th style={th}>Date</th>
+                          <th style={th}>Time Out</th>
+                          <th style={th}>At Location</th>
+                          <th style={th}>Total</th>
+                          <th style={th}>Note</th>
+                        </tr>
+                      </thead>
+                      {(u.days || []).map((day) => (
+                        <tbody key={day.date}>
+                          <tr style={{ borderTop: '1px solid #e5e7eb', background: day.overThreshold ? '#fef2f2' : '#fafafa' }}>
+                            <td style={{ ...td, fontWeight: 600 }} colSpan={9}>
+                              {new Date(`${day.date}T00:00:00`).toLocaleDateString([], { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })}
+                              {day.overThreshold && (
+                                <span style={{ marginLeft: 8, color: '#b91c1c', fontSize: 12 }}>over threshold</span>
+                              )}
+                            </td>
+                            <td style={{ ...td, fontWeight: 600 }}>
+                              {day.totalLabel}
+                              {day.excusedMs > 0 && (
+                                <span style={{ marginLeft: 6, color: '#065f46', fontSize: 11, fontWeight: 400 }}>
+                                  ({day.excusedLabel} excused)
+                                </span>
+                              )}
+                            </td>
+                            <td style={td} />
+                          </tr>
+                          {day.pairs.map((p, idx) => (
+                            <tr key={idx} style={{ borderTop: '1px solid #e5e7eb' }}>
+                              <td style={td}>{u.userName}</td>
+                              <td style={td}>{u.siteName}</td>
+                              <td style={td}>{p.area}</td>
+                              <td style={td}>{p.in.date}</td>
+                              <td style={td}>{new Date(`${p.in.date}T${p.in.time}`).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', hour12: true })}</td>
+                              <td style={td}>{p.in.atLocation}</td>
+                              <td style={td}>
+                                {p.out.date}
+                                {p.spansMidnight && (
+                                  <span
+                                    title="This break started on one day and ended on the next; it counts toward the day it started"
+                                    style={{
+                                      marginLeft: 6,
+                                      background: '#eef2ff',
+                                      color: '#3730a3',
+                                      border: '1px solid #c7d2fe',
+                                      padding: '1px 6px',
+                                      borderRadius: 999,
+                                      fontSize: 11,
+                                      fontWeight: 600,
+                                    }}
+                                  >
+                                    spans midnight
+                                  </span>
+                                )}
+                              </td>
+                              <td style={td}>{new Date(`${p.out.date}T${p.out.time}`).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', hour12: true })}</td>
+                              <td style={td}>{p.out.atLocation}</td>
+                              <td style={td}>
+                                {p.totalLabel}
+                                {p.mergedCount > 1 && (
+                                  <span
+                                    title={`${p.mergedCount} breaks merged because the gaps between them were under ${report.pairing.merge_gap_seconds}s`}
+                                    style={{ marginLeft: 6, color: '#6b7280', fontSize: 11 }}
+                                  >
+                                    ({p.mergedCount} merged)
+                                  </span>
+                                )}
+                              </td>
+                              <td style={td}>
+                                <Annotation
+                                  annotationKey={p.key}
+                                  annotation={p.annotation}
+                                  target={annotationTarget}
+                                  canEdit={canAnnotate}
+                                  onSaved={refreshReport}
+                                />
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      ))}
+                    </table>
+                  </div>
 
-              {u.violations?.length > 0 && (
-                <div style={{ padding: '0.75rem 1rem', borderTop: '1px solid #e5e7eb', background: '#fff' }}>
-                  <strong>Area Violations</strong>
-                  <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
-                    {u.violations.map((v, i) => (
-                      <li key={i} style={{ lineHeight: 1.6 }}>
-                        <span style={{ color: '#6b7280' }}>
-                          {v.date}{' '}
-                          {new Date(`${v.date}T${v.time}`).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', hour12: true })} —{' '}
-                        </span>
-                        <span>
-                          Area Violation: {v.message}{' '}
-                          <span style={{ color: '#9ca3af' }}>({v.event_type})</span>
-                        </span>
-                      </li>
-                    ))}
-                  </ul>
-                </div>
+                  {u.policyViolations?.length > 0 && (
+                    <div style={{ padding: '0.75rem 1rem', borderTop: '1px solid #e5e7eb', background: '#fff' }}>
+                      <strong>Policy Violations</strong>
+                      {u.policyName && <span style={{ color: '#6b7280' }}> — {u.policyName}</span>}
+                      <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+                        {u.policyViolations.map((v, i) => (
+                          <li key={i} style={{ lineHeight: 1.6 }}>
+                            <span style={{ color: '#6b7280' }}>
+                              {v.date}
+                              {v.time &&
+                                ` ${new Date(`${v.date}T${v.time}`).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', hour12: true })}`}{' '}
+                              —{' '}
+                            </span>
+                            <span>
+                              {v.label}: {v.message}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {u.violations?.length > 0 && (
+                    <div style={{ padding: '0.75rem 1rem', borderTop: '1px solid #e5e7eb', background: '#fff' }}>
+                      <strong>Area Violations</strong>
+                      <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+                        {u.violations.map((v, i) => (
+                          <li key={i} style={{ lineHeight: 1.6 }}>
+                            <span style={{ color: '#6b7280' }}>
+                              {v.date}{' '}
+                              {new Date(`${v.date}T${v.time}`).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', hour12: true })} —{' '}
+                            </span>
+                            <span>
+                              Area Violation: {v.message}{' '}
+                              <span style={{ color: '#9ca3af' }}>({v.event_type})</span>
+                            </span>
+                            <div>
+                              <Annotation
+                                annotationKey={v.key}
+                                annotation={v.annotation}
+                                target={annotationTarget}
+                                canEdit={canAnnotate}
+                                onSaved={refreshReport}
+                              />
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {u.unmatched?.length > 0 && (
+                    <details style={{ borderTop: '1px solid #e5e7eb', background: '#fff' }}>
+                      <summary style={{ padding: '0.75rem 1rem', cursor: 'pointer' }}>
+                        <strong>Unmatched Events</strong>
+                        <span style={{ color: '#6b7280' }}> — {u.unmatched.length} not paired (possible tailgating)</span>
+                      </summary>
+                      <div style={{ overflowX: 'auto' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                          <thead>
+                            <tr style={{ background: '#f3f4f6' }}>
+                              <th style={th}>Date</th>
+                              <th style={th}>Time</th>
+                              <th style={th}>At Location</th>
+                              <th style={th}>Reason</th>
+                              <th style={th}>Estimated</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {u.unmatched.map((m, i) => (
+                              <tr key={i} style={{ borderTop: '1px solid #e5e7eb' }}>
+                                <td style={td}>{m.date}</td>
+                                <td style={td}>{new Date(`${m.date}T${m.time}`).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', hour12: true })}</td>
+                                <td style={td}>{m.atLocation}</td>
+                                <td style={td}>
+                                  {m.label} <span style={{ color: '#9ca3af' }}>({m.reason})</span>
+                                </td>
+                                <td style={td} title={m.estimatedLabel ? 'Upper bound: time until the next IN, or until the end of the data' : undefined}>
+                                  {m.estimatedLabel ? `up to ${m.estimatedLabel}` : '—'}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </details>
+                  )}
+                </>
               )}
             </div>
           ))}
@@ -409,20 +1341,55 @@ function App() {
   );
 }
 
-const th = {
-  textAlign: 'left',
-  padding: '0.5rem 0.75rem',
-  borderBottom: '1px solid #e5e7eb',
-  fontWeight: 600,
-  fontSize: 14,
-  whiteSpace: 'nowrap',
+// One badge per broken rule: how often, and the worst overage
+const groupPolicyViolations = (list = []) => {
+  const groups = new Map();
+  for (const v of list) {
+    if (!groups.has(v.rule)) groups.set(v.rule, { rule: v.rule, label: v.label, unit: v.unit, maxOver: 0, items: [] });
+    const g = groups.get(v.rule);
+    g.items.push(v);
+    g.maxOver = Math.max(g.maxOver, v.over);
+  }
+  return [...groups.values()];
 };
 
-const td = {
-  padding: '0.5rem 0.75rem',
-  fontSize: 14,
-  verticalAlign: 'top',
-  whiteSpace: 'nowrap',
+// Keep in sync with PAIRING_STRATEGIES in backend/pairing.js
+const PAIRING_STRATEGIES = [
+  ['last_in', 'Last IN → next OUT'],
+  ['first_in', 'First IN → next OUT'],
+];
+
+// Selector values for areas are prefixed so they can share the door <select>
+const AREA_PREFIX = 'area:';
+
+// Default selection: configured areas are the intended break rooms, then "break" doors, then anything.
+const pickDefaultTarget = (ds, as) => {
+  if (as[0]) return `${AREA_PREFIX}${as[0].area_id}`;
+  const preferred = ds.find((d) => (d.name || '').toLowerCase().includes('break'));
+  return (preferred || ds[0])?.door_id || '';
+};
+
+// Keep in sync with MAX_RANGE_DAYS in backend/report.js
+const MAX_RANGE_DAYS = 31;
+
+// Keep in sync with DEFAULT_Z / DEFAULT_BASELINE_DAYS in backend/anomalies.js
+const DEFAULT_ANOMALY_Z = 2.5;
+const ANOMALY_BASELINE_DAYS = 28;
+
+// Local calendar date as YYYY-MM-DD
+const toISODate = (d) => {
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${yyyy}-${mm}-${dd}`;
+};
+
+const todayISO = () => toISODate(new Date());
+
+const addDaysISO = (iso, days) => {
+  const d = new Date(`${iso}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return toISODate(d);
 };
 
 export default App;
@@ -0,0 +1,203 @@
+// src/LiveOccupancy.js
+// Live "who is in the break room now" panel, fed by the backend's Server-Sent Events stream.
+import { useEffect, useState } from 'react';
+import { th, td } from './styles';
+
+const STREAM_URL = 'http://localhost:3001/api/occupancy/stream';
+
+// Like the backend's msToHMM, but floored so the clock never runs ahead
+const fmtElapsed = (ms) => {
+  const totalMinutes = Math.floor(ms / 60000);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+  return h > 0 ? `${h}h ${m}m` : `${m}m`;
+};
+
+function LiveOccupancy() {
+  const [minMinutes, setMinMinutes] = useState(45);
+  const [data, setData] = useState(null);
+  const [status, setStatus] = useState('connecting'); // 'connecting' | 'live' | 'reconnecting'
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  // (Re)connect whenever the threshold changes; EventSource retries on its own after drops.
+  useEffect(() => {
+    setStatus('connecting');
+    const source = new EventSource(`${STREAM_URL}?min_minutes=${encodeURIComponent(minMinutes || 0)}`, {
+      withCredentials: true,
+    });
+    source.addEventListener('occupancy', (e) => {
+      setData(JSON.parse(e.data));
+      setError(null);
+      setStatus('live');
+    });
+    source.addEventListener('occupancy_error', (e) => {
+      setError(JSON.parse(e.data)?.error || 'Failed to refresh live occupancy');
+    });
+    source.onerror = () => setStatus('reconnecting');
+    return () => source.close();
+  }, [minMinutes]);
+
+  // Elapsed times tick locally between server updates
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const areas = data?.areas || [];
+  const statusStyle = {
+    live: { background: '#ecfdf5', color: '#065f46', borderColor: '#a7f3d0', label: 'Live' },
+    connecting: { background: '#f3f4f6', color: '#374151', borderColor: '#e5e7eb', label: 'Connecting…' },
+    reconnecting: { background: '#fffbeb', color: '#92400e', borderColor: '#fde68a', label: 'Reconnecting…' },
+  }[status];
+
+  return (
+    <section
+      style={{
+        background: '#fff',
+        border: '1px solid #e5e7eb',
+        borderRadius: 12,
+        padding: '1rem',
+        boxShadow: '0 1px 2px rgba(0,0,0,0.04)',
+      }}
+    >
+      <header style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'end', gap: '1rem', marginBottom: '1rem', flexWrap: 'wrap' }}>
+        <div>
+          <h2 style={{ margin: 0, fontSize: '1.25rem', display: 'flex', alignItems: 'center', gap: 8 }}>
+            In the Break Room Now
+            <span
+              style={{
+                padding: '2px 8px',
+                borderRadius: 999,
+                fontSize: 12,
+                fontWeight: 600,
+                border: '1px solid',
+                background: statusStyle.background,
+                color: statusStyle.color,
+                borderColor: statusStyle.borderColor,
+              }}
+            >
+              {statusStyle.label}
+            </span>
+          </h2>
+          <p style={{ margin: '4px 0 0', color: '#6b7280' }}>
+            Everyone who badged in and hasn't badged out yet
+            {data && ` (last ${data.lookback_hours}h) • Updated ${new Date(data.generated_at).toLocaleTimeString()}`}
+          </p>
+        </div>
+        <div>
+          <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Highlight After (minutes)</label>
+          <input
+            type="number"
+            min={1}
+            value={minMinutes}
+            onChange={(e) => setMinMinutes(Number(e.target.value))}
+            style={{
+              width: 160,
+              boxSizing: 'border-box',
+              padding: '0.5rem 0.75rem',
+              borderRadius: 8,
+              border: '1px solid #d1d5db',
+            }}
+          />
+        </div>
+      </header>
+
+      {error && (
+        <div
+          style={{
+            background: '#fef2f2',
+            color: '#991b1b',
+            border: '1px solid #fecaca',
+            borderRadius: 8,
+            padding: '0.5rem 0.75rem',
+            marginBottom: '1rem',
+          }}
+        >
+          {error}
+        </div>
+      )}
+
+      {data && areas.length === 0 && (
+        <p style={{ color: '#6b7280' }}>No break areas found. Configure areas or name a door with "break" in it.</p>
+      )}
+
+      {areas.map((a) => {
+        const occupants = a.occupants.map((o) => {
+          const elapsedMs = Math.max(0, now - o.sinceUnix * 1000);
+          return { ...o, elapsedMs, overThreshold: elapsedMs > o.thresholdMinutes * 60 * 1000 };
+        });
+        const overCount = occupants.filter((o) => o.overThreshold).length;
+        return (
+          <div key={a.key} style={{ marginBottom: '1rem', border: '1px solid #e5e7eb', borderRadius: 8, overflow: 'hidden' }}>
+            <div
+              style={{
+                background: '#f9fafb',
+                padding: '0.75rem 1rem',
+                borderBottom: occupants.length ? '1px solid #e5e7eb' : 'none',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+              }}
+            >
+              <div>
+                <strong>{a.name}</strong> <span style={{ color: '#6b7280' }}>• {a.site_name}</span>
+              </div>
+              <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                <span style={{ fontWeight: 600 }}>{occupants.length} inside</span>
+                {overCount > 0 && (
+                  <span
+                    style={{
+                      background: '#fef2f2',
+                      color: '#991b1b',
+                      border: '1px solid #fecaca',
+                      padding: '2px 6px',
+                      borderRadius: 999,
+                      fontSize: 12,
+                      fontWeight: 600,
+                    }}
+                  >
+                    {overCount} over threshold
+                  </span>
+                )}
+              </div>
+            </div>
+            {occupants.length > 0 && (
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    <th style={th}>User</th>
+                    <th style={th}>Group</th>
+                    <th style={th}>Entered Via</th>
+                    <th style={th}>Since ({a.timezone})</th>
+                    <th style={th}>Time Inside</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {occupants.map((o) => (
+                    <tr
+                      key={o.userId}
+                      style={{ borderTop: '1px solid #f3f4f6', background: o.overThreshold ? '#fef2f2' : undefined }}
+                      title={o.overThreshold ? `Over the ${o.thresholdMinutes} minute threshold` : undefined}
+                    >
+                      <td style={{ ...td, fontWeight: 600 }}>{o.userName}</td>
+                      <td style={td}>{o.group?.name || '—'}</td>
+                      <td style={td}>{o.doorName}</td>
+                      <td style={td}>{o.sinceTime}</td>
+                      <td style={{ ...td, fontWeight: 600, color: o.overThreshold ? '#991b1b' : undefined }}>
+                        {fmtElapsed(o.elapsedMs)}
+                        {o.overThreshold && ` (over ${o.thresholdMinutes}m)`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        );
+      })}
+    </section>
+  );
+}
+
+export default LiveOccupancy;
@@ -0,0 +1,149 @@
+// src/Login.js
+// Sign-in screen shown until the backend has a session for this browser.
+import { useEffect, useState } from 'react';
+import { readError } from './api';
+
+const API = 'http://localhost:3001/api/auth';
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '0.5rem 0.75rem',
+  borderRadius: 8,
+  border: '1px solid #d1d5db',
+};
+
+function Login({ onSignedIn }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [ssoMethods, setSsoMethods] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // SSO buttons only appear when the backend has a strategy configured
+  useEffect(() => {
+    fetch(`${API}/config`, { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((config) => setSsoMethods(config?.sso || []))
+      .catch(() => setSsoMethods([]));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API}/login`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      });
+      if (!res.ok) throw new Error(await readError(res, `Sign-in failed (${res.status})`));
+      const { user } = await res.json();
+      setPassword('');
+      onSignedIn(user);
+    } catch (e) {
+      setError(e.message || 'Sign-in failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{ backgroundColor: '#f6f7f9', minHeight: '100vh', fontFamily: 'Inter, system-ui, Avenir, Helvetica, Arial, sans-serif' }}>
+      <header style={{ backgroundColor: '#1f2937', padding: '1rem 2rem', color: '#fff' }}>
+        <span style={{ fontSize: '1.5rem', fontWeight: 600 }}>Break Times Dashboard</span>
+      </header>
+      <main style={{ maxWidth: 380, margin: '4rem auto', padding: '0 1rem' }}>
+        <form
+          onSubmit={handleSubmit}
+          style={{
+            background: '#fff',
+            border: '1px solid #e5e7eb',
+            borderRadius: 12,
+            padding: '1.5rem',
+            boxShadow: '0 1px 2px rgba(0,0,0,0.04)',
+            display: 'grid',
+            gap: '1rem',
+          }}
+        >
+          <h2 style={{ margin: 0, fontSize: '1.25rem' }}>Sign in</h2>
+
+          {error && (
+            <div
+              style={{
+                background: '#fef2f2',
+                color: '#991b1b',
+                border: '1px solid #fecaca',
+                borderRadius: 8,
+                padding: '0.5rem 0.75rem',
+              }}
+            >
+              {error}
+            </div>
+          )}
+
+          <div>
+            <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Username</label>
+            <input
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              autoFocus
+              required
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+              style={inputStyle}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            style={{
+              padding: '0.65rem 1rem',
+              borderRadius: 8,
+              border: '1px solid #1f2937',
+              backgroundColor: '#1f2937',
+              color: '#fff',
+              fontWeight: 600,
+              cursor: submitting ? 'wait' : 'pointer',
+            }}
+          >
+            {submitting ? 'Signing in…' : 'Sign in'}
+          </button>
+
+          {ssoMethods.map((m) => (
+            <a
+              key={m.id}
+              href={m.url}
+              style={{
+                textAlign: 'center',
+                padding: '0.6rem 1rem',
+                borderRadius: 8,
+                border: '1px solid #d1d5db',
+                color: '#111827',
+                fontWeight: 600,
+                textDecoration: 'none',
+              }}
+            >
+              Sign in with {m.label}
+            </a>
+          ))}
+        </form>
+      </main>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,273 @@
+// src/OccupancyAnalytics.js
+// When break rooms are busiest: a weekday × 15-minute heatmap and a time-of-day line chart.
+// The backend only sends counts, never who was inside, so this view is safe to share.
+import { useState } from 'react';
+import { apiFetch, readError } from './api';
+
+const API = 'http://localhost:3001/api/analytics/occupancy';
+
+// Keep in sync with MAX_RANGE_DAYS in backend/report.js
+const MAX_RANGE_DAYS = 31;
+
+const toISODate = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const daysAgoISO = (n) => {
+  const d = new Date();
+  d.setDate(d.getDate() - n);
+  return toISODate(d);
+};
+
+// `door:<id>` / `area:<id>` → ['door' | 'area', id]
+const parseTarget = (target) => {
+  const i = target.indexOf(':');
+  return [target.slice(0, i), target.slice(i + 1)];
+};
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '0.5rem 0.75rem',
+  borderRadius: 8,
+  border: '1px solid #d1d5db',
+  backgroundColor: '#fff',
+};
+
+const card = {
+  background: '#fff',
+  border: '1px solid #e5e7eb',
+  borderRadius: 12,
+  padding: '1rem',
+  boxShadow: '0 1px 2px rgba(0,0,0,0.04)',
+  marginBottom: '1.5rem',
+};
+
+// 0 → white, max → dark blue
+const heatColor = (value, max) => {
+  if (!value) return '#f9fafb';
+  const t = Math.min(1, value / max);
+  const mix = (a, b) => Math.round(a + (b - a) * t);
+  return `rgb(${mix(219, 30)}, ${mix(234, 64)}, ${mix(254, 175)})`;
+};
+
+// Buckets that start an hour; axes label every third one to stay readable
+const isHourMark = (time) => time.endsWith(':00');
+
+function Heatmap({ data, metric }) {
+  const grid = data.heatmap[metric];
+  const max = Math.max(0.01, ...grid.flat());
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <table style={{ borderCollapse: 'collapse', fontSize: 11 }}>
+        <thead>
+          <tr>
+            <th />
+            {data.times.map((t) => (
+              <th key={t} style={{ fontWeight: 400, color: '#6b7280', padding: 0, textAlign: 'left', width: 9 }}>
+                {isHourMark(t) && Number(t.slice(0, 2)) % 3 === 0 ? t.slice(0, 2) : ''}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {data.weekdays.map((day, row) => (
+            <tr key={day}>
+              <th style={{ fontWeight: 600, paddingRight: 8, textAlign: 'right' }}>{day}</th>
+              {grid[row].map((value, slot) => (
+                <td
+                  key={slot}
+                  title={`${day} ${data.times[slot]}: ${data.heatmap.average[row][slot]} avg, ${data.heatmap.peak[row][slot]} peak`}
+                  style={{
+                    width: 9,
+                    height: 18,
+                    padding: 0,
+                    background: heatColor(value, max),
+                    borderLeft: isHourMark(data.times[slot]) ? '1px solid #fff' : 'none',
+                  }}
+                />
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Average and peak people inside by time of day, all days together
+function LineChart({ data }) {
+  const width = 960;
+  const height = 200;
+  const pad = { left: 32, right: 8, top: 8, bottom: 22 };
+  const points = data.by_time;
+  const max = Math.max(1, ...points.map((p) => p.peak));
+  const x = (i) => pad.left + (i / (points.length - 1)) * (width - pad.left - pad.right);
+  const y = (v) => pad.top + (1 - v / max) * (height - pad.top - pad.bottom);
+  const line = (key) => points.map((p, i) => `${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+  const ticks = Array.from(new Set([0, Math.round(max / 2), max]));
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={{ width: '100%', height: 'auto' }} role="img" aria-label="Occupancy by time of day">
+      {ticks.map((v) => (
+        <g key={v}>
+          <line x1={pad.left} x2={width - pad.right} y1={y(v)} y2={y(v)} stroke="#e5e7eb" />
+          <text x={pad.left - 6} y={y(v) + 4} fontSize="11" textAnchor="end" fill="#6b7280">
+            {v}
+          </text>
+        </g>
+      ))}
+      {points.map((p, i) =>
+        isHourMark(p.time) && Number(p.time.slice(0, 2)) % 3 === 0 ? (
+          <text key={p.time} x={x(i)} y={height - 6} fontSize="11" textAnchor="middle" fill="#6b7280">
+            {p.time}
+          </text>
+        ) : null
+      )}
+      <polyline points={line('peak')} fill="none" stroke="#f97316" strokeWidth="1.5" strokeDasharray="4 3" />
+      <polyline points={line('average')} fill="none" stroke="#1e40af" strokeWidth="2" />
+    </svg>
+  );
+}
+
+function OccupancyAnalytics({ doors, areas }) {
+  const [target, setTarget] = useState(''); // `door:<id>` or `area:<id>`, '' = first available
+  const [startDate, setStartDate] = useState(() => daysAgoISO(27));
+  const [endDate, setEndDate] = useState(() => daysAgoISO(0));
+  const [metric, setMetric] = useState('average'); // 'average' | 'peak'
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const selected = target || (areas[0] ? `area:${areas[0].area_id}` : doors[0] ? `door:${doors[0].door_id}` : '');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!selected) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const [kind, id] = parseTarget(selected);
+      const params = new URLSearchParams({ [`${kind}_id`]: id, start_date: startDate, end_date: endDate });
+      const res = await apiFetch(`${API}?${params.toString()}`);
+      if (!res.ok) throw new Error(await readError(res, `Failed to load analytics (${res.status})`));
+      setData(await res.json());
+    } catch (e) {
+      setError(e.message || 'Failed to load analytics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const shown = data?.area || data?.door;
+
+  return (
+    <>
+      <form onSubmit={handleSubmit} style={card}>
+        <h2 style={{ margin: '0 0 0.25rem', fontSize: '1.25rem' }}>Break Room Usage</h2>
+        <p style={{ margin: '0 0 1rem', color: '#6b7280' }}>
+          How many people are inside, by 15-minute slot and day of week. Counts only, no names.
+        </p>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '1rem', alignItems: 'end' }}>
+          <div>
+            <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Door / Area</label>
+            <select value={selected} onChange={(e) => setTarget(e.target.value)} style={inputStyle}>
+              {areas.length > 0 && (
+                <optgroup label="Areas">
+                  {areas.map((a) => (
+                    <option key={a.area_id} value={`area:${a.area_id}`}>
+                      {a.name} — {a.site_name}
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+              <optgroup label="Doors">
+                {doors.map((d) => (
+                  <option key={d.door_id} value={`door:${d.door_id}`}>
+                    {d.name} — {d.site_name}
+                  </option>
+                ))}
+              </optgroup>
+            </select>
+          </div>
+          <div>
+            <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>Start Date</label>
+            <input type="date" value={startDate} max={endDate} onChange={(e) => setStartDate(e.target.value)} style={inputStyle} />
+          </div>
+          <div>
+            <label style={{ display: 'block', fontWeight: 600, marginBottom: 6 }}>End Date</label>
+            <input type="date" value={endDate} min={startDate} onChange={(e) => setEndDate(e.target.value)} style={inputStyle} />
+            <div style={{ color: '#6b7280', fontSize: 12, marginTop: 4 }}>Up to {MAX_RANGE_DAYS} days</div>
+          </div>
+          <div>
+            <button
+              type="submit"
+              disabled={loading || !selected}
+              style={{
+                padding: '0.65rem 1rem',
+                borderRadius: 8,
+                border: '1px solid #1f2937',
+                backgroundColor: '#1f2937',
+                color: '#fff',
+                fontWeight: 600,
+                cursor: loading ? 'wait' : 'pointer',
+                width: '100%',
+              }}
+            >
+              {loading ? 'Loading…' : 'Show Usage'}
+            </button>
+          </div>
+        </div>
+        {error && (
+          <div
+            style={{
+              background: '#fef2f2',
+              color: '#991b1b',
+              border: '1px solid #fecaca',
+              borderRadius: 8,
+              padding: '0.5rem 0.75rem',
+              marginTop: '1rem',
+            }}
+          >
+            {error}
+          </div>
+        )}
+      </form>
+
+      {data && (
+        <section style={card}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', gap: '1rem', flexWrap: 'wrap' }}>
+            <p style={{ margin: 0, color: '#374151' }}>
+              <strong>{shown?.name}</strong> — {shown?.site_name} • {data.generatedRange.start_date} → {data.generatedRange.end_date} (
+              {data.generatedRange.tz}) • {data.break_count} breaks
+              <br />
+              Peak:{' '}
+              <strong>
+                {data.peak ? `${data.peak.count} inside at once (${data.peak.date} ${data.peak.time})` : 'nobody inside'}
+              </strong>
+            </p>
+            <select value={metric} onChange={(e) => setMetric(e.target.value)} style={{ ...inputStyle, width: 'auto' }}>
+              <option value="average">Average people inside</option>
+              <option value="peak">Peak people inside</option>
+            </select>
+          </div>
+
+          <h3 style={{ margin: '1.25rem 0 0.5rem', fontSize: '1rem' }}>By Day of Week</h3>
+          <Heatmap data={data} metric={metric} />
+
+          <h3 style={{ margin: '1.25rem 0 0.5rem', fontSize: '1rem' }}>By Time of Day</h3>
+          <LineChart data={data} />
+          <div style={{ display: 'flex', gap: '1rem', color: '#6b7280', fontSize: 12 }}>
+            <span>
+              <span style={{ color: '#1e40af', fontWeight: 700 }}>━</span> Average inside
+            </span>
+            <span>
+              <span style={{ color: '#f97316', fontWeight: 700 }}>┅</span> Peak inside
+            </span>
+          </div>
+        </section>
+      )}
+    </>
+  );
+}
+
+export default OccupancyAnalytics;
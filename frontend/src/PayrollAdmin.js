@@ -0,0 +1,387 @@
+// src/PayrollAdmin.js
+// Payroll page for admins and HR: which payroll employee ID each access-control user has (used by
+// the payroll exports on the Reports page), and the export profiles the server offers.
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch, readError } from './api';
+import { th, td } from './styles';
+
+const API = 'http://localhost:3001/api/payroll/ids';
+
+const FORMAT_LABELS = { csv: 'CSV', fixed: 'Fixed-width', ics: 'iCalendar' };
+
+const emptyForm = { user_id: '', user_name: '', employee_id: '' };
+
+// Pasted lines of `user_id,employee_id[,name]` (commas, semicolons or tabs) → mappings
+const parseBulk = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [user_id, employee_id, ...name] = line.split(/[,;\t]/).map((s) => s.trim());
+      return { user_id, employee_id, user_name: name.join(' ') };
+    });
+
+const fmtDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+// profiles: from /api/payroll/profiles; reportUsers: users of the report on the Reports page,
+// offered as a shortcut for the ones without a payroll ID yet
+function PayrollAdmin({ profiles, reportUsers }) {
+  const [ids, setIds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(null); // null = closed
+  const [editing, setEditing] = useState(false); // form edits an existing mapping (user_id fixed)
+  const [bulkText, setBulkText] = useState('');
+  const [bulkOpen, setBulkOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [filter, setFilter] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await apiFetch(API);
+      if (!res.ok) throw new Error(await readError(res, `Failed to load payroll IDs (${res.status})`));
+      setIds((await res.json()).ids || []);
+    } catch (e) {
+      setError(e.message || 'Failed to load payroll IDs');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const mapped = new Set(ids.map((m) => m.user_id));
+  const unmappedReportUsers = reportUsers.filter((u) => !mapped.has(u.userId));
+  const needle = filter.trim().toLowerCase();
+  const visible = ids.filter(
+    (m) => !needle || [m.user_id, m.user_name, m.employee_id].some((s) => (s || '').toLowerCase().includes(needle))
+  );
+
+  const request = async (url, options, fallback) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await apiFetch(url, options);
+      if (!res.ok) throw new Error(await readError(res, `${fallback} (${res.status})`));
+      await load();
+      return true;
+    } catch (e) {
+      setError(e.message || fallback);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openForm = (values, isEdit) => {
+    setForm({ ...emptyForm, ...values });
+    setEditing(isEdit);
+    setBulkOpen(false);
+  };
+
+  const setField = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const ok = await request(
+      `${API}/${encodeURIComponent(form.user_id.trim())}`,
+      {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ employee_id: form.employee_id, user_name: form.user_name }),
+      },
+      'Failed to save payroll ID'
+    );
+    if (ok) setForm(null);
+  };
+
+  const handleBulkSave = async (e) => {
+    e.preventDefault();
+    const ok = await request(
+      API,
+      { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ids: parseBulk(bulkText) }) },
+      'Failed to import payroll IDs'
+    );
+    if (ok) {
+      setBulkText('');
+      setBulkOpen(false);
+    }
+  };
+
+  const handleRemove = (m) => {
+    if (!window.confirm(`Remove the payroll ID of ${m.user_name || m.user_id}? Their breaks will be left out of payroll exports.`)) return;
+    request(`${API}/${encodeURIComponent(m.user_id)}`, { method: 'DELETE' }, 'Failed to remove payroll ID');
+  };
+
+  return (
+    <>
+      <section style={card}>
+        <header style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', marginBottom: '1rem' }}>
+          <div>
+            <h2 style={{ margin: 0, fontSize: '1.25rem' }}>Payroll IDs</h2>
+            <p style={{ margin: '4px 0 0', color: '#6b7280' }}>
+              Payroll exports list breaks under these employee IDs; users without one are left out unless the profile says otherwise.
+            </p>
+          </div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button
+              type="button"
+              onClick={() => {
+                setBulkOpen((o) => !o);
+                setForm(null);
+              }}
+              style={secondaryButton}
+            >
+              Paste List
+            </button>
+            <button type="button" onClick={() => openForm({}, false)} disabled={form !== null} style={primaryButton}>
+              Add Payroll ID
+            </button>
+          </div>
+        </header>
+
+        {error && <div style={errorNotice}>{error}</div>}
+
+        {unmappedReportUsers.length > 0 && (
+          <div style={notice}>
+            Without a payroll ID in the current report:{' '}
+            {unmappedReportUsers.map((u) => (
+              <button
+                key={u.userId}
+                type="button"
+                onClick={() => openForm({ user_id: u.userId, user_name: u.userName }, false)}
+                title={`Add a payroll ID for ${u.userName}`}
+                style={{ ...linkButton, marginRight: 10 }}
+              >
+                {u.userName}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={handleSave} style={formBox}>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem' }}>
+              <label style={labelStyle}>
+                User ID (access control)
+                <input
+                  value={form.user_id}
+                  onChange={(e) => setField('user_id', e.target.value)}
+                  required
+                  disabled={editing}
+                  style={inputStyle}
+                />
+              </label>
+              <label style={labelStyle}>
+                Name
+                <input value={form.user_name} onChange={(e) => setField('user_name', e.target.value)} style={inputStyle} />
+              </label>
+              <label style={labelStyle}>
+                Payroll Employee ID
+                <input
+                  value={form.employee_id}
+                  onChange={(e) => setField('employee_id', e.target.value)}
+                  required
+                  maxLength={64}
+                  style={inputStyle}
+                />
+              </label>
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: '1rem' }}>
+              <button type="button" onClick={() => setForm(null)} style={secondaryButton}>
+                Cancel
+              </button>
+              <button type="submit" disabled={busy} style={primaryButton}>
+                {busy ? 'Saving…' : 'Save'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {bulkOpen && (
+          <form onSubmit={handleBulkSave} style={formBox}>
+            <label style={labelStyle}>
+              One user per line: user ID, employee ID and (optionally) name, separated by commas, semicolons or tabs
+              <textarea
+                value={bulkText}
+                onChange={(e) => setBulkText(e.target.value)}
+                rows={6}
+                placeholder={'a1b2c3d4,E-1001,Jo Doe\ne5f6a7b8,E-1002,Sam Lee'}
+                required
+                style={{ ...inputStyle, fontFamily: 'monospace' }}
+              />
+            </label>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: '1rem' }}>
+              <button type="button" onClick={() => setBulkOpen(false)} style={secondaryButton}>
+                Cancel
+              </button>
+              <button type="submit" disabled={busy || !bulkText.trim()} style={primaryButton}>
+                {busy ? 'Importing…' : `Import ${parseBulk(bulkText).length || ''}`.trim()}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {ids.length > 0 && (
+          <input
+            type="search"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter by name, user ID or employee ID"
+            aria-label="Filter payroll IDs"
+            style={{ ...inputStyle, maxWidth: 320, marginBottom: '0.75rem' }}
+          />
+        )}
+
+        {loading && ids.length === 0 && <p style={{ color: '#6b7280' }}>Loading payroll IDs…</p>}
+        {!loading && ids.length === 0 && <p style={{ color: '#6b7280' }}>No payroll IDs yet.</p>}
+
+        {visible.length > 0 && (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th style={th}>User</th>
+                  <th style={th}>User ID</th>
+                  <th style={th}>Employee ID</th>
+                  <th style={th}>Updated</th>
+                  <th style={th} />
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((m) => (
+                  <tr key={m.user_id} style={{ borderTop: '1px solid #f3f4f6' }}>
+                    <td style={td}>{m.user_name || '—'}</td>
+                    <td style={{ ...td, fontFamily: 'monospace' }}>{m.user_id}</td>
+                    <td style={{ ...td, fontFamily: 'monospace', fontWeight: 600 }}>{m.employee_id}</td>
+                    <td style={td}>
+                      {fmtDateTime(m.updated_at)}
+                      <div style={{ color: '#6b7280', fontSize: 12 }}>{m.updated_by}</div>
+                    </td>
+                    <td style={{ ...td, textAlign: 'right' }}>
+                      <div style={{ display: 'inline-flex', gap: 6 }}>
+                        <button type="button" onClick={() => openForm(m, true)} disabled={form !== null} style={secondaryButton}>
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleRemove(m)}
+                          disabled={busy}
+                          style={{ ...secondaryButton, color: '#991b1b', borderColor: '#fecaca' }}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      <section style={{ ...card, marginTop: '1.5rem' }}>
+        <h2 style={{ margin: 0, fontSize: '1.25rem' }}>Export Profiles</h2>
+        <p style={{ margin: '4px 0 1rem', color: '#6b7280' }}>
+          Pick one next to the export buttons on the Reports page. Custom profiles go in payroll_profiles.json on the server.
+        </p>
+        {profiles.length === 0 ? (
+          <p style={{ color: '#6b7280' }}>No export profiles available.</p>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th style={th}>Profile</th>
+                  <th style={th}>Format</th>
+                  <th style={th}>Rows</th>
+                  <th style={th}>Columns</th>
+                </tr>
+              </thead>
+              <tbody>
+                {profiles.map((p) => (
+                  <tr key={p.profile_id} style={{ borderTop: '1px solid #f3f4f6' }}>
+                    <td style={td}>
+                      <strong>{p.name}</strong>
+                      <div style={{ color: '#6b7280', fontSize: 12 }}>{p.profile_id}</div>
+                    </td>
+                    <td style={td}>
+                      {FORMAT_LABELS[p.format] || p.format} (.{p.extension})
+                    </td>
+                    <td style={td}>{p.format === 'ics' ? 'One event per break' : p.rows === 'punch' ? 'Start + end punch per break' : 'One per break'}</td>
+                    <td style={{ ...td, whiteSpace: 'normal', color: '#374151' }}>{p.columns.join(', ') || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
+
+const card = {
+  background: '#fff',
+  border: '1px solid #e5e7eb',
+  borderRadius: 12,
+  padding: '1rem',
+  boxShadow: '0 1px 2px rgba(0,0,0,0.04)',
+};
+
+const formBox = { border: '1px solid #e5e7eb', borderRadius: 8, padding: '1rem', marginBottom: '1rem' };
+
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: 6, fontWeight: 600 };
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '0.5rem 0.75rem',
+  borderRadius: 8,
+  border: '1px solid #d1d5db',
+  backgroundColor: '#fff',
+  fontWeight: 400,
+};
+
+const primaryButton = {
+  padding: '0.5rem 0.9rem',
+  borderRadius: 8,
+  border: '1px solid #111827',
+  background: '#111827',
+  color: '#fff',
+  fontWeight: 600,
+  cursor: 'pointer',
+  whiteSpace: 'nowrap',
+};
+
+const secondaryButton = {
+  padding: '0.35rem 0.7rem',
+  borderRadius: 8,
+  border: '1px solid #d1d5db',
+  background: '#fff',
+  color: '#111827',
+  fontWeight: 600,
+  cursor: 'pointer',
+  whiteSpace: 'nowrap',
+};
+
+const linkButton = { padding: 0, border: 'none', background: 'none', color: '#1d4ed8', fontWeight: 600, cursor: 'pointer' };
+
+const notice = {
+  background: '#fffbeb',
+  color: '#92400e',
+  border: '1px solid #fde68a',
+  borderRadius: 8,
+  padding: '0.5rem 0.75rem',
+  marginBottom: '1rem',
+};
+
+const errorNotice = { ...notice, background: '#fef2f2', color: '#991b1b', borderColor: '#fecaca' };
+
+export default PayrollAdmin;
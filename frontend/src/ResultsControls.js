@@ -0,0 +1,86 @@
+// src/ResultsControls.js
+// Search, sort, filter and expand/collapse controls above the report results (state: resultsView.js).
+import { SORTS } from './resultsView';
+
+const controlStyle = {
+  padding: '0.4rem 0.6rem',
+  borderRadius: 8,
+  border: '1px solid #d1d5db',
+  backgroundColor: '#fff',
+  fontSize: 14,
+};
+
+const buttonStyle = {
+  padding: '0.4rem 0.7rem',
+  borderRadius: 8,
+  border: '1px solid #d1d5db',
+  background: '#fff',
+  color: '#111827',
+  fontWeight: 600,
+  fontSize: 14,
+  cursor: 'pointer',
+  whiteSpace: 'nowrap',
+};
+
+// view: the results view; onChange(changes) merges changes into it; shown/total: user counts
+function ResultsControls({ view, onChange, shown, total, onExpandAll, onCollapseAll }) {
+  const filtered = view.q.trim() || view.onlyViolations || view.onlyOver;
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 12, marginBottom: '1rem' }}>
+      <input
+        type="search"
+        value={view.q}
+        onChange={(e) => onChange({ q: e.target.value })}
+        placeholder="Search users"
+        aria-label="Search users by name"
+        style={{ ...controlStyle, width: 200 }}
+      />
+      <span style={{ display: 'inline-flex', gap: 4, alignItems: 'center' }}>
+        <label htmlFor="results-sort" style={{ color: '#6b7280', fontSize: 14 }}>
+          Sort by
+        </label>
+        <select
+          id="results-sort"
+          value={view.sort}
+          onChange={(e) => onChange({ sort: e.target.value, dir: SORTS[e.target.value].dir })}
+          style={controlStyle}
+        >
+          {Object.entries(SORTS).map(([key, s]) => (
+            <option key={key} value={key}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => onChange({ dir: view.dir === 'asc' ? 'desc' : 'asc' })}
+          title={view.dir === 'asc' ? 'Ascending (click for descending)' : 'Descending (click for ascending)'}
+          aria-label={`Sort ${view.dir === 'asc' ? 'descending' : 'ascending'}`}
+          style={buttonStyle}
+        >
+          {view.dir === 'asc' ? '↑' : '↓'}
+        </button>
+      </span>
+      <label style={{ fontSize: 14, whiteSpace: 'nowrap' }}>
+        <input type="checkbox" checked={view.onlyViolations} onChange={(e) => onChange({ onlyViolations: e.target.checked })} />{' '}
+        Violations only
+      </label>
+      <label style={{ fontSize: 14, whiteSpace: 'nowrap' }}>
+        <input type="checkbox" checked={view.onlyOver} onChange={(e) => onChange({ onlyOver: e.target.checked })} /> Over
+        threshold only
+      </label>
+      <span style={{ flex: 1 }} />
+      <span style={{ color: '#6b7280', fontSize: 14 }}>
+        {filtered ? `${shown} of ${total} users` : `${total} user${total === 1 ? '' : 's'}`}
+      </span>
+      <button type="button" onClick={onExpandAll} style={buttonStyle}>
+        Expand all
+      </button>
+      <button type="button" onClick={onCollapseAll} style={buttonStyle}>
+        Collapse all
+      </button>
+    </div>
+  );
+}
+
+export default ResultsControls;
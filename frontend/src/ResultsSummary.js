@@ -0,0 +1,123 @@
+// src/ResultsSummary.js
+// One line per user above the user cards, for reports with hundreds of people: only the rows in view
+// (plus a few either side) are rendered. Clicking a row opens that user's card; clicking a column
+// heading sorts by it.
+import { useState } from 'react';
+import { th, td } from './styles';
+import { violationCount } from './resultsView';
+
+const ROW_HEIGHT = 36;
+const MAX_HEIGHT = 360;
+const OVERSCAN = 8;
+
+const COLUMNS = 'minmax(160px, 2fr) minmax(100px, 1fr) 110px 80px 90px 90px';
+
+// [label, sort key or null]
+const HEADINGS = [
+  ['User', 'name'],
+  ['Site', null],
+  ['Total', 'total'],
+  ['Breaks', 'breaks'],
+  ['Days over', null],
+  ['Violations', 'violations'],
+];
+
+// users: the visible users, in order; sort/dir: the current order; onSort(key); onSelect(user)
+function ResultsSummary({ users, sort, dir, onSort, onSelect }) {
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const height = Math.min(users.length * ROW_HEIGHT, MAX_HEIGHT);
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(users.length, Math.ceil((scrollTop + height) / ROW_HEIGHT) + OVERSCAN);
+
+  const cell = { ...td, overflow: 'hidden', textOverflow: 'ellipsis', padding: '0 0.75rem', lineHeight: `${ROW_HEIGHT}px` };
+
+  return (
+    <div
+      role="table"
+      aria-label="Summary by user"
+      aria-rowcount={users.length + 1}
+      style={{ marginBottom: '1.5rem', border: '1px solid #e5e7eb', borderRadius: 8, overflow: 'hidden' }}
+    >
+      <div role="row" style={{ display: 'grid', gridTemplateColumns: COLUMNS, background: '#f3f4f6' }}>
+        {HEADINGS.map(([label, key]) => (
+          <div
+            key={label}
+            role="columnheader"
+            aria-sort={key && key === sort ? (dir === 'asc' ? 'ascending' : 'descending') : undefined}
+            style={th}
+          >
+            {key ? (
+              <button
+                type="button"
+                onClick={() => onSort(key)}
+                title={`Sort by ${label.toLowerCase()}`}
+                style={{ padding: 0, border: 'none', background: 'none', font: 'inherit', cursor: 'pointer' }}
+              >
+                {label}
+                {key === sort ? (dir === 'asc' ? ' ↑' : ' ↓') : ''}
+              </button>
+            ) : (
+              label
+            )}
+          </div>
+        ))}
+      </div>
+      <div style={{ height, overflowY: 'auto' }} onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}>
+        <div role="rowgroup" style={{ height: users.length * ROW_HEIGHT, position: 'relative' }}>
+          {users.slice(first, last).map((u, i) => {
+            const violations = violationCount(u);
+            return (
+              <div
+                key={u.userId}
+                role="row"
+                aria-rowindex={first + i + 2}
+                tabIndex={0}
+                onClick={() => onSelect(u)}
+                onKeyDown={(e) => {
+                  if (e.key !== 'Enter' && e.key !== ' ') return;
+                  e.preventDefault();
+                  onSelect(u);
+                }}
+                title={`Show ${u.userName}'s breaks`}
+                style={{
+                  position: 'absolute',
+                  top: (first + i) * ROW_HEIGHT,
+                  left: 0,
+                  right: 0,
+                  height: ROW_HEIGHT,
+                  display: 'grid',
+                  gridTemplateColumns: COLUMNS,
+                  borderTop: '1px solid #f3f4f6',
+                  background: u.daysOver > 0 ? '#fffafa' : '#fff',
+                  cursor: 'pointer',
+                }}
+              >
+                <div role="cell" style={{ ...cell, color: '#1d4ed8', fontWeight: 600 }}>
+                  {u.userName}
+                </div>
+                <div role="cell" style={{ ...cell, color: '#6b7280' }}>
+                  {u.siteName}
+                </div>
+                <div role="cell" style={cell}>
+                  {u.totalLabel}
+                </div>
+                <div role="cell" style={cell}>
+                  {u.pairs.length}
+                </div>
+                <div role="cell" style={{ ...cell, color: u.daysOver > 0 ? '#b91c1c' : '#6b7280' }}>
+                  {u.daysOver}
+                </div>
+                <div role="cell" style={{ ...cell, color: violations > 0 ? '#9a3412' : '#6b7280', fontWeight: violations > 0 ? 600 : 400 }}>
+                  {violations}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResultsSummary;
@@ -0,0 +1,488 @@
+// src/ScheduleAdmin.js
+// Admin page for scheduled email reports: list, create/edit, enable/disable, run now, delete.
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch, readError } from './api';
+import { th, td } from './styles';
+
+const API = 'http://localhost:3001/api/schedules';
+
+const WEEKDAYS = [
+  ['mon', 'Mon'],
+  ['tue', 'Tue'],
+  ['wed', 'Wed'],
+  ['thu', 'Thu'],
+  ['fri', 'Fri'],
+  ['sat', 'Sat'],
+  ['sun', 'Sun'],
+];
+
+const RANGES = {
+  yesterday: 'Yesterday',
+  today: 'Today (so far)',
+  last_7_days: 'Last 7 days',
+  previous_week: 'Previous week (Mon–Sun)',
+};
+
+const ATTACHMENTS = { csv: 'CSV', xlsx: 'XLSX', pdf: 'PDF', none: 'No attachment' };
+
+// `door:<id>` / `area:<id>` → ['door' | 'area', id]
+const parseTarget = (target) => {
+  const i = target.indexOf(':');
+  return [target.slice(0, i), target.slice(i + 1)];
+};
+
+const emptyForm = (target = '', tz = 'UTC') => ({
+  name: '',
+  target, // `door:<id>` or `area:<id>`
+  range: 'yesterday',
+  min_minutes: 45,
+  policy: '',
+  group: '',
+  days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  time: '07:00',
+  tz,
+  recipients: '',
+  attachment: 'csv',
+  enabled: true,
+});
+
+const formFromSchedule = (s) => ({
+  name: s.name,
+  target: s.report.area_id ? `area:${s.report.area_id}` : `door:${s.report.door_id}`,
+  range: s.report.range,
+  min_minutes: s.report.min_minutes ?? '',
+  policy: s.report.policy || '',
+  group: s.report.group || '',
+  days: s.days,
+  time: s.time,
+  tz: s.tz,
+  recipients: s.recipients.join(', '),
+  attachment: s.attachment,
+  enabled: s.enabled,
+});
+
+const scheduleFromForm = (f) => {
+  const [kind, id] = parseTarget(f.target);
+  return {
+    name: f.name,
+    enabled: f.enabled,
+    days: f.days,
+    time: f.time,
+    tz: f.tz,
+    recipients: f.recipients,
+    attachment: f.attachment,
+    report: {
+      [kind === 'area' ? 'area_id' : 'door_id']: id,
+      range: f.range,
+      min_minutes: f.min_minutes === '' ? undefined : Number(f.min_minutes),
+      policy: f.policy || undefined,
+      group: f.group || undefined,
+    },
+  };
+};
+
+const fmtDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+function ScheduleAdmin({ doors, areas, policies, groups }) {
+  const [schedules, setSchedules] = useState([]);
+  const [mailConfigured, setMailConfigured] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [editingId, setEditingId] = useState(null); // null = closed, 'new' = creating
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await apiFetch(API);
+      if (!res.ok) throw new Error(await readError(res, `Failed to load schedules (${res.status})`));
+      const data = await res.json();
+      setSchedules(data.schedules || []);
+      setMailConfigured(data.mail_configured !== false);
+    } catch (e) {
+      setError(e.message || 'Failed to load schedules');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const targetInfo = (target) => {
+    const [kind, id] = parseTarget(target);
+    return kind === 'area' ? areas.find((a) => a.area_id === id) : doors.find((d) => d.door_id === id);
+  };
+
+  const describeTarget = (s) => {
+    const info = targetInfo(s.report.area_id ? `area:${s.report.area_id}` : `door:${s.report.door_id}`);
+    return info?.name || s.report.area_id || s.report.door_id;
+  };
+
+  const openNew = () => {
+    const first = areas[0] ? `area:${areas[0].area_id}` : doors[0] ? `door:${doors[0].door_id}` : '';
+    setForm(emptyForm(first, (first && targetInfo(first)?.timezone) || 'UTC'));
+    setEditingId('new');
+  };
+
+  const openEdit = (s) => {
+    setForm(formFromSchedule(s));
+    setEditingId(s.schedule_id);
+  };
+
+  const setField = (key, value) => setForm((f) => ({ ...f, [key]: value }));
+
+  const handleTargetChange = (target) => {
+    // Default the schedule's timezone to the door's so "yesterday" means the same day there
+    const tz = targetInfo(target)?.timezone;
+    setForm((f) => ({ ...f, target, tz: tz || f.tz }));
+  };
+
+  const toggleDay = (day) =>
+    setForm((f) => ({ ...f, days: f.days.includes(day) ? f.days.filter((d) => d !== day) : [...f.days, day] }));
+
+  const request = async (url, options, fallback) => {
+    const res = await apiFetch(url, options);
+    if (!res.ok) throw new Error(await readError(res, `${fallback} (${res.status})`));
+    return res.status === 204 ? null : res.json();
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const isNew = editingId === 'new';
+      await request(
+        isNew ? API : `${API}/${editingId}`,
+        {
+          method: isNew ? 'POST' : 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(scheduleFromForm(form)),
+        },
+        'Failed to save schedule'
+      );
+      setEditingId(null);
+      await load();
+    } catch (e) {
+      setError(e.message || 'Failed to save schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Row actions share one busy flag so a slow "Run now" can't be doubled up
+  const rowAction = async (id, fn) => {
+    setBusyId(id);
+    setError(null);
+    try {
+      await fn();
+      await load();
+    } catch (e) {
+      setError(e.message || 'Request failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRun = (s) =>
+    rowAction(s.schedule_id, () => request(`${API}/${s.schedule_id}/run`, { method: 'POST' }, 'Failed to run schedule'));
+
+  const handleToggle = (s) =>
+    rowAction(s.schedule_id, () =>
+      request(
+        `${API}/${s.schedule_id}`,
+        { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ enabled: !s.enabled }) },
+        'Failed to update schedule'
+      )
+    );
+
+  const handleDelete = (s) => {
+    if (!window.confirm(`Delete the schedule "${s.name}"?`)) return;
+    rowAction(s.schedule_id, () => request(`${API}/${s.schedule_id}`, { method: 'DELETE' }, 'Failed to delete schedule'));
+  };
+
+  return (
+    <section
+      style={{
+        background: '#fff',
+        border: '1px solid #e5e7eb',
+        borderRadius: 12,
+        padding: '1rem',
+        boxShadow: '0 1px 2px rgba(0,0,0,0.04)',
+      }}
+    >
+      <header style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <div>
+          <h2 style={{ margin: 0, fontSize: '1.25rem' }}>Scheduled Reports</h2>
+          <p style={{ margin: '4px 0 0', color: '#6b7280' }}>Emailed automatically; times are in each schedule's timezone.</p>
+        </div>
+        <button type="button" onClick={openNew} disabled={editingId !== null} style={primaryButton}>
+          New Schedule
+        </button>
+      </header>
+
+      {!mailConfigured && (
+        <div style={notice}>Email is not configured on the server (set SMTP_HOST). Runs will fail until it is.</div>
+      )}
+      {error && <div style={{ ...notice, background: '#fef2f2', color: '#991b1b', borderColor: '#fecaca' }}>{error}</div>}
+
+      {editingId !== null && (
+        <form onSubmit={handleSave} style={{ border: '1px solid #e5e7eb', borderRadius: 8, padding: '1rem', marginBottom: '1rem' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: '1rem' }}>
+            <label style={labelStyle}>
+              Name
+              <input value={form.name} onChange={(e) => setField('name', e.target.value)} required style={inputStyle} />
+            </label>
+            <label style={labelStyle}>
+              Door / Area
+              <select value={form.target} onChange={(e) => handleTargetChange(e.target.value)} required style={inputStyle}>
+                {areas.length > 0 && (
+                  <optgroup label="Break Areas">
+                    {areas.map((a) => (
+                      <option key={a.area_id} value={`area:${a.area_id}`}>
+                        {a.name} — {a.site_name}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+                <optgroup label="Doors">
+                  {doors.map((d) => (
+                    <option key={d.door_id} value={`door:${d.door_id}`}>
+                      {d.name} — {d.site_name}
+                    </option>
+                  ))}
+                </optgroup>
+              </select>
+            </label>
+            <label style={labelStyle}>
+              Report Range
+              <select value={form.range} onChange={(e) => setField('range', e.target.value)} style={inputStyle}>
+                {Object.entries(RANGES).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label style={labelStyle}>
+              Minimum Minutes
+              <input
+                type="number"
+                min={0}
+                value={form.min_minutes}
+                onChange={(e) => setField('min_minutes', e.target.value)}
+                style={inputStyle}
+              />
+            </label>
+            <label style={labelStyle}>
+              Break Policy
+              <select value={form.policy} onChange={(e) => setField('policy', e.target.value)} style={inputStyle}>
+                <option value="">None (threshold only)</option>
+                {policies.map((p) => (
+                  <option key={p.policy_id} value={p.policy_id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label style={labelStyle}>
+              Access Group
+              <select value={form.group} onChange={(e) => setField('group', e.target.value)} style={inputStyle}>
+                <option value="">Everyone</option>
+                {groups.map((g) => (
+                  <option key={g.group_id} value={g.group_id}>
+                    {g.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label style={labelStyle}>
+              Send At
+              <input type="time" value={form.time} onChange={(e) => setField('time', e.target.value)} required style={inputStyle} />
+            </label>
+            <label style={labelStyle}>
+              Timezone
+              <input value={form.tz} onChange={(e) => setField('tz', e.target.value)} required style={inputStyle} />
+            </label>
+            <label style={labelStyle}>
+              Attachment
+              <select value={form.attachment} onChange={(e) => setField('attachment', e.target.value)} style={inputStyle}>
+                {Object.entries(ATTACHMENTS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div style={{ marginTop: '1rem' }}>
+            <span style={{ fontWeight: 600, marginRight: 12 }}>Days</span>
+            {WEEKDAYS.map(([value, label]) => (
+              <label key={value} style={{ marginRight: 12, whiteSpace: 'nowrap' }}>
+                <input type="checkbox" checked={form.days.includes(value)} onChange={() => toggleDay(value)} /> {label}
+              </label>
+            ))}
+          </div>
+
+          <label style={{ ...labelStyle, marginTop: '1rem' }}>
+            Recipients (comma-separated)
+            <input
+              value={form.recipients}
+              onChange={(e) => setField('recipients', e.target.value)}
+              placeholder="supervisor@example.com, hr@example.com"
+              required
+              style={inputStyle}
+            />
+          </label>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginTop: '1rem' }}>
+            <label>
+              <input type="checkbox" checked={form.enabled} onChange={(e) => setField('enabled', e.target.checked)} /> Enabled
+            </label>
+            <span style={{ flex: 1 }} />
+            <button type="button" onClick={() => setEditingId(null)} style={secondaryButton}>
+              Cancel
+            </button>
+            <button type="submit" disabled={saving || form.days.length === 0} style={primaryButton}>
+              {saving ? 'Saving…' : editingId === 'new' ? 'Create Schedule' : 'Save Changes'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading && schedules.length === 0 && <p style={{ color: '#6b7280' }}>Loading schedules…</p>}
+      {!loading && schedules.length === 0 && <p style={{ color: '#6b7280' }}>No scheduled reports yet.</p>}
+
+      {schedules.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={th}>Name</th>
+                <th style={th}>When</th>
+                <th style={th}>Report</th>
+                <th style={th}>Recipients</th>
+                <th style={th}>Next Run</th>
+                <th style={th}>Last Run</th>
+                <th style={th} />
+              </tr>
+            </thead>
+            <tbody>
+              {schedules.map((s) => (
+                <tr key={s.schedule_id} style={{ borderTop: '1px solid #f3f4f6', opacity: s.enabled ? 1 : 0.6 }}>
+                  <td style={td}>
+                    <strong>{s.name}</strong>
+                    {!s.enabled && <div style={{ color: '#6b7280', fontSize: 12 }}>Disabled</div>}
+                  </td>
+                  <td style={td}>
+                    {s.days.map((d) => d[0].toUpperCase() + d.slice(1)).join(', ')} at {s.time}
+                    <div style={{ color: '#6b7280', fontSize: 12 }}>{s.tz}</div>
+                  </td>
+                  <td style={td}>
+                    {describeTarget(s)}
+                    <div style={{ color: '#6b7280', fontSize: 12 }}>
+                      {RANGES[s.report.range] || s.report.range} • {s.report.min_minutes ?? 45} min • {ATTACHMENTS[s.attachment]}
+                    </div>
+                  </td>
+                  <td style={{ ...td, whiteSpace: 'normal' }}>{s.recipients.join(', ')}</td>
+                  <td style={td}>{s.enabled ? fmtDateTime(s.next_run_at) : '—'}</td>
+                  <td style={{ ...td, whiteSpace: 'normal', maxWidth: 260 }}>
+                    {s.last_run ? (
+                      <>
+                        <span style={{ ...statusPill, ...statusColors[s.last_run.status] }}>{s.last_run.status}</span>{' '}
+                        {fmtDateTime(s.last_run.finished_at)}
+                        <div style={{ color: '#6b7280', fontSize: 12 }}>{s.last_run.message}</div>
+                      </>
+                    ) : (
+                      <span style={{ color: '#6b7280' }}>Never</span>
+                    )}
+                  </td>
+                  <td style={{ ...td, textAlign: 'right' }}>
+                    <div style={{ display: 'inline-flex', gap: 6 }}>
+                      <button type="button" onClick={() => handleRun(s)} disabled={busyId !== null} style={secondaryButton}>
+                        {busyId === s.schedule_id ? 'Working…' : 'Run now'}
+                      </button>
+                      <button type="button" onClick={() => openEdit(s)} disabled={editingId !== null} style={secondaryButton}>
+                        Edit
+                      </button>
+                      <button type="button" onClick={() => handleToggle(s)} disabled={busyId !== null} style={secondaryButton}>
+                        {s.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(s)}
+                        disabled={busyId !== null}
+                        style={{ ...secondaryButton, color: '#991b1b', borderColor: '#fecaca' }}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: 6, fontWeight: 600 };
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '0.5rem 0.75rem',
+  borderRadius: 8,
+  border: '1px solid #d1d5db',
+  backgroundColor: '#fff',
+  fontWeight: 400,
+};
+
+const primaryButton = {
+  padding: '0.5rem 0.9rem',
+  borderRadius: 8,
+  border: '1px solid #111827',
+  background: '#111827',
+  color: '#fff',
+  fontWeight: 600,
+  cursor: 'pointer',
+  whiteSpace: 'nowrap',
+};
+
+const secondaryButton = {
+  padding: '0.35rem 0.7rem',
+  borderRadius: 8,
+  border: '1px solid #d1d5db',
+  background: '#fff',
+  color: '#111827',
+  fontWeight: 600,
+  cursor: 'pointer',
+  whiteSpace: 'nowrap',
+};
+
+const notice = {
+  background: '#fffbeb',
+  color: '#92400e',
+  border: '1px solid #fde68a',
+  borderRadius: 8,
+  padding: '0.5rem 0.75rem',
+  marginBottom: '1rem',
+};
+
+const statusPill = { padding: '2px 6px', borderRadius: 999, fontSize: 12, fontWeight: 600, border: '1px solid' };
+
+const statusColors = {
+  ok: { background: '#ecfdf5', color: '#065f46', borderColor: '#a7f3d0' },
+  error: { background: '#fef2f2', color: '#991b1b', borderColor: '#fecaca' },
+  skipped: { background: '#f3f4f6', color: '#374151', borderColor: '#e5e7eb' },
+};
+
+export default ScheduleAdmin;
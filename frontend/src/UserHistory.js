@@ -0,0 +1,258 @@
+// src/UserHistory.js
+// One employee's break history (last 30/90 days) at the door/area of the report it was opened from.
+import { useEffect, useState } from 'react';
+import { apiFetch, readError } from './api';
+import { th, td } from './styles';
+
+const API = 'http://localhost:3001/api/users';
+
+const fmtClock = (date, time) =>
+  new Date(`${date}T${time}`).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', hour12: true });
+
+const fmtDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString([], { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+
+// Anchor for a day's pair records, so the chart and day list can link to them
+const dayAnchor = (date) => `history-day-${date}`;
+
+const card = {
+  background: '#fff',
+  border: '1px solid #e5e7eb',
+  borderRadius: 12,
+  padding: '1rem',
+  boxShadow: '0 1px 2px rgba(0,0,0,0.04)',
+  marginBottom: '1.5rem',
+};
+
+function Stat({ label, value, tone }) {
+  return (
+    <div style={{ border: '1px solid #e5e7eb', borderRadius: 8, padding: '0.75rem 1rem', minWidth: 140 }}>
+      <div style={{ color: '#6b7280', fontSize: 12, fontWeight: 600, textTransform: 'uppercase' }}>{label}</div>
+      <div style={{ fontSize: '1.25rem', fontWeight: 600, color: tone === 'bad' ? '#991b1b' : '#111827' }}>{value}</div>
+    </div>
+  );
+}
+
+// user: { userId, userName }; reportParams: query string of the report it was opened from
+function UserHistory({ user, reportParams, onBack }) {
+  const [days, setDays] = useState(30);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    // Same door/area, threshold, policy and pairing as the report; the history picks its own dates
+    const params = new URLSearchParams(reportParams);
+    ['start_date', 'end_date', 'date', 'group'].forEach((k) => params.delete(k));
+    params.set('days', String(days));
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    apiFetch(`${API}/${encodeURIComponent(user.userId)}/history?${params.toString()}`)
+      .then(async (res) => {
+        if (!res.ok) throw new Error(await readError(res, `Failed to load history (${res.status})`));
+        return res.json();
+      })
+      .then((json) => !cancelled && setData(json))
+      .catch((e) => !cancelled && setError(e.message || 'Failed to load history'))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [user.userId, reportParams, days]);
+
+  const target = data?.area || data?.door;
+  const maxDayMs = Math.max(1, ...(data?.daily || []).map((d) => d.totalMs));
+  const thresholdMs = (data?.user.minMinutes ?? 0) * 60 * 1000;
+  const daysWithPairs = (data?.daily || []).filter((d) => d.breakCount > 0).reverse();
+
+  return (
+    <>
+      <section style={card}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', gap: '1rem', flexWrap: 'wrap' }}>
+          <div>
+            <button
+              type="button"
+              onClick={onBack}
+              style={{ padding: 0, border: 'none', background: 'none', color: '#2563eb', cursor: 'pointer', fontWeight: 600 }}
+            >
+              ← Back to report
+            </button>
+            <h2 style={{ margin: '0.5rem 0 0', fontSize: '1.25rem' }}>{data?.user.userName || user.userName}</h2>
+            {target && (
+              <p style={{ margin: '4px 0 0', color: '#6b7280' }}>
+                {target.name} — {target.site_name} • {data.generatedRange.start_date} → {data.generatedRange.end_date} • Threshold:{' '}
+                {data.user.minMinutes} min / day • Pairing: {data.pairing.description}
+                {data.policy && ` • Policy: ${data.policy.name}`}
+              </p>
+            )}
+          </div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            {[30, 90].map((n) => (
+              <button
+                key={n}
+                type="button"
+                onClick={() => setDays(n)}
+                disabled={loading}
+                style={{
+                  padding: '0.4rem 0.8rem',
+                  borderRadius: 8,
+                  border: '1px solid #d1d5db',
+                  background: days === n ? '#1f2937' : '#fff',
+                  color: days === n ? '#fff' : '#111827',
+                  fontWeight: 600,
+                  cursor: loading ? 'wait' : 'pointer',
+                }}
+              >
+                Last {n} days
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && (
+          <div
+            style={{
+              background: '#fef2f2',
+              color: '#991b1b',
+              border: '1px solid #fecaca',
+              borderRadius: 8,
+              padding: '0.5rem 0.75rem',
+              marginTop: '1rem',
+            }}
+          >
+            {error}
+          </div>
+        )}
+        {loading && !data && <p style={{ color: '#6b7280' }}>Loading history…</p>}
+
+        {data && (
+          <>
+            <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', marginTop: '1rem' }}>
+              <Stat label="Total" value={data.totalLabel} />
+              {data.excusedMs > 0 && <Stat label="Excused" value={data.excusedLabel} />}
+              <Stat label="Breaks" value={data.breakCount} />
+              <Stat label="Average Break" value={data.breakCount ? data.averageBreakLabel : '—'} />
+              <Stat label="Days With Breaks" value={`${data.daysWithBreaks} / ${data.days}`} />
+              <Stat label="Days Over" value={data.daysOver} tone={data.daysOver ? 'bad' : undefined} />
+              <Stat label="APB Violations" value={data.violations.length} tone={data.violations.length ? 'bad' : undefined} />
+            </div>
+
+            {/* Daily totals; the dashed line is the threshold, bars link to that day's pairs */}
+            <div style={{ marginTop: '1.5rem' }}>
+              <h3 style={{ margin: '0 0 0.5rem', fontSize: '1rem' }}>Daily Break Totals</h3>
+              <div style={{ position: 'relative', display: 'flex', alignItems: 'end', gap: 2, height: 140, borderBottom: '1px solid #e5e7eb' }}>
+                {thresholdMs > 0 && thresholdMs <= maxDayMs && (
+                  <div
+                    title={`Threshold: ${data.user.minMinutes} min`}
+                    style={{
+                      position: 'absolute',
+                      left: 0,
+                      right: 0,
+                      bottom: `${(thresholdMs / maxDayMs) * 100}%`,
+                      borderTop: '1px dashed #b91c1c',
+                      pointerEvents: 'none',
+                    }}
+                  />
+                )}
+                {data.daily.map((d) => (
+                  <a
+                    key={d.date}
+                    href={d.breakCount ? `#${dayAnchor(d.date)}` : undefined}
+                    title={`${d.date}: ${d.totalLabel} (${d.breakCount} break${d.breakCount === 1 ? '' : 's'})`}
+                    style={{
+                      flex: 1,
+                      height: `${Math.max((d.totalMs / maxDayMs) * 100, d.breakCount ? 2 : 0)}%`,
+                      background: d.overThreshold ? '#ef4444' : '#9ca3af',
+                      borderRadius: '2px 2px 0 0',
+                    }}
+                  />
+                ))}
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between', color: '#6b7280', fontSize: 12, marginTop: 4 }}>
+                <span>{data.daily[0]?.date}</span>
+                <span>{data.daily[data.daily.length - 1]?.date}</span>
+              </div>
+            </div>
+          </>
+        )}
+      </section>
+
+      {data?.violations.length > 0 && (
+        <section style={card}>
+          <h3 style={{ margin: '0 0 0.5rem', fontSize: '1rem' }}>APB Violations</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f3f4f6' }}>
+                <th style={th}>Date</th>
+                <th style={th}>Time</th>
+                <th style={th}>Violation</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...data.violations].reverse().map((v, i) => (
+                <tr key={i} style={{ borderTop: '1px solid #e5e7eb' }}>
+                  <td style={td}>{v.date}</td>
+                  <td style={td}>{fmtClock(v.date, v.time)}</td>
+                  <td style={td}>
+                    {v.message} <span style={{ color: '#9ca3af' }}>({v.event_type})</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {data && (
+        <section style={card}>
+          <h3 style={{ margin: '0 0 0.5rem', fontSize: '1rem' }}>Break Records</h3>
+          {daysWithPairs.length === 0 && <p style={{ color: '#6b7280' }}>No breaks in the last {data.days} days.</p>}
+          {daysWithPairs.length > 0 && (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ background: '#f3f4f6' }}>
+                    <th style={th}>Time In</th>
+                    <th style={th}>At Location</th>
+                    <th style={th}>Time Out</th>
+                    <th style={th}>At Location</th>
+                    <th style={th}>Total</th>
+                  </tr>
+                </thead>
+                {daysWithPairs.map((d) => (
+                  <tbody key={d.date} id={dayAnchor(d.date)}>
+                    <tr style={{ borderTop: '1px solid #e5e7eb', background: d.overThreshold ? '#fef2f2' : '#fafafa' }}>
+                      <td style={{ ...td, fontWeight: 600 }} colSpan={4}>
+                        {fmtDay(d.date)}
+                        {d.overThreshold && <span style={{ marginLeft: 8, color: '#b91c1c', fontSize: 12 }}>over threshold</span>}
+                      </td>
+                      <td style={{ ...td, fontWeight: 600 }}>{d.totalLabel}</td>
+                    </tr>
+                    {data.pairs
+                      .filter((p) => p.in.date === d.date)
+                      .map((p) => (
+                        <tr key={p.in.ts} style={{ borderTop: '1px solid #e5e7eb' }}>
+                          <td style={td}>{fmtClock(p.in.date, p.in.time)}</td>
+                          <td style={td}>{p.in.atLocation}</td>
+                          <td style={td}>
+                            {p.out.date !== p.in.date && `${p.out.date} `}
+                            {fmtClock(p.out.date, p.out.time)}
+                          </td>
+                          <td style={td}>{p.out.atLocation}</td>
+                          <td style={td}>{p.totalLabel}</td>
+                        </tr>
+                      ))}
+                  </tbody>
+                ))}
+              </table>
+            </div>
+          )}
+        </section>
+      )}
+    </>
+  );
+}
+
+export default UserHistory;
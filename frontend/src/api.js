@@ -0,0 +1,21 @@
+// src/api.js
+// Helpers shared by the dashboard views.
+
+// Backend error bodies look like { error: '...' }
+export const readError = async (res, fallback) => {
+  const body = await res.json().catch(() => null);
+  return body?.error || fallback;
+};
+
+// Called when the backend answers 401 (session expired or signed out elsewhere); App sets it.
+let onUnauthorized = null;
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+// fetch() for backend calls: sends the session cookie along
+export const apiFetch = async (url, options = {}) => {
+  const res = await fetch(url, { ...options, credentials: 'include' });
+  if (res.status === 401 && onUnauthorized) onUnauthorized();
+  return res;
+};
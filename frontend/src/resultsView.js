@@ -0,0 +1,100 @@
+// src/resultsView.js
+// How the report results are shown: name search, sort, filters and which user cards are open.
+// Kept in the URL next to the report's own query, so a filtered view can be shared as a link.
+
+// Query params the report form sends to /api/break-report (a shared link re-runs them)
+export const REPORT_PARAMS = [
+  'door_id',
+  'area_id',
+  'start_date',
+  'end_date',
+  'min_minutes',
+  'policy',
+  'group',
+  'shift',
+  'anomalies',
+  'anomaly_z',
+  'pairing',
+  'merge_gap_seconds',
+];
+
+// With more users than this, cards start collapsed
+export const AUTO_COLLAPSE_USERS = 20;
+
+// APB violations a manager excused don't count; policy violations already leave excused breaks out
+export const violationCount = (u) =>
+  (u.violations || []).filter((v) => !v.annotation?.excused).length + (u.policyViolations?.length || 0);
+
+export const SORTS = {
+  total: { label: 'Total time', dir: 'desc', value: (u) => u.totalMs },
+  breaks: { label: 'Breaks', dir: 'desc', value: (u) => u.pairs.length },
+  violations: { label: 'Violations', dir: 'desc', value: violationCount },
+  name: { label: 'Name', dir: 'asc', value: (u) => u.userName || '' },
+};
+
+// open: which cards are open — null (the default for the report's size), 'all' or 'none' — except the
+// userIds in `except`, so links stay short whichever way most cards are
+export const DEFAULT_RESULTS_VIEW = {
+  q: '',
+  sort: 'total',
+  dir: 'desc',
+  onlyViolations: false,
+  onlyOver: false,
+  open: null,
+  except: [],
+};
+
+export const resultsViewFromParams = (params) => {
+  const sort = SORTS[params.get('sort')] ? params.get('sort') : DEFAULT_RESULTS_VIEW.sort;
+  const open = params.get('open');
+  return {
+    q: params.get('q') || '',
+    sort,
+    dir: ['asc', 'desc'].includes(params.get('dir')) ? params.get('dir') : SORTS[sort].dir,
+    onlyViolations: params.get('only_violations') === '1',
+    onlyOver: params.get('only_over') === '1',
+    open: ['all', 'none'].includes(open) ? open : null,
+    except: ['all', 'none'].includes(open) ? (params.get('except') || '').split(',').filter(Boolean) : [],
+  };
+};
+
+// Only what differs from the defaults, to keep shared links short
+export const resultsViewToParams = (view) => {
+  const entries = [];
+  if (view.q.trim()) entries.push(['q', view.q.trim()]);
+  if (view.sort !== DEFAULT_RESULTS_VIEW.sort) entries.push(['sort', view.sort]);
+  if (view.dir !== SORTS[view.sort].dir) entries.push(['dir', view.dir]);
+  if (view.onlyViolations) entries.push(['only_violations', '1']);
+  if (view.onlyOver) entries.push(['only_over', '1']);
+  if (view.open !== null) entries.push(['open', view.open]);
+  if (view.open !== null && view.except.length) entries.push(['except', view.except.join(',')]);
+  return entries;
+};
+
+// Report users after search and filters, in the chosen order (ties keep the backend's order)
+export const visibleUsers = (users, view) => {
+  const needle = view.q.trim().toLowerCase();
+  const { value } = SORTS[view.sort];
+  const sign = view.dir === 'asc' ? 1 : -1;
+  return users
+    .filter((u) => !needle || (u.userName || '').toLowerCase().includes(needle) || String(u.userId).toLowerCase() === needle)
+    .filter((u) => !view.onlyViolations || violationCount(u) > 0)
+    .filter((u) => !view.onlyOver || u.daysOver > 0)
+    .sort((a, b) => {
+      const x = value(a);
+      const y = value(b);
+      return sign * (typeof x === 'string' ? x.localeCompare(y) : x - y);
+    });
+};
+
+const openByDefault = (view, userCount) => (view.open ?? (userCount <= AUTO_COLLAPSE_USERS ? 'all' : 'none')) === 'all';
+
+// userCount: users in the whole report (not just the visible ones), which sets the default
+export const isUserOpen = (view, userId, userCount) => openByDefault(view, userCount) !== view.except.includes(userId);
+
+// The view with one card opened/closed, or (open: true/false) set either way
+export const setUserOpen = (view, userId, userCount, open = !isUserOpen(view, userId, userCount)) => {
+  const base = openByDefault(view, userCount);
+  const except = view.except.filter((id) => id !== userId);
+  return { ...view, open: base ? 'all' : 'none', except: open === base ? except : [...except, userId] };
+};
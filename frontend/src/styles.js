@@ -0,0 +1,18 @@
+// src/styles.js
+// Inline style objects shared by the dashboard views.
+
+export const th = {
+  textAlign: 'left',
+  padding: '0.5rem 0.75rem',
+  borderBottom: '1px solid #e5e7eb',
+  fontWeight: 600,
+  fontSize: 14,
+  whiteSpace: 'nowrap',
+};
+
+export const td = {
+  padding: '0.5rem 0.75rem',
+  fontSize: 14,
+  verticalAlign: 'top',
+  whiteSpace: 'nowrap',
+};